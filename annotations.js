@@ -0,0 +1,108 @@
+/**
+ * Agentic-PDF-Extractor - Annotations
+ *
+ * Reads review annotations (comments, highlights, stamps, ink, ...) as data:
+ * type, author, dates, comment text and, for text markup, the text they cover.
+ */
+
+import { toBBox, readTextInRects } from "./layout.js";
+
+// Not review content: links are reported separately, popups only hold the
+// window of another annotation and widgets are form fields.
+const SKIPPED_TYPES = new Set(["Link", "Popup", "Widget"]);
+
+const TEXT_MARKUP_TYPES = new Set([
+    "Highlight",
+    "Underline",
+    "StrikeOut",
+    "Squiggly",
+]);
+
+/**
+ * Convert a mupdf date to ISO 8601; mupdf reports a missing date as a
+ * timestamp at (or before) the epoch.
+ *
+ * @param {Date|null} date
+ * @returns {string|null}
+ */
+export function toISODate(date) {
+    if (!date || Number.isNaN(date.getTime()) || date.getTime() <= 0) {
+        return null;
+    }
+    return date.toISOString();
+}
+
+/**
+ * Convert an RGB, gray or CMYK colour (components 0..1) to "#rrggbb".
+ */
+function toHexColor(color) {
+    if (!color || color.length === 0) return null;
+
+    let rgb = color;
+    if (color.length === 1) {
+        rgb = [color[0], color[0], color[0]];
+    } else if (color.length === 4) {
+        const [c, m, y, k] = color;
+        rgb = [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)];
+    }
+
+    return (
+        "#" +
+        rgb
+            .map((v) =>
+                Math.round(Math.min(1, Math.max(0, v)) * 255)
+                    .toString(16)
+                    .padStart(2, "0")
+            )
+            .join("")
+    );
+}
+
+/**
+ * Bounding rectangle of a quad (8 numbers: UL, UR, LL, LR corners).
+ */
+function quadRect(quad) {
+    const xs = [quad[0], quad[2], quad[4], quad[6]];
+    const ys = [quad[1], quad[3], quad[5], quad[7]];
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * List the annotations of a page.
+ *
+ * @param {object} page - A loaded mupdf PDF page
+ * @returns {Array<{type: string, author: string|null, contents: string|null, created: string|null, modified: string|null, color: string|null, bbox: object, text: string|null}>}
+ *   `text` is the text covered by highlight, underline, strike-out and
+ *   squiggly annotations (null for other types)
+ */
+export function readPageAnnotations(page) {
+    if (!page.isPDF()) return [];
+
+    const annotations = [];
+    let stext = null;
+
+    for (const annot of page.getAnnotations()) {
+        const type = annot.getType();
+        if (SKIPPED_TYPES.has(type)) continue;
+
+        let text = null;
+        if (TEXT_MARKUP_TYPES.has(type) && annot.hasQuadPoints()) {
+            stext = stext || page.toStructuredText("preserve-whitespace");
+            const rects = annot.getQuadPoints().map(quadRect);
+            text = readTextInRects(stext, rects) || null;
+        }
+
+        annotations.push({
+            type,
+            author: (annot.hasAuthor() && annot.getAuthor()) || null,
+            contents: annot.getContents() || null,
+            created: toISODate(annot.getCreationDate()),
+            modified: toISODate(annot.getModificationDate()),
+            color: toHexColor(annot.getColor()),
+            bbox: toBBox(annot.getBounds()),
+            text,
+        });
+    }
+
+    return annotations;
+}
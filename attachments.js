@@ -0,0 +1,152 @@
+/**
+ * Agentic-PDF-Extractor - Embedded files
+ *
+ * Reads the files embedded in a PDF: document-level attachments (the
+ * EmbeddedFiles name tree, e.g. ZUGFeRD/Factur-X invoice XML) and the files
+ * attached to pages with FileAttachment annotations.
+ */
+
+import path from "path";
+import { toISODate } from "./annotations.js";
+
+// Used when the file specification does not declare a MIME type
+const MIME_TYPES = {
+    ".xml": "text/xml",
+    ".txt": "text/plain",
+    ".csv": "text/csv",
+    ".json": "application/json",
+    ".md": "text/markdown",
+    ".html": "text/html",
+    ".htm": "text/html",
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".zip": "application/zip",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".xls": "application/vnd.ms-excel",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".dwg": "image/vnd.dwg",
+    ".dxf": "image/vnd.dxf",
+    ".step": "model/step",
+    ".stp": "model/step",
+};
+
+const TEXT_MIME_TYPES = new Set([
+    "application/json",
+    "application/xml",
+    "application/csv",
+]);
+
+/**
+ * Read a string or name entry of a PDF dictionary.
+ */
+function readPdfString(obj) {
+    if (!obj || obj.isNull()) return null;
+    if (obj.isString()) return obj.asString();
+    if (obj.isName()) return obj.asName();
+    return null;
+}
+
+/**
+ * Collect the [name, value] pairs of a PDF name tree. (mupdf's own
+ * getEmbeddedFiles() throws on documents without an EmbeddedFiles tree.)
+ */
+function readNameTree(node, entries = []) {
+    if (!node || node.isNull()) return entries;
+
+    const names = node.get("Names");
+    if (names.isArray()) {
+        for (let i = 0; i + 1 < names.length; i += 2) {
+            entries.push([readPdfString(names.get(i)), names.get(i + 1)]);
+        }
+    }
+    const kids = node.get("Kids");
+    if (kids.isArray()) {
+        for (let i = 0; i < kids.length; i++) {
+            readNameTree(kids.get(i), entries);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Whether an attachment holds text that can be shown as is.
+ *
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function isTextMimeType(mimeType) {
+    return (
+        mimeType.startsWith("text/") ||
+        mimeType.endsWith("+xml") ||
+        mimeType.endsWith("+json") ||
+        TEXT_MIME_TYPES.has(mimeType)
+    );
+}
+
+/**
+ * Describe one embedded file specification and load its contents.
+ */
+function readFileSpec(doc, spec, name, source, page) {
+    const params = doc.getFilespecParams(spec);
+    const contents = doc.getEmbeddedFileContents(spec);
+    const fileName = params.filename || name || "attachment";
+    const mimeType =
+        params.mimetype ||
+        MIME_TYPES[path.extname(fileName).toLowerCase()] ||
+        "application/octet-stream";
+    const data = contents ? contents.asUint8Array() : new Uint8Array(0);
+
+    return {
+        name: fileName,
+        source,
+        page,
+        size: data.length,
+        mimeType,
+        description: readPdfString(spec.get("Desc")),
+        // How the file relates to the document, e.g. "Alternative" or "Data"
+        relationship: readPdfString(spec.get("AFRelationship")),
+        created: toISODate(params.creationDate),
+        modified: toISODate(params.modificationDate),
+        data,
+    };
+}
+
+/**
+ * List the embedded files of a PDF with their contents.
+ *
+ * References to external files (not embedded) are skipped.
+ *
+ * @param {object} doc - The open mupdf PDF document
+ * @returns {Array<{name: string, source: "document"|"annotation", page: number|null, size: number, mimeType: string, description: string|null, relationship: string|null, created: string|null, modified: string|null, data: Uint8Array}>}
+ */
+export function readAttachments(doc) {
+    if (!doc.isPDF()) return [];
+
+    const attachments = [];
+
+    const tree = doc.getTrailer().get("Root", "Names", "EmbeddedFiles");
+    for (const [name, spec] of readNameTree(tree)) {
+        if (!doc.isEmbeddedFile(spec)) continue;
+        attachments.push(readFileSpec(doc, spec, name, "document", null));
+    }
+
+    const totalPages = doc.countPages();
+    for (let i = 0; i < totalPages; i++) {
+        for (const annot of doc.loadPage(i).getAnnotations()) {
+            if (annot.getType() !== "FileAttachment" || !annot.hasFilespec()) {
+                continue;
+            }
+            const spec = annot.getFileSpec();
+            if (!doc.isEmbeddedFile(spec)) continue;
+
+            const attachment = readFileSpec(doc, spec, "", "annotation", i + 1);
+            // The annotation's comment usually says what the file is
+            attachment.description ||= annot.getContents() || null;
+            attachments.push(attachment);
+        }
+    }
+
+    return attachments;
+}
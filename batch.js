@@ -0,0 +1,231 @@
+/**
+ * Agentic-PDF-Extractor - Batch processing
+ *
+ * Runs one CLI command over many PDFs: expands paths, globs and directories
+ * into a list of files, maps each file to its place in a mirrored output
+ * tree and processes the files a few at a time.
+ */
+
+import fs from "fs";
+import path from "path";
+import { isDocumentName } from "./formats.js";
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Convert a glob pattern to a regular expression matching whole paths
+ * (with "/" separators). Supports `*`, `**`, `?`, `[abc]` and `{a,b}`.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = "";
+    let braces = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            // "**/" matches any number of directories, including none
+            if (pattern[i + 2] === "/") {
+                source += "(?:.*/)?";
+                i += 2;
+            } else {
+                source += ".*";
+                i += 1;
+            }
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[") {
+            const end = pattern.indexOf("]", i + 1);
+            if (end === -1) {
+                source += "\\[";
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+                i = end;
+            }
+        } else if (char === "{") {
+            braces++;
+            source += "(?:";
+        } else if (char === "}" && braces > 0) {
+            braces--;
+            source += ")";
+        } else if (char === "," && braces > 0) {
+            source += "|";
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files below a directory, as paths relative to it with "/"
+ * separators. Hidden entries are skipped.
+ */
+function listFiles(dir, recursive, prefix = "") {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith(".")) continue;
+        const relative = prefix + entry.name;
+        if (entry.isDirectory()) {
+            if (recursive) {
+                files.push(
+                    ...listFiles(
+                        path.join(dir, entry.name),
+                        recursive,
+                        `${relative}/`
+                    )
+                );
+            }
+        } else if (entry.isFile()) {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+
+/**
+ * Expand the inputs of a batch run into a list of files.
+ *
+ * - A file is taken as is.
+ * - A directory contributes its PDFs and other documents (see
+ *   isDocumentName()); with `recursive`, also those in subdirectories.
+ * - A glob (e.g. "invoices/2024-*.pdf") contributes the files it matches,
+ *   for shells that do not expand it themselves.
+ *
+ * Each file keeps the directory it was found from (`base`), so outputs can
+ * mirror the layout below it. A file listed twice is processed once.
+ *
+ * @param {string[]} inputs - Paths, directories and globs
+ * @param {object} [options]
+ * @param {boolean} [options.recursive=false] - Descend into subdirectories
+ * @returns {Array<{file: string, base: string}>}
+ */
+export function expandInputs(inputs, { recursive = false } = {}) {
+    const entries = [];
+    const seen = new Set();
+    const add = (file, base) => {
+        const absolute = path.resolve(file);
+        if (seen.has(absolute)) return;
+        seen.add(absolute);
+        entries.push({ file: absolute, base: path.resolve(base) });
+    };
+
+    for (const input of inputs) {
+        if (fs.existsSync(input)) {
+            if (fs.statSync(input).isDirectory()) {
+                for (const relative of listFiles(input, recursive).sort()) {
+                    if (isDocumentName(relative)) {
+                        add(path.join(input, relative), input);
+                    }
+                }
+            } else {
+                add(input, path.dirname(input));
+            }
+            continue;
+        }
+
+        if (!GLOB_CHARS.test(input)) {
+            throw new Error(`No such file or directory: ${input}`);
+        }
+
+        // Walk from the longest directory prefix without glob characters
+        const pattern = input.split(path.sep).join("/");
+        const parts = pattern.split("/");
+        const firstGlob = parts.findIndex((part) => GLOB_CHARS.test(part));
+        const base =
+            parts.slice(0, firstGlob).join("/") ||
+            (pattern.startsWith("/") ? "/" : ".");
+        const matcher = globToRegExp(parts.slice(firstGlob).join("/"));
+        const deep = parts.slice(firstGlob).length > 1 || pattern.includes("**");
+
+        const matches = fs.existsSync(base)
+            ? listFiles(base, deep).filter((relative) => matcher.test(relative))
+            : [];
+        if (matches.length === 0) {
+            throw new Error(`No files match ${input}`);
+        }
+        for (const relative of matches.sort()) {
+            add(path.join(base, relative), base);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Where the outputs of a file go: its path below `base`, moved to
+ * `outputDir` and without the extension, e.g. out/2024/03/invoice-17.
+ *
+ * @param {{file: string, base: string}} entry
+ * @param {string} outputDir
+ * @returns {string}
+ */
+export function mirrorPath(entry, outputDir) {
+    const relative = path.relative(entry.base, entry.file);
+    const parsed = path.parse(relative);
+    return path.join(path.resolve(outputDir), parsed.dir, parsed.name);
+}
+
+/**
+ * Process files a few at a time.
+ *
+ * Each record reports the file, its status ("ok", "error", or "skipped"
+ * when an earlier error stopped the run), the time taken and, on success,
+ * whatever `processFile` returned.
+ *
+ * @param {Array<{file: string, base: string}>} entries
+ * @param {(entry: {file: string, base: string}) => Promise<object>} processFile
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Files processed at the same time
+ * @param {boolean} [options.continueOnError=false] - Keep going after a file fails
+ * @param {(record: object) => void} [options.onRecord] - Called as each file finishes
+ * @returns {Promise<Array<object>>} One record per entry, in input order
+ */
+export async function runBatch(entries, processFile, options = {}) {
+    const { concurrency = 4, continueOnError = false, onRecord } = options;
+    const records = new Array(entries.length);
+    let next = 0;
+    let stopped = false;
+
+    const runNext = async () => {
+        while (next < entries.length && !stopped) {
+            const index = next++;
+            const { file } = entries[index];
+            const started = Date.now();
+            let record;
+            try {
+                const result = await processFile(entries[index]);
+                record = {
+                    file,
+                    status: "ok",
+                    ...result,
+                    durationMs: Date.now() - started,
+                };
+            } catch (error) {
+                record = {
+                    file,
+                    status: "error",
+                    error: error.message,
+                    durationMs: Date.now() - started,
+                };
+                if (!continueOnError) stopped = true;
+            }
+            records[index] = record;
+            onRecord?.(record);
+        }
+    };
+
+    await Promise.all(
+        Array.from({ length: Math.max(1, concurrency) }, runNext)
+    );
+
+    for (let i = 0; i < entries.length; i++) {
+        records[i] ??= { file: entries[i].file, status: "skipped" };
+    }
+    return records;
+}
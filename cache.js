@@ -0,0 +1,301 @@
+/**
+ * Agentic-PDF-Extractor - Extraction cache
+ *
+ * Two layers, both keyed by the SHA-256 of the PDF content:
+ *   - an in-memory LRU of open documents, so repeated calls on the same PDF
+ *     skip reading and parsing it again;
+ *   - an optional on-disk cache of page text and rendered pages, shared
+ *     between processes (e.g. successive CLI runs).
+ *
+ * Files are re-hashed when their size or mtime changes; since keys are
+ * content hashes, a modified file never hits stale entries.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const settings = {
+    enabled: !process.env.PDF_NO_CACHE,
+    maxDocuments: 8,
+    dir: process.env.PDF_CACHE_DIR || null,
+    maxBytes: (Number(process.env.PDF_CACHE_MAX_MB) || 512) * 1024 * 1024,
+};
+
+/** path → {size, mtimeMs, hash} of files hashed so far */
+const fileHashes = new Map();
+
+/**
+ * LRU of open documents: insertion order is least to most recently used.
+ * Entries count their checked-out users; see getDocument().
+ */
+const documents = new Map();
+
+let diskUsage = null; // bytes, computed on first write
+
+/**
+ * Change cache settings. Disabling the cache also drops everything held in
+ * memory; files already on disk are left alone.
+ *
+ * @param {object} options
+ * @param {boolean} [options.enabled] - Use the cache at all
+ * @param {number} [options.maxDocuments] - Open documents kept in memory
+ * @param {string|null} [options.dir] - Directory for the disk cache (null: memory only)
+ * @param {number} [options.maxBytes] - Size limit of the disk cache
+ */
+export function configureCache(options = {}) {
+    Object.assign(settings, options);
+    if (settings.dir) settings.dir = path.resolve(settings.dir);
+    diskUsage = null;
+
+    if (!settings.enabled) {
+        clearCache();
+    } else {
+        evictDocuments();
+    }
+}
+
+/**
+ * Drop all open documents and remembered file hashes.
+ */
+export function clearCache() {
+    for (const entry of documents.values()) dropEntry(entry);
+    documents.clear();
+    fileHashes.clear();
+}
+
+/**
+ * Take an entry out of the cache: its document is destroyed now if nobody
+ * uses it, or by the last user to release it.
+ */
+function dropEntry(entry) {
+    entry.cached = false;
+    if (entry.users === 0) entry.doc.destroy?.();
+}
+
+/**
+ * Check out a document entry for one caller.
+ */
+function checkout(entry) {
+    entry.users++;
+    let released = false;
+    return {
+        hash: entry.hash,
+        doc: entry.doc,
+        memo: entry.memo,
+        release() {
+            if (released) return;
+            released = true;
+            entry.users--;
+            if (!entry.cached) dropEntry(entry);
+        },
+    };
+}
+
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Build a cache key from a content hash and anything that affects the result.
+ *
+ * @param {string} hash - Content hash of the file
+ * @param {...*} parts - Kind of result and its options, e.g. "render", 3, 150, "png"
+ * @returns {string}
+ */
+export function cacheKey(hash, ...parts) {
+    return sha256(JSON.stringify([hash, ...parts]));
+}
+
+/**
+ * Read a file, or only its hash if it is unchanged since it was last hashed.
+ *
+ * @param {string} absolutePath
+ * @param {boolean} [needData=true] - Read the file even if its hash is known
+ * @returns {{hash: string, data: Buffer|null}}
+ */
+export function readFileHashed(absolutePath, needData = true) {
+    const stat = fs.statSync(absolutePath);
+    const known = fileHashes.get(absolutePath);
+    const unchanged =
+        known && known.size === stat.size && known.mtimeMs === stat.mtimeMs;
+
+    if (unchanged && !needData) {
+        return { hash: known.hash, data: null };
+    }
+
+    const data = fs.readFileSync(absolutePath);
+    const hash = unchanged ? known.hash : sha256(data);
+    if (settings.enabled) {
+        fileHashes.set(absolutePath, {
+            size: stat.size,
+            mtimeMs: stat.mtimeMs,
+            hash,
+        });
+    }
+    return { hash, data };
+}
+
+/**
+ * Check out an open document for a file, opening it on a cache miss.
+ *
+ * Documents opened with different passwords are cached separately, so a
+ * call without the password never reuses an unlocked document.
+ *
+ * Every checkout must be released when the caller is done with it. A
+ * document evicted while checked out stays open until its last release.
+ *
+ * @param {string|{hash: string, data: Buffer}} source - Absolute path, or the content of a PDF held in memory
+ * @param {string|undefined} password
+ * @param {(data: Buffer) => object} open - Opens (and unlocks) a document from its bytes
+ * @param {string} [variant=""] - Anything else the open document depends on, such as the page size an EPUB is laid out at
+ * @returns {{hash: string, doc: object, memo: Map<string, *>, release: () => void}}
+ *   `memo` holds derived values (such as parsed metadata) for the lifetime
+ *   of the cached document
+ */
+export function getDocument(source, password, open, variant = "") {
+    const read = (needData) =>
+        typeof source === "string" ? readFileHashed(source, needData) : source;
+
+    const newEntry = (hash, data, cached) => ({
+        hash,
+        doc: open(data),
+        memo: new Map(),
+        users: 0,
+        cached,
+    });
+
+    if (!settings.enabled) {
+        const { hash, data } = read(true);
+        return checkout(newEntry(hash, data, false));
+    }
+
+    let { hash, data } = read(false);
+    const key = `${hash}:${sha256(password || "")}:${variant}`;
+    const cached = documents.get(key);
+    if (cached) {
+        documents.delete(key);
+        documents.set(key, cached);
+        return checkout(cached);
+    }
+
+    if (!data) data = fs.readFileSync(source);
+    const entry = newEntry(hash, data, true);
+    documents.set(key, entry);
+    const document = checkout(entry);
+    evictDocuments();
+    return document;
+}
+
+function evictDocuments() {
+    while (documents.size > settings.maxDocuments) {
+        const [oldestKey, oldest] = documents.entries().next().value;
+        documents.delete(oldestKey);
+        dropEntry(oldest);
+    }
+}
+
+// ─── Disk cache ───
+
+function diskPath(key, ext) {
+    return path.join(settings.dir, `${key}.${ext}`);
+}
+
+function readDisk(key, ext) {
+    if (!key || !settings.enabled || !settings.dir) return null;
+    const file = diskPath(key, ext);
+    try {
+        const data = fs.readFileSync(file);
+        // Touch the entry so that pruning removes least recently used first
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        return data;
+    } catch {
+        return null;
+    }
+}
+
+function writeDisk(key, ext, data) {
+    if (!key || !settings.enabled || !settings.dir) return;
+    try {
+        fs.mkdirSync(settings.dir, { recursive: true });
+        if (diskUsage === null) diskUsage = measureDisk();
+        // Write to a temporary name first so readers never see partial files
+        const file = diskPath(key, ext);
+        const temp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, data);
+        fs.renameSync(temp, file);
+        diskUsage += data.length;
+        if (diskUsage > settings.maxBytes) pruneDisk();
+    } catch {
+        // The cache is best-effort: a read-only or full disk must not fail extraction
+    }
+}
+
+function listDisk() {
+    return fs
+        .readdirSync(settings.dir)
+        .filter((name) => /\.(json|bin)$/.test(name))
+        .map((name) => {
+            const file = path.join(settings.dir, name);
+            const stat = fs.statSync(file);
+            return { file, size: stat.size, mtimeMs: stat.mtimeMs };
+        });
+}
+
+function measureDisk() {
+    return listDisk().reduce((sum, entry) => sum + entry.size, 0);
+}
+
+/**
+ * Delete least recently used entries until the cache is below 90% of its limit.
+ */
+function pruneDisk() {
+    const entries = listDisk().sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let usage = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+        if (usage <= settings.maxBytes * 0.9) break;
+        try {
+            fs.unlinkSync(entry.file);
+            usage -= entry.size;
+        } catch {
+            // Already removed by another process
+        }
+    }
+    diskUsage = usage;
+}
+
+/**
+ * Read a JSON value from the disk cache.
+ *
+ * @param {string|null} key - From cacheKey(); null always misses
+ * @returns {*} The stored value, or null on a miss
+ */
+export function getCachedJSON(key) {
+    const data = readDisk(key, "json");
+    if (!data) return null;
+    try {
+        return JSON.parse(data.toString("utf8"));
+    } catch {
+        return null;
+    }
+}
+
+export function setCachedJSON(key, value) {
+    writeDisk(key, "json", Buffer.from(JSON.stringify(value)));
+}
+
+/**
+ * Read binary data (such as a rendered page) from the disk cache.
+ *
+ * @param {string|null} key - From cacheKey(); null always misses
+ * @returns {Buffer|null}
+ */
+export function getCachedBuffer(key) {
+    return readDisk(key, "bin");
+}
+
+export function setCachedBuffer(key, buffer) {
+    writeDisk(key, "bin", Buffer.from(buffer));
+}
@@ -0,0 +1,242 @@
+/**
+ * Agentic-PDF-Extractor - Response chunking
+ *
+ * Splits large tool responses into chunks that fit a token or byte budget.
+ * Content is cut into units on page and paragraph boundaries; a chunk takes
+ * units in order until the budget is spent and hands back an opaque cursor
+ * pointing at the first unit it left out.
+ */
+
+import crypto from "crypto";
+
+export const DEFAULT_MAX_TOKENS = 20000;
+
+const CHARS_PER_TOKEN = 4;
+const PIXELS_PER_IMAGE_TOKEN = 750;
+
+/**
+ * Rough token estimate for text (about four characters per token).
+ */
+export function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into pieces of at most `maxTokens` tokens, preferring paragraph
+ * boundaries, then line boundaries, and cutting mid-line only as a last resort.
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+export function splitText(text, maxTokens) {
+    const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+    if (text.length <= maxChars) return [text];
+
+    const pieces = [];
+    let current = "";
+
+    const pushPart = (part, separator) => {
+        const candidate = current ? current + separator + part : part;
+        if (candidate.length <= maxChars) {
+            current = candidate;
+            return;
+        }
+        if (current) pieces.push(current);
+        current = "";
+        if (part.length <= maxChars) {
+            current = part;
+        } else if (separator === "\n\n") {
+            for (const line of part.split("\n")) pushPart(line, "\n");
+        } else {
+            for (let i = 0; i < part.length; i += maxChars) {
+                pieces.push(part.slice(i, i + maxChars));
+            }
+        }
+    };
+
+    for (const paragraph of text.split(/\n{2,}/)) pushPart(paragraph, "\n\n");
+    if (current) pieces.push(current);
+
+    return pieces;
+}
+
+/**
+ * Wrap text as a unit of MCP text content.
+ *
+ * @param {number} page - Page number
+ * @param {string} text
+ * @returns {{page: number, tokens: number, bytes: number, content: object}}
+ */
+export function textUnit(page, text) {
+    return {
+        page,
+        tokens: estimateTokens(text),
+        bytes: Buffer.byteLength(text),
+        content: { type: "text", text },
+    };
+}
+
+/**
+ * Turn a base64-encoded image into a unit of MCP image content.
+ *
+ * @param {number} page - Page number
+ * @param {{base64: string, mimeType: string, width: number, height: number}} img
+ */
+export function imageUnit(page, img) {
+    return {
+        page,
+        tokens: Math.ceil((img.width * img.height) / PIXELS_PER_IMAGE_TOKEN),
+        bytes: img.base64.length,
+        content: { type: "image", data: img.base64, mimeType: img.mimeType },
+    };
+}
+
+/**
+ * A budget that units are charged against. The first unit of a chunk is
+ * always accepted, so paging makes progress even if a unit alone is too big.
+ * Headers and footers go through charge() and never block that first unit.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxTokens] - Token budget (default: 20000 if no maxBytes)
+ * @param {number} [options.maxBytes] - Byte budget
+ */
+export function createBudget({ maxTokens, maxBytes } = {}) {
+    const limits = {
+        tokens: maxTokens ?? (maxBytes ? Infinity : DEFAULT_MAX_TOKENS),
+        bytes: maxBytes ?? Infinity,
+    };
+    for (const [name, value] of Object.entries(limits)) {
+        if (!(value > 0)) {
+            throw new Error(
+                `Budget must be a positive number (got ${name} ${value})`
+            );
+        }
+    }
+
+    const used = { tokens: 0, bytes: 0, units: 0 };
+
+    return {
+        /** Largest text unit worth producing under this budget */
+        unitTokens: Math.min(
+            limits.tokens,
+            Math.floor(limits.bytes / CHARS_PER_TOKEN)
+        ),
+        /** Charge something that is sent with every chunk, such as a header */
+        charge(unit) {
+            used.tokens += unit.tokens;
+            used.bytes += unit.bytes;
+        },
+        /** Charge a unit; returns false (and charges nothing) if it does not fit */
+        take(unit) {
+            const fits =
+                used.units === 0 ||
+                (used.tokens + unit.tokens <= limits.tokens &&
+                    used.bytes + unit.bytes <= limits.bytes);
+            if (!fits) return false;
+            used.tokens += unit.tokens;
+            used.bytes += unit.bytes;
+            used.units++;
+            return true;
+        },
+        used,
+    };
+}
+
+/**
+ * Fingerprint of a request, so a cursor cannot be replayed against another
+ * document or page selection.
+ *
+ * @param {...*} parts - Anything that identifies the response being paged
+ * @returns {string}
+ */
+export function fingerprint(...parts) {
+    return crypto
+        .createHash("sha1")
+        .update(JSON.stringify(parts))
+        .digest("base64url")
+        .slice(0, 12);
+}
+
+/**
+ * Encode a position (page number and unit index within that page) as a cursor.
+ */
+export function encodeCursor(fingerprintValue, page, unit) {
+    return Buffer.from(
+        JSON.stringify({ f: fingerprintValue, p: page, u: unit })
+    ).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor().
+ *
+ * @param {string|undefined} cursor
+ * @param {string} fingerprintValue - Fingerprint of the current request
+ * @returns {{page: number, unit: number}|null} null when there is no cursor
+ */
+export function decodeCursor(cursor, fingerprintValue) {
+    if (!cursor) return null;
+
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+        throw new Error("Invalid cursor");
+    }
+    if (!state || !Number.isInteger(state.p) || !Number.isInteger(state.u)) {
+        throw new Error("Invalid cursor");
+    }
+    if (state.f !== fingerprintValue) {
+        throw new Error(
+            "Cursor does not match this document and page selection. " +
+            "Repeat the request with the same parameters as the one that returned it."
+        );
+    }
+
+    return { page: state.p, unit: state.u };
+}
+
+/**
+ * Fill one chunk with units, page by page, starting at a cursor position.
+ *
+ * @param {number[]} pages - Page numbers in the order they are sent
+ * @param {(page: number) => Promise<Array<object>>} loadUnits - Units of one page
+ * @param {object} budget - From createBudget()
+ * @param {{page: number, unit: number}|null} start - From decodeCursor()
+ * @param {string} fingerprintValue - Fingerprint of the current request
+ * @returns {Promise<{units: Array<object>, nextCursor: string|null}>}
+ */
+export async function fillChunk(
+    pages,
+    loadUnits,
+    budget,
+    start,
+    fingerprintValue
+) {
+    let index = 0;
+    let skip = 0;
+    if (start) {
+        index = pages.indexOf(start.page);
+        if (index === -1) throw new Error("Invalid cursor");
+        skip = start.unit;
+    }
+
+    const units = [];
+    for (; index < pages.length; index++) {
+        const page = pages[index];
+        const pageUnits = await loadUnits(page);
+
+        for (let u = skip; u < pageUnits.length; u++) {
+            if (!budget.take(pageUnits[u])) {
+                return {
+                    units,
+                    nextCursor: encodeCursor(fingerprintValue, page, u),
+                };
+            }
+            units.push(pageUnits[u]);
+        }
+        skip = 0;
+    }
+
+    return { units, nextCursor: null };
+}
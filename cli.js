@@ -5,20 +5,114 @@
  *
  * Usage:
  *   node cli.js text <pdf-path>          Extract text from a PDF
+ *   (<pdf-path> may also be an http(s) URL, a data URI or "-" for stdin,
+ *   and an XPS, EPUB, CBZ, FB2 or MOBI document or a TIFF/PNG/JPEG/GIF image)
  *   node cli.js images <pdf-path>        Extract images from a PDF
  *   node cli.js all <pdf-path>           Extract text + images from a PDF
- *   node cli.js serve                    Start MCP server
+ *   node cli.js render <pdf-path> <page> --bbox x,y,w,h  Render one area of a page
+ *   node cli.js layout <pdf-path>        Extract blocks, lines and spans as JSON
+ *   node cli.js markdown <pdf-path>      Convert a PDF to Markdown
+ *   node cli.js tables <pdf-path>        Extract tables to CSV/JSON/Markdown files
+ *   node cli.js search <pdf-path> <query> Search text (literal or regex)
+ *   node cli.js outline <pdf-path>       Show the outline (bookmarks)
+ *   node cli.js section <pdf-path> <id|title> Extract one outline section
+ *   node cli.js links <pdf-path>         List hyperlinks and cross-references
+ *   node cli.js annotations <pdf-path>   List comments, highlights and other annotations
+ *   node cli.js form <pdf-path>          List form fields and their values
+ *   node cli.js attachments <pdf-path>   Save embedded files (attachments)
+ *   node cli.js diff <original> <revised> Compare two versions of a PDF
+ *   node cli.js batch <command> <paths|dirs|globs...> -o <dir>  Run a command on many PDFs
+ *   node cli.js watch <dir> [command] -o <dir>  Process PDFs as they arrive in a folder
+ *   node cli.js serve [--root <dir>]     Start MCP server (stdio)
+ *   node cli.js serve --http [--port 8787] Start MCP server over HTTP
  *
  * Options:
  *   --output-dir, -o   Directory for extracted images
- *   --format, -f       Image format: png or jpeg (default: png)
- *   --dpi, -d          DPI for image rendering (default: 150)
+ *   --format, -f       Image format: png, jpeg, webp or avif (default: png)
+ *                      Table format: csv, json or markdown (default: csv)
+ *   --dpi, -d          DPI for image rendering (default: 150, render: 300)
+ *   --bbox             Area to render: x,y,w,h in points (top-left origin)
+ *   --fraction         The --bbox values are fractions of the page size
+ *   --width, --height  Target pixel size of a rendered area (instead of --dpi)
+ *   --max-width        Scale images down to fit this width
+ *   --max-height       Scale images down to fit this height
+ *   --quality          JPEG/WebP/AVIF quality, 1-100
+ *   --grayscale        Convert images to grayscale
+ *   --trim             Trim the margins of page renders
+ *   --thumbnail        Also save thumbnails fitting in a square of this size
+ *   --mode             Images to extract: pages, embedded or both (default: both)
+ *   --min-width        Skip embedded images narrower than this
+ *   --min-height       Skip embedded images lower than this
+ *   --min-area         Skip embedded images with fewer pixels than this
+ *   --dedupe           Extract each distinct embedded image once
+ *   --passthrough      Save embedded JPEG/JPEG 2000 images unchanged
+ *   --pages, -p        Page selection, e.g. "1-5,12,20-" or "last" (default: all)
+ *   --password         Password for encrypted PDFs (or set PDF_PASSWORD)
+ *   --ocr              OCR pages without text: auto, off or force (default: auto)
+ *   --ocr-engine       OCR engine: tesseract.js or command (default: tesseract.js)
+ *   --ocr-lang         OCR languages, e.g. eng+deu (default: eng)
+ *   --ocr-dpi          Resolution pages are rendered at for OCR (default: 300)
+ *   --page-size        Page size for EPUB, FB2 and MOBI: A4, A5, letter, WxH (default: A5)
  *   --base64, -b       Output images as base64 (default: false)
+ *   --no-images        Markdown without extracting images
+ *   --regex            Treat the search query as a regular expression
+ *   --case-sensitive   Match case exactly when searching
+ *   --highlight        Render pages with search hits highlighted
+ *   --max-hits         Maximum number of search hits (default: 500)
+ *   --broken           Only list broken internal links (exit code 1 if any)
+ *   --list             List attachments without saving them
+ *   --visual           Diff: also render changed pages as "overlay" or "side-by-side"
+ *   --headers-footers  Diff: also compare running headers and footers
+ *   --recursive, -r    Batch: also process PDFs in subdirectories
+ *   --concurrency      Batch: PDFs processed at the same time (default: 4)
+ *   --jsonl            Batch: print one JSON record per PDF instead of progress lines
+ *   --continue-on-error  Batch: keep going when a PDF fails
+ *   --settle           Watch: seconds a PDF must stay unchanged before processing (default: 2)
+ *   --interval         Watch: seconds between folder scans (default: 2)
+ *   --processed        Watch: move processed PDFs to this directory
+ *   --failed           Watch: move PDFs that failed to this directory
+ *   --state            Watch: state file (default: <output-dir>/.watch-state.json)
+ *   --root             Directory whose PDFs the MCP server lists as resources
+ *   --allow-read       Directory the MCP server may read PDFs from (or set PDF_READ_ROOTS)
+ *   --allow-write      Directory the MCP server may write files to (or set PDF_WRITE_ROOTS)
+ *   --http             Serve MCP over Streamable HTTP (and SSE) instead of stdio
+ *   --port, --host     HTTP address (default: 127.0.0.1:8787)
+ *   --token            Require this bearer token over HTTP (or set PDF_MCP_TOKEN)
+ *   --allowed-host     Host name clients may reach the HTTP server under (repeatable)
+ *   --allowed-origin   Browser origin allowed to call the HTTP server (repeatable)
+ *   --cache-dir        Directory for the on-disk extraction cache (or set PDF_CACHE_DIR)
+ *   --no-cache         Disable the extraction cache
  *   --json, -j         Output as JSON (default: false)
  */
 
-import { extractText, extractImages, extractAll } from "./extract_pdf.js";
+import {
+    extractText,
+    extractImages,
+    extractAll,
+    extractStructured,
+    extractMarkdown,
+    extractTables,
+    searchPdf,
+    extractOutline,
+    extractSection,
+    extractPages,
+    getDocumentInfo,
+    extractLinks,
+    extractAnnotations,
+    extractForm,
+    extractAttachments,
+    renderRegion,
+    comparePdfs,
+} from "./extract_pdf.js";
+import { tableToMarkdown } from "./tables.js";
+import { formatWordDiff } from "./compare.js";
+import { configureCache } from "./cache.js";
+import { expandInputs, mirrorPath, runBatch } from "./batch.js";
+import { watchFolder } from "./watch_folder.js";
+import { closeOcrEngines } from "./ocr.js";
+import { openPdfInput } from "./input.js";
 import { execFile } from "child_process";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -29,29 +123,98 @@ function parseArgs(args) {
     const parsed = {
         command: null,
         pdfPath: null,
+        query: null,
+        rest: [],
         outputDir: null,
-        format: "png",
-        dpi: 150,
+        format: null,
+        dpi: null,
+        bbox: null,
+        fraction: false,
+        width: null,
+        height: null,
+        maxWidth: null,
+        maxHeight: null,
+        quality: null,
+        grayscale: false,
+        trim: false,
+        thumbnailSize: null,
+        mode: "both",
+        minWidth: null,
+        minHeight: null,
+        minArea: null,
+        dedupe: false,
+        passthrough: false,
+        pages: null,
+        password: process.env.PDF_PASSWORD || null,
+        ocr: null,
+        ocrEngine: null,
+        ocrLanguages: null,
+        ocrDpi: null,
+        pageSize: null,
         base64: false,
+        images: true,
+        regex: false,
+        caseSensitive: false,
+        highlight: false,
+        maxHits: 500,
+        brokenOnly: false,
+        list: false,
+        visual: null,
+        headersFooters: false,
+        roots: [],
+        readRoots: [],
+        writeRoots: [],
+        http: false,
+        port: null,
+        host: null,
+        token: null,
+        allowedHosts: [],
+        allowedOrigins: [],
+        recursive: false,
+        concurrency: 4,
+        jsonl: false,
+        continueOnError: false,
+        settle: 2,
+        interval: 2,
+        processedDir: null,
+        failedDir: null,
+        statePath: null,
+        cache: true,
+        cacheDir: process.env.PDF_CACHE_DIR || null,
         json: false,
     };
 
     let i = 0;
     while (i < args.length) {
         const arg = args[i];
+        // "-" reads the PDF from stdin
+        const positional = arg === "-" || !arg.startsWith("-");
 
-        if (!parsed.command && !arg.startsWith("-")) {
+        if (!parsed.command && positional) {
             parsed.command = arg;
             i++;
             continue;
         }
 
-        if (!parsed.pdfPath && !arg.startsWith("-") && parsed.command) {
+        if (!parsed.pdfPath && positional && parsed.command) {
             parsed.pdfPath = arg;
             i++;
             continue;
         }
 
+        if (parsed.query === null && positional && parsed.pdfPath) {
+            parsed.query = arg;
+            i++;
+            continue;
+        }
+
+        // Further inputs of a batch run
+        if (positional && parsed.query !== null) {
+            parsed.rest.push(arg);
+            i++;
+            continue;
+        }
+
         switch (arg) {
             case "--output-dir":
             case "-o":
@@ -65,10 +228,168 @@ function parseArgs(args) {
             case "-d":
                 parsed.dpi = parseInt(args[++i], 10);
                 break;
+            case "--bbox":
+                parsed.bbox = args[++i];
+                break;
+            case "--fraction":
+                parsed.fraction = true;
+                break;
+            case "--width":
+                parsed.width = parseInt(args[++i], 10);
+                break;
+            case "--height":
+                parsed.height = parseInt(args[++i], 10);
+                break;
+            case "--max-width":
+                parsed.maxWidth = parseInt(args[++i], 10);
+                break;
+            case "--max-height":
+                parsed.maxHeight = parseInt(args[++i], 10);
+                break;
+            case "--quality":
+                parsed.quality = parseInt(args[++i], 10);
+                break;
+            case "--grayscale":
+                parsed.grayscale = true;
+                break;
+            case "--trim":
+                parsed.trim = true;
+                break;
+            case "--thumbnail":
+                parsed.thumbnailSize = parseInt(args[++i], 10);
+                break;
+            case "--mode":
+                parsed.mode = args[++i];
+                break;
+            case "--min-width":
+                parsed.minWidth = parseInt(args[++i], 10);
+                break;
+            case "--min-height":
+                parsed.minHeight = parseInt(args[++i], 10);
+                break;
+            case "--min-area":
+                parsed.minArea = parseInt(args[++i], 10);
+                break;
+            case "--dedupe":
+                parsed.dedupe = true;
+                break;
+            case "--passthrough":
+                parsed.passthrough = true;
+                break;
+            case "--pages":
+            case "-p":
+                parsed.pages = args[++i];
+                break;
+            case "--password":
+                parsed.password = args[++i];
+                break;
+            case "--ocr":
+                parsed.ocr = args[++i];
+                break;
+            case "--ocr-engine":
+                parsed.ocrEngine = args[++i];
+                break;
+            case "--ocr-lang":
+                parsed.ocrLanguages = args[++i];
+                break;
+            case "--ocr-dpi":
+                parsed.ocrDpi = parseInt(args[++i], 10);
+                break;
+            case "--page-size":
+                parsed.pageSize = args[++i];
+                break;
             case "--base64":
             case "-b":
                 parsed.base64 = true;
                 break;
+            case "--no-images":
+                parsed.images = false;
+                break;
+            case "--regex":
+                parsed.regex = true;
+                break;
+            case "--case-sensitive":
+                parsed.caseSensitive = true;
+                break;
+            case "--highlight":
+                parsed.highlight = true;
+                break;
+            case "--max-hits":
+                parsed.maxHits = parseInt(args[++i], 10);
+                break;
+            case "--broken":
+                parsed.brokenOnly = true;
+                break;
+            case "--list":
+                parsed.list = true;
+                break;
+            case "--visual":
+                parsed.visual = args[++i];
+                break;
+            case "--headers-footers":
+                parsed.headersFooters = true;
+                break;
+            case "--root":
+                parsed.roots.push(args[++i]);
+                break;
+            case "--allow-read":
+                parsed.readRoots.push(args[++i]);
+                break;
+            case "--allow-write":
+                parsed.writeRoots.push(args[++i]);
+                break;
+            case "--http":
+                parsed.http = true;
+                break;
+            case "--port":
+                parsed.port = parseInt(args[++i], 10);
+                break;
+            case "--host":
+                parsed.host = args[++i];
+                break;
+            case "--token":
+                parsed.token = args[++i];
+                break;
+            case "--allowed-host":
+                parsed.allowedHosts.push(args[++i]);
+                break;
+            case "--allowed-origin":
+                parsed.allowedOrigins.push(args[++i]);
+                break;
+            case "--recursive":
+            case "-r":
+                parsed.recursive = true;
+                break;
+            case "--concurrency":
+                parsed.concurrency = parseInt(args[++i], 10);
+                break;
+            case "--jsonl":
+                parsed.jsonl = true;
+                break;
+            case "--continue-on-error":
+                parsed.continueOnError = true;
+                break;
+            case "--settle":
+                parsed.settle = parseFloat(args[++i]);
+                break;
+            case "--interval":
+                parsed.interval = parseFloat(args[++i]);
+                break;
+            case "--processed":
+                parsed.processedDir = args[++i];
+                break;
+            case "--failed":
+                parsed.failedDir = args[++i];
+                break;
+            case "--state":
+                parsed.statePath = args[++i];
+                break;
+            case "--cache-dir":
+                parsed.cacheDir = args[++i];
+                break;
+            case "--no-cache":
+                parsed.cache = false;
+                break;
             case "--json":
             case "-j":
                 parsed.json = true;
@@ -89,67 +410,663 @@ function printHelp() {
 
 Usage:
   node cli.js <command> <pdf-path> [options]
+  node cli.js search <pdf-path> <query> [options]
+  node cli.js section <pdf-path> <id|title> [options]
+  node cli.js render <pdf-path> <page> --bbox x,y,w,h [options]
+  node cli.js diff <original-pdf> <revised-pdf> [options]
+  node cli.js batch <command> <pdf|dir|glob>... -o <dir> [options]
+  node cli.js watch <dir> [command] -o <dir> [options]
+
+  <pdf-path> may also be an http(s) URL, a data URI, or - to read stdin.
+  Besides PDFs, XPS, EPUB, CBZ, FB2 and MOBI documents and TIFF, PNG, JPEG
+  and GIF images are read the same way.
 
 Commands:
   text     Extract text from all pages of a PDF
   images   Extract/render images from a PDF
   all      Extract text + images together
+  render   Render one area of a page at high resolution
+  layout   Extract blocks, lines and spans with positions and fonts (JSON)
+  markdown Convert a PDF to Markdown (headings, lists, paragraphs, images)
+  tables   Detect tables and save one file per table
+  search   Find a word, phrase or regex and show hits with snippets
+  outline  Show the outline (bookmarks) with section ids
+  section  Extract the text of one outline section, by id or title
+  links    List links with their anchor text and target URL or page
+  annotations  List comments, highlights and other annotations
+  form     List form fields with their values
+  attachments  Save the files embedded in a PDF (XML invoices, spreadsheets, ...)
+  diff     Compare two versions of a PDF paragraph by paragraph, with page
+           alignment and metadata changes (exit code 1 if they differ)
+  batch    Run text, markdown, images, all, tables, layout, links, annotations,
+           form, outline or attachments on many PDFs, mirroring their folders
+           below the output directory and writing a manifest.json
+  watch    Watch a folder and run a command (default: text) on each PDF once
+           it has been fully written, with a JSON sidecar per PDF
   serve    Start the MCP server for AI agent integration
 
 Options:
   -o, --output-dir  Directory for extracted images (default: PDF's directory)
-  -f, --format      Image format: png | jpeg (default: png)
-  -d, --dpi         DPI for rendering (default: 150)
+  -f, --format      Image format: png | jpeg | webp | avif (default: png)
+                    Table format: csv | json | markdown (default: csv)
+  -d, --dpi         DPI for rendering (default: 150, render: 300)
+      --bbox        Area to render: x,y,w,h in points, top-left origin
+      --fraction    Read --bbox as fractions of the page size (0-1)
+      --width       Target width of a rendered area in pixels (instead of --dpi)
+      --height      Target height of a rendered area in pixels (instead of --dpi)
+      --max-width   Scale images down to fit this width (pixels)
+      --max-height  Scale images down to fit this height (pixels)
+      --quality     JPEG/WebP/AVIF quality, 1-100
+      --grayscale   Convert images to grayscale
+      --trim        Trim the white margins of page renders
+      --thumbnail   Also save thumbnails fitting in a square of this size
+      --mode        Images to extract: pages | embedded | both (default: both)
+      --min-width   Skip embedded images narrower than this (pixels)
+      --min-height  Skip embedded images lower than this (pixels)
+      --min-area    Skip embedded images with fewer pixels than this
+      --dedupe      Extract each distinct embedded image once (e.g. logos)
+      --passthrough Save embedded JPEG/JPEG 2000 images as stored in the PDF
+  -p, --pages       Pages to extract, e.g. "1-5,12,20-" or "last" (default: all)
+      --password    Password for encrypted PDFs (prefer the PDF_PASSWORD
+                    environment variable to keep it out of shell history)
+      --ocr         OCR pages without a text layer: auto (scanned pages) |
+                    off | force (every page) (default: auto, or PDF_OCR)
+      --ocr-engine  OCR engine: tesseract.js | command (runs PDF_OCR_COMMAND,
+                    by default a local tesseract) (default: tesseract.js)
+      --ocr-lang    OCR languages, e.g. eng+deu (default: eng)
+      --ocr-dpi     Resolution pages are rendered at for OCR (default: 300)
+      --page-size   Page size EPUB, FB2 and MOBI documents are laid out at:
+                    A4 | A5 | A6 | letter | legal | WIDTHxHEIGHT in points
+                    (default: A5, or PDF_PAGE_SIZE)
   -b, --base64      Return images as base64 strings
+      --no-images   Convert to Markdown without extracting images
+      --regex       Treat the search query as a regular expression
+      --case-sensitive  Match case exactly when searching
+      --highlight   Save pages with search hits highlighted (to --output-dir)
+      --max-hits    Maximum number of search hits (default: 500)
+      --broken      Only list internal links to missing pages (exit code 1
+                    if any are found)
+      --list        List attachments without saving them
+      --visual      Diff: also render the pages that differ, as overlay |
+                    side-by-side (to --output-dir)
+      --headers-footers  Diff: also compare running headers and footers
+  -r, --recursive   Batch: also process PDFs in subdirectories
+      --concurrency Batch: PDFs processed at the same time (default: 4)
+      --jsonl       Batch: print one JSON record per PDF instead of progress
+      --continue-on-error  Batch: keep going when a PDF fails (the exit code
+                    is still 1 if any failed)
+      --settle      Watch: seconds a PDF must stay unchanged before it is
+                    processed (default: 2)
+      --interval    Watch: seconds between folder scans (default: 2)
+      --processed   Watch: move processed PDFs to this directory
+      --failed      Watch: move PDFs that failed to this directory
+      --state       Watch: file remembering processed PDFs across restarts
+                    (default: <output-dir>/.watch-state.json)
+      --root        Serve the PDFs in this directory as MCP resources
+                    (repeatable; or set PDF_ROOTS)
+      --allow-read  Only let the MCP server read PDFs inside this directory
+                    (repeatable; or set PDF_READ_ROOTS)
+      --allow-write Only let the MCP server write files inside this directory
+                    (repeatable; or set PDF_WRITE_ROOTS)
+      --http        Serve MCP over Streamable HTTP (with SSE fallback)
+      --port        HTTP port (default: 8787)
+      --host        HTTP interface (default: 127.0.0.1; 0.0.0.0 for all)
+      --token       Require "Authorization: Bearer <token>" over HTTP
+                    (prefer the PDF_MCP_TOKEN environment variable)
+      --allowed-host  Host name clients reach the HTTP server under, besides
+                    localhost and --host (repeatable; or PDF_MCP_ALLOWED_HOSTS)
+      --allowed-origin  Browser origin allowed to call the HTTP server
+                    (repeatable; or set PDF_MCP_ALLOWED_ORIGINS)
+      --cache-dir   Keep extracted text and rendered pages in this directory
+                    between runs (or set PDF_CACHE_DIR)
+      --no-cache    Disable the extraction cache
   -j, --json        Output results as JSON
 
 Examples:
   node cli.js text document.pdf
   node cli.js images report.pdf -o ./images -f jpeg -d 300
+  node cli.js images scan.pdf -f webp --max-width 1024 --quality 70 --trim
+  node cli.js images brochure.pdf --mode embedded --dedupe --passthrough --min-area 1024
+  node cli.js text manual.pdf --pages "1-5,12,20-"
+  curl -s https://example.com/report.pdf | node cli.js text -
+  node cli.js markdown https://arxiv.org/pdf/1706.03762 -o ./images
+  node cli.js text scan.pdf --json --ocr-lang eng+deu
+  PDF_OCR_LANG_PATH=./tessdata node cli.js text fax.pdf --ocr force --ocr-engine command
+  node cli.js text scans.tiff
+  node cli.js markdown handbook.epub --page-size A4 -o ./images > handbook.md
+  node cli.js render report.pdf 3 --bbox 72,400,300,200 -d 600
+  node cli.js render report.pdf 3 --bbox 0,0.5,1,0.5 --fraction --width 2000
   node cli.js all presentation.pdf --json
+  node cli.js layout spec.pdf --pages 3
+  node cli.js markdown manual.pdf -o ./images > manual.md
+  node cli.js tables report.pdf -o ./tables -f markdown
+  node cli.js search spec.pdf "shall not" --highlight -o ./hits
+  node cli.js search invoice.pdf "INV-\\d+" --regex
+  node cli.js images big.pdf -o ./pages --cache-dir ~/.cache/pdf-extractor
+  node cli.js outline book.pdf
+  node cli.js section book.pdf 2.1
+  node cli.js section book.pdf "Installation"
+  node cli.js links manual.pdf
+  node cli.js links manual.pdf --broken
+  node cli.js annotations reviewed.pdf
+  node cli.js form application.pdf --json
+  node cli.js attachments invoice.pdf -o ./attachments
+  node cli.js diff contract-v1.pdf contract-v2.pdf
+  node cli.js diff spec-a.pdf spec-b.pdf --visual overlay -o ./diff -d 100
+  node cli.js batch text ./invoices -r -o ./out --continue-on-error
+  node cli.js batch markdown "scans/2024-*.pdf" extra.pdf -o ./md --jsonl > runs.jsonl
+  node cli.js watch ./inbox all -o ./out -f webp --processed ./done --failed ./failed
   node cli.js serve
+  node cli.js serve --root ~/Documents/papers --root ./specs
+  node cli.js serve --allow-read ~/Documents --allow-write /tmp/pdf-out
+  PDF_MCP_TOKEN=secret node cli.js serve --http --port 8787 --host 0.0.0.0
 `);
 }
 
-function formatTextOutput(result) {
+/**
+ * A "Format: EPUB" line for documents that are not PDFs.
+ */
+function formatDocumentFormat(result) {
+    return result.documentFormat && result.documentFormat !== "PDF"
+        ? `Format: ${result.documentFormat}\n`
+        : "";
+}
+
+function formatTextHeader(result) {
     let output = "";
     output += `\n📄 PDF: ${result.file}\n`;
     output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
     output += `Pages: ${result.totalPages}\n`;
+    if (result.selectedPages.length !== result.totalPages) {
+        output += `Selected: ${result.selectedPages.join(", ")}\n`;
+    }
 
     if (result.metadata.title) output += `Title: ${result.metadata.title}\n`;
     if (result.metadata.author) output += `Author: ${result.metadata.author}\n`;
+    if (result.metadata.encrypted) {
+        const permissions = Object.entries(result.metadata.permissions)
+            .map(([name, allowed]) => `${name} ${allowed ? "✓" : "✗"}`)
+            .join(", ");
+        output += `Encryption: ${result.metadata.encryption} (${permissions})\n`;
+    }
 
     output += `\n`;
+    return output;
+}
+
+function formatTextPage(page) {
+    let label = `Page ${page.page}`;
+    if (page.textSource === "ocr") {
+        const { confidence } = page.ocr;
+        label +=
+            confidence === null
+                ? " (OCR)"
+                : ` (OCR, ${Math.round(confidence)}% confidence)`;
+    }
+    return (
+        `── ${label} ${"─".repeat(45)}\n` +
+        `${page.text || "(empty page)"}\n\n`
+    );
+}
+
+function formatTablesOutput(result) {
+    let output = "";
+    output += `\n📊 Tables from: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Pages: ${result.totalPages}\n`;
+    output += `Tables: ${result.totalTables}\n`;
+
+    for (const table of result.tables) {
+        output += `\n── Page ${table.page}, table #${table.tableIndex} `;
+        output += `(${table.rows}×${table.columns})`;
+        if (table.path) output += ` → ${table.path}`;
+        output += `\n${tableToMarkdown(table.cells)}\n`;
+    }
+
+    return output;
+}
+
+function formatSearchOutput(result) {
+    let output = "";
+    output += `\n🔎 Search in: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Query: ${result.query}\n`;
+    output += `Hits: ${result.totalHits}`;
+    if (result.truncated) output += ` (limit reached)`;
+    output += `\n\n`;
+
+    for (const hit of result.hits) {
+        const { x, y, w, h } = hit.bbox;
+        output += `  • Page ${hit.page} [${x},${y} ${w}×${h}]: ${hit.snippet}\n`;
+    }
+
+    for (const img of result.images) {
+        output += `\n  🖍️ Page ${img.page} highlighted → ${img.path}`;
+    }
+
+    return output;
+}
+
+function formatOutlineOutput(result) {
+    let output = "";
+    output += `\n📑 Outline of: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+
+    if (result.outline.length === 0) {
+        output += `  (This PDF has no outline)\n`;
+    }
+
+    const printEntries = (entries) => {
+        for (const entry of entries) {
+            const indent = "  ".repeat(entry.level);
+            const target = entry.page
+                ? ` (p. ${entry.page})`
+                : entry.uri
+                  ? ` → ${entry.uri}`
+                  : "";
+            output += `${indent}${entry.id} ${entry.title}${target}\n`;
+            printEntries(entry.children);
+        }
+    };
+    printEntries(result.outline);
+
+    return output;
+}
+
+function formatSectionOutput(result) {
+    let output = "";
+    output += `\n📖 Section: ${result.section.id} ${result.section.title}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += `File: ${result.file}\n`;
+    output += formatDocumentFormat(result);
+    output += `Pages: ${result.startPage}-${result.endPage} of ${result.totalPages}\n\n`;
+    output += result.text || "(No text found in this section)";
+    return output;
+}
+
+function formatLinksOutput(result, brokenOnly) {
+    let output = "";
+    output += `\n🔗 Links in: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Links: ${result.totalLinks}\n`;
+    output += `Broken: ${result.brokenLinks}\n\n`;
 
     for (const page of result.pages) {
+        const links = brokenOnly
+            ? page.links.filter((link) => link.broken)
+            : page.links;
+        if (links.length === 0) continue;
+
         output += `── Page ${page.page} ${"─".repeat(45)}\n`;
-        output += `${page.text || "(empty page)"}\n\n`;
+        for (const link of links) {
+            output += `  • ${link.text ? `"${link.text}"` : "(no text)"} → `;
+            if (link.external) output += link.uri;
+            else if (link.broken) output += `⚠️ broken (${link.uri || "no destination"})`;
+            else output += `page ${link.page}`;
+            output += `\n`;
+        }
+        output += `\n`;
     }
 
     return output;
 }
 
-function formatImagesOutput(result) {
+function formatAnnotationsOutput(result) {
     let output = "";
-    output += `\n🖼️ Images from: ${result.file}\n`;
+    output += `\n💬 Annotations in: ${result.file}\n`;
     output += `${"━".repeat(60)}\n`;
-    output += `Pages: ${result.totalPages}\n`;
-    output += `Images: ${result.totalImages}\n\n`;
+    output += formatDocumentFormat(result);
+    output += `Annotations: ${result.totalAnnotations}\n\n`;
 
-    for (const img of result.images) {
-        const type =
-            img.type === "embedded"
-                ? `embedded img #${img.imageIndex}`
-                : `full page`;
-        output += `  • Page ${img.page} (${type}): ${img.width}×${img.height}px`;
-        if (img.path) output += ` → ${img.path}`;
+    for (const page of result.pages) {
+        output += `── Page ${page.page} ${"─".repeat(45)}\n`;
+        for (const annot of page.annotations) {
+            output += `  • ${annot.type}`;
+            if (annot.author) output += ` by ${annot.author}`;
+            if (annot.modified || annot.created)
+                output += ` (${annot.modified || annot.created})`;
+            output += `\n`;
+            if (annot.text) output += `    Text: "${annot.text}"\n`;
+            if (annot.contents) output += `    Comment: ${annot.contents}\n`;
+        }
+        output += `\n`;
+    }
+
+    return output;
+}
+
+function formatFormOutput(result) {
+    let output = "";
+    output += `\n📝 Form fields in: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Fields: ${result.totalFields}\n\n`;
+
+    for (const field of result.fields) {
+        let value = field.value;
+        if (Array.isArray(value)) value = value.join(", ");
+        if (typeof value === "boolean") value = value ? "checked" : "unchecked";
+        output += `  • ${field.name} (${field.type}`;
+        if (field.required) output += `, required`;
+        if (field.page) output += `, page ${field.page}`;
+        output += `): ${value === null || value === "" ? "(empty)" : value}\n`;
+    }
+
+    return output;
+}
+
+function formatAttachmentsOutput(result) {
+    let output = "";
+    output += `\n📎 Attachments in: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Attachments: ${result.totalAttachments}\n\n`;
+
+    for (const file of result.attachments) {
+        output += `  • ${file.name} (${file.mimeType}, ${file.size} bytes`;
+        if (file.page) output += `, page ${file.page}`;
+        output += `)`;
+        if (file.path) output += ` → ${file.path}`;
+        output += `\n`;
+        if (file.description) output += `    Description: ${file.description}\n`;
+    }
+
+    return output;
+}
+
+function formatCompareOutput(result) {
+    const { summary } = result;
+    const pageLabel = (pages) =>
+        pages.length > 1
+            ? `pages ${pages[0]}-${pages[pages.length - 1]}`
+            : `page ${pages[0]}`;
+
+    let output = "";
+    output += `\n🆚 Comparing: ${result.original.file} (${result.original.totalPages} pages)\n`;
+    output += `        with: ${result.revised.file} (${result.revised.totalPages} pages)\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += `Paragraphs: ${summary.changed} changed, ${summary.added} added, ${summary.removed} removed\n`;
+    output += `Pages: ${summary.pagesChanged} changed, ${summary.pagesAdded} added, ${summary.pagesRemoved} removed\n`;
+
+    if (result.metadataChanges.length > 0) {
+        output += `\n📋 Metadata:\n`;
+        for (const change of result.metadataChanges) {
+            output += `  • ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}\n`;
+        }
+    }
+
+    output += `\n📄 Pages (original → revised):\n`;
+    for (const page of result.pages) {
+        output += `  ${String(page.before ?? "—").padStart(4)} → ${String(page.after ?? "—").padEnd(4)} ${page.status}`;
+        if (page.changes) output += ` (${page.changes} change(s))`;
+        if (page.pixelsChanged) output += `, ${(page.pixelsChanged * 100).toFixed(2)}% of pixels`;
         output += `\n`;
     }
 
+    result.changes.forEach((change, i) => {
+        output += `\n── [${i + 1}] `;
+        if (change.type === "changed") {
+            output += `Changed, ${pageLabel(change.pagesBefore)} → ${pageLabel(change.pagesAfter)}\n`;
+            output += `${formatWordDiff(change.words)}\n`;
+        } else if (change.type === "added") {
+            output += `Added, revised ${pageLabel(change.pagesAfter)}\n`;
+            output += `{+${change.after}+}\n`;
+        } else {
+            output += `Removed, original ${pageLabel(change.pagesBefore)}\n`;
+            output += `[-${change.before}-]\n`;
+        }
+    });
+
+    if (result.images.length > 0) {
+        output += `\n🖼️ Differences (${result.images[0].mode}):\n`;
+        for (const img of result.images) {
+            output += `  • Page ${img.before} → ${img.after}: ${img.width}×${img.height}`;
+            if (img.path) output += ` → ${img.path}`;
+            output += `\n`;
+            if (img.base64) output += `    Base64: ${img.base64}\n`;
+        }
+    }
+
+    return output;
+}
+
+function formatRenderOutput(result) {
+    const { x, y, w, h } = result.bbox;
+    let output = "";
+    output += `\n🔍 Region of page ${result.page}: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Region: x=${x}, y=${y}, w=${w}, h=${h} (points)\n`;
+    output += `Image: ${result.width}×${result.height}px at ${result.dpi} DPI\n`;
+    if (result.path) output += `Saved to: ${result.path}\n`;
+    if (result.base64) output += `Base64: ${result.base64}\n`;
+    return output;
+}
+
+function formatImagesHeader(result) {
+    let output = "";
+    output += `\n🖼️ Images from: ${result.file}\n`;
+    output += `${"━".repeat(60)}\n`;
+    output += formatDocumentFormat(result);
+    output += `Pages: ${result.totalPages}\n\n`;
     return output;
 }
 
+function formatImageLine(img) {
+    const type =
+        img.type === "embedded"
+            ? `embedded img #${img.imageIndex}`
+            : `full page`;
+    let output = `  • Page ${img.page} (${type}): ${img.width}×${img.height}px`;
+    if (img.passthrough) output += ` original ${img.format}`;
+    if (img.path) output += ` → ${img.path}`;
+    if (img.thumbnail?.path) output += ` (thumbnail: ${img.thumbnail.path})`;
+    return output + `\n`;
+}
+
+/**
+ * OCR options of extractText/extractPages from the command line.
+ */
+function ocrOptions(opts) {
+    return {
+        ocr: opts.ocr || undefined,
+        ocrEngine: opts.ocrEngine || undefined,
+        ocrLanguages: opts.ocrLanguages || undefined,
+        ocrDpi: opts.ocrDpi || undefined,
+    };
+}
+
+/**
+ * Options of extractImages/extractAll from the command line.
+ */
+function imageOptions(opts) {
+    return {
+        format: opts.format || "png",
+        base64: opts.base64,
+        dpi: opts.dpi || 150,
+        maxWidth: opts.maxWidth,
+        maxHeight: opts.maxHeight,
+        quality: opts.quality,
+        grayscale: opts.grayscale,
+        trim: opts.trim,
+        thumbnailSize: opts.thumbnailSize,
+        mode: opts.mode,
+        minWidth: opts.minWidth,
+        minHeight: opts.minHeight,
+        minArea: opts.minArea,
+        dedupe: opts.dedupe,
+        passthrough: opts.passthrough,
+        pages: opts.pages,
+        password: opts.password,
+        pageSize: opts.pageSize,
+        ...ocrOptions(opts),
+    };
+}
+
+// Commands `batch` can run
+const BATCH_COMMANDS = [
+    "text",
+    "markdown",
+    "images",
+    "all",
+    "tables",
+    "layout",
+    "links",
+    "annotations",
+    "form",
+    "outline",
+    "attachments",
+];
+
+/**
+ * Run a command on one PDF of a batch. Its result goes to `target` plus
+ * ".txt" (text), ".md" (markdown) or ".json" (everything else, or with
+ * --json); images, tables and attachments go to the directory `target`.
+ *
+ * @param {string} command - One of BATCH_COMMANDS
+ * @param {string} file - The PDF
+ * @param {string} target - Mirrored output path without extension
+ * @param {object} opts - Parsed command line
+ * @returns {Promise<{output: string, pages: number}>}
+ */
+async function runBatchFile(command, file, target, opts) {
+    const options = {
+        pages: opts.pages,
+        password: opts.password,
+        pageSize: opts.pageSize,
+    };
+    let result;
+    let text = null;
+    let extension = ".json";
+
+    switch (command) {
+        case "text":
+            result = await extractText(file, {
+                ...options,
+                ...ocrOptions(opts),
+            });
+            text = result.pages.map(formatTextPage).join("");
+            extension = ".txt";
+            break;
+        case "markdown":
+            result = await extractMarkdown(file, {
+                ...options,
+                outputDir: target,
+                format: opts.format || "png",
+                images: opts.images,
+            });
+            text = result.markdown;
+            extension = ".md";
+            break;
+        case "images":
+        case "all": {
+            const extract = command === "all" ? extractAll : extractImages;
+            result = await extract(file, {
+                ...imageOptions(opts),
+                base64: false,
+                outputDir: target,
+            });
+            break;
+        }
+        case "tables":
+            result = await extractTables(file, {
+                ...options,
+                outputDir: target,
+                format: opts.format || "csv",
+            });
+            break;
+        case "layout":
+            result = await extractStructured(file, options);
+            break;
+        case "links":
+            result = await extractLinks(file, options);
+            break;
+        case "annotations":
+            result = await extractAnnotations(file, options);
+            break;
+        case "form":
+            result = await extractForm(file, {
+                password: opts.password,
+                pageSize: opts.pageSize,
+            });
+            break;
+        case "outline":
+            result = await extractOutline(file, {
+                password: opts.password,
+                pageSize: opts.pageSize,
+            });
+            break;
+        case "attachments":
+            result = await extractAttachments(file, {
+                outputDir: target,
+                save: !opts.list,
+                password: opts.password,
+                pageSize: opts.pageSize,
+            });
+            break;
+    }
+
+    if (opts.json || text === null) {
+        text = JSON.stringify(result, null, 2);
+        extension = ".json";
+    }
+    const output = target + extension;
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, text);
+
+    return {
+        output,
+        pages: result.selectedPages?.length ?? result.totalPages,
+    };
+}
+
+// Commands whose first argument is a PDF
+const PDF_COMMANDS = [
+    "text",
+    "images",
+    "all",
+    "render",
+    "layout",
+    "markdown",
+    "tables",
+    "search",
+    "outline",
+    "section",
+    "links",
+    "annotations",
+    "form",
+    "attachments",
+    "diff",
+];
+
+/**
+ * Open a PDF given on the command line: a path, an http(s) URL, a data URI
+ * or "-" for stdin. It is read once, however many times the command uses it.
+ */
+function openCliInput(source, pageSize) {
+    return source === "-"
+        ? openPdfInput(process.stdin, { name: "<stdin>", pageSize })
+        : openPdfInput(source, { pageSize });
+}
+
+function formatBatchRecord(record) {
+    // Watch mode may have moved the PDF afterwards
+    const moved = record.movedTo ? `\n     moved to ${record.movedTo}` : "";
+    if (record.status === "ok") {
+        const pages = record.pages ? `${record.pages} pages, ` : "";
+        return (
+            `  ✅ ${record.file} → ${record.output} ` +
+            `(${pages}${record.durationMs} ms)${moved}\n`
+        );
+    }
+    return `  ❌ ${record.file}: ${record.error}${moved}\n`;
+}
+
 async function main() {
     const args = process.argv.slice(2);
 
@@ -159,70 +1076,587 @@ async function main() {
     }
 
     const opts = parseArgs(args);
+    configureCache({ enabled: opts.cache, dir: opts.cacheDir });
 
     try {
+        if (PDF_COMMANDS.includes(opts.command) && opts.pdfPath) {
+            opts.pdfPath = await openCliInput(opts.pdfPath, opts.pageSize);
+        }
+        if (opts.command === "diff" && opts.query) {
+            opts.query = await openCliInput(opts.query, opts.pageSize);
+        }
+
         switch (opts.command) {
             case "text": {
                 if (!opts.pdfPath) {
                     console.error("Error: Please provide a PDF file path.");
                     process.exit(1);
                 }
-                const result = await extractText(opts.pdfPath);
                 if (opts.json) {
+                    const result = await extractText(opts.pdfPath, {
+                        pages: opts.pages,
+                        password: opts.password,
+                        ...ocrOptions(opts),
+                    });
                     console.log(JSON.stringify(result, null, 2));
-                } else {
-                    console.log(formatTextOutput(result));
+                    break;
+                }
+
+                // Print each page as soon as it is extracted
+                const info = await getDocumentInfo(opts.pdfPath, {
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                process.stdout.write(formatTextHeader(info));
+                for await (const page of extractPages(opts.pdfPath, {
+                    pages: info.selectedPages,
+                    password: opts.password,
+                    images: false,
+                    ...ocrOptions(opts),
+                })) {
+                    process.stdout.write(formatTextPage(page));
                 }
                 break;
             }
 
-            case "images": {
+            case "images":
+            case "all": {
                 if (!opts.pdfPath) {
                     console.error("Error: Please provide a PDF file path.");
                     process.exit(1);
                 }
-                const result = await extractImages(opts.pdfPath, {
+                const withText = opts.command === "all";
+                const options = {
+                    ...imageOptions(opts),
                     outputDir: opts.outputDir,
-                    format: opts.format,
+                };
+                if (opts.json) {
+                    const result = withText
+                        ? await extractAll(opts.pdfPath, options)
+                        : await extractImages(opts.pdfPath, options);
+                    console.log(JSON.stringify(result, null, 2));
+                    break;
+                }
+
+                // Print each page as soon as it is extracted
+                const info = await getDocumentInfo(opts.pdfPath, options);
+                process.stdout.write(
+                    withText ? formatTextHeader(info) : formatImagesHeader(info)
+                );
+                const images = [];
+                for await (const page of extractPages(opts.pdfPath, {
+                    ...options,
+                    pages: info.selectedPages,
+                    text: withText,
+                })) {
+                    let output = withText ? formatTextPage(page) : "";
+                    output += page.images.map(formatImageLine).join("");
+                    if (withText && page.images.length) output += `\n`;
+                    process.stdout.write(output);
+                    images.push(...page.images);
+                }
+                // Only known once all pages are done
+                for (const img of images) {
+                    if (img.pages?.length > 1) {
+                        console.log(
+                            `  • Page ${img.page} embedded img #${img.imageIndex} also on pages ${img.pages.slice(1).join(", ")}`
+                        );
+                    }
+                }
+                console.log(`\nImages: ${images.length}`);
+                break;
+            }
+
+            case "render": {
+                if (!opts.pdfPath || !opts.query) {
+                    console.error(
+                        "Error: Please provide a PDF file path and a page number."
+                    );
+                    process.exit(1);
+                }
+                const bbox = (opts.bbox || "").split(",").map(Number);
+                if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+                    console.error("Error: Please provide --bbox x,y,w,h.");
+                    process.exit(1);
+                }
+                const result = await renderRegion(opts.pdfPath, {
+                    page: Number(opts.query),
+                    bbox: { x: bbox[0], y: bbox[1], w: bbox[2], h: bbox[3] },
+                    units: opts.fraction ? "fraction" : "points",
+                    dpi: opts.dpi || 300,
+                    width: opts.width,
+                    height: opts.height,
+                    format: opts.format || "png",
                     base64: opts.base64,
-                    dpi: opts.dpi,
+                    outputDir: opts.outputDir || undefined,
+                    password: opts.password,
                 });
                 if (opts.json) {
                     console.log(JSON.stringify(result, null, 2));
                 } else {
-                    console.log(formatImagesOutput(result));
+                    console.log(formatRenderOutput(result));
                 }
                 break;
             }
 
-            case "all": {
+            case "layout": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractStructured(opts.pdfPath, {
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                console.log(JSON.stringify(result, null, 2));
+                break;
+            }
+
+            case "markdown": {
                 if (!opts.pdfPath) {
                     console.error("Error: Please provide a PDF file path.");
                     process.exit(1);
                 }
-                const result = await extractAll(opts.pdfPath, {
+                const result = await extractMarkdown(opts.pdfPath, {
                     outputDir: opts.outputDir,
-                    format: opts.format,
+                    format: opts.format || "png",
+                    images: opts.images,
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(result.markdown);
+                }
+                break;
+            }
+
+            case "tables": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractTables(opts.pdfPath, {
+                    outputDir: opts.outputDir,
+                    format: opts.format || "csv",
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatTablesOutput(result));
+                }
+                break;
+            }
+
+            case "search": {
+                if (!opts.pdfPath || !opts.query) {
+                    console.error(
+                        "Error: Please provide a PDF file path and a search query."
+                    );
+                    process.exit(1);
+                }
+                const result = await searchPdf(opts.pdfPath, opts.query, {
+                    regex: opts.regex,
+                    caseSensitive: opts.caseSensitive,
+                    maxHits: opts.maxHits,
+                    highlight: opts.highlight,
+                    outputDir: opts.outputDir,
+                    format: opts.format || "png",
+                    dpi: opts.dpi || 150,
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatSearchOutput(result));
+                }
+                break;
+            }
+
+            case "outline": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractOutline(opts.pdfPath, {
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatOutlineOutput(result));
+                }
+                break;
+            }
+
+            case "section": {
+                if (!opts.pdfPath || !opts.query) {
+                    console.error(
+                        "Error: Please provide a PDF file path and a section id or title."
+                    );
+                    process.exit(1);
+                }
+                const result = await extractSection(opts.pdfPath, opts.query, {
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatSectionOutput(result));
+                }
+                break;
+            }
+
+            case "links": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractLinks(opts.pdfPath, {
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    if (opts.brokenOnly) {
+                        result.pages = result.pages
+                            .map((page) => ({
+                                ...page,
+                                links: page.links.filter((link) => link.broken),
+                            }))
+                            .filter((page) => page.links.length > 0);
+                    }
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatLinksOutput(result, opts.brokenOnly));
+                }
+                // Usable as a check, e.g. in CI
+                if (opts.brokenOnly && result.brokenLinks > 0) process.exitCode = 1;
+                break;
+            }
+
+            case "annotations": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractAnnotations(opts.pdfPath, {
+                    pages: opts.pages,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatAnnotationsOutput(result));
+                }
+                break;
+            }
+
+            case "form": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractForm(opts.pdfPath, {
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatFormOutput(result));
+                }
+                break;
+            }
+
+            case "attachments": {
+                if (!opts.pdfPath) {
+                    console.error("Error: Please provide a PDF file path.");
+                    process.exit(1);
+                }
+                const result = await extractAttachments(opts.pdfPath, {
+                    outputDir: opts.outputDir || undefined,
+                    save: !opts.list,
+                    password: opts.password,
+                });
+                if (opts.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatAttachmentsOutput(result));
+                }
+                break;
+            }
+
+            case "diff": {
+                if (!opts.pdfPath || !opts.query) {
+                    console.error(
+                        "Error: Please provide the original and the revised PDF."
+                    );
+                    process.exit(1);
+                }
+                const result = await comparePdfs(opts.pdfPath, opts.query, {
+                    visual: opts.visual,
+                    dpi: opts.dpi || 100,
+                    format: opts.format || "png",
                     base64: opts.base64,
-                    dpi: opts.dpi,
+                    outputDir: opts.outputDir || undefined,
+                    maxChanges: Infinity,
+                    keepHeadersFooters: opts.headersFooters,
+                    password: opts.password,
                 });
                 if (opts.json) {
                     console.log(JSON.stringify(result, null, 2));
                 } else {
-                    console.log(formatTextOutput(result));
+                    console.log(formatCompareOutput(result));
+                }
+                // Like diff(1): exit code 1 when the documents differ
+                const { summary } = result;
+                if (
+                    result.metadataChanges.length > 0 ||
+                    result.totalChanges > 0 ||
+                    summary.pagesAdded + summary.pagesRemoved + summary.pagesChanged > 0
+                ) {
+                    process.exitCode = 1;
+                }
+                break;
+            }
+
+            case "batch": {
+                const command = opts.pdfPath;
+                const inputs = [opts.query, ...opts.rest].filter(Boolean);
+                if (!BATCH_COMMANDS.includes(command) || inputs.length === 0) {
+                    console.error(
+                        `Error: Please provide a command (${BATCH_COMMANDS.join(", ")}) ` +
+                        `and at least one PDF, directory or glob.`
+                    );
+                    process.exit(1);
+                }
+                if (!opts.outputDir) {
+                    console.error(
+                        "Error: Please provide an output directory (-o) for the results."
+                    );
+                    process.exit(1);
+                }
+                if (!(opts.concurrency > 0)) {
+                    console.error("Error: --concurrency needs a positive number.");
+                    process.exit(1);
+                }
+
+                const outputDir = path.resolve(opts.outputDir);
+                const manifestPath = path.join(outputDir, "manifest.json");
+                const entries = expandInputs(inputs, {
+                    recursive: opts.recursive,
+                });
+
+                // Same-named PDFs from different inputs get numbered outputs
+                const targets = new Map();
+                const used = new Set([path.join(outputDir, "manifest")]);
+                for (const entry of entries) {
+                    const target = mirrorPath(entry, outputDir);
+                    let unique = target;
+                    for (let n = 2; used.has(unique); n++) unique = `${target}-${n}`;
+                    used.add(unique);
+                    targets.set(entry.file, unique);
+                }
+
+                if (!opts.jsonl) {
+                    console.log(
+                        `\n📚 Batch ${command}: ${entries.length} PDF(s) → ${outputDir}\n`
+                    );
+                }
+                const started = new Date();
+                const records = await runBatch(
+                    entries,
+                    (entry) =>
+                        runBatchFile(
+                            command,
+                            entry.file,
+                            targets.get(entry.file),
+                            opts
+                        ),
+                    {
+                        concurrency: opts.concurrency,
+                        continueOnError: opts.continueOnError,
+                        onRecord: (record) => {
+                            if (opts.jsonl) console.log(JSON.stringify(record));
+                            else process.stdout.write(formatBatchRecord(record));
+                        },
+                    }
+                );
+
+                const count = (status) =>
+                    records.filter((record) => record.status === status).length;
+                const manifest = {
+                    command,
+                    outputDir,
+                    started: started.toISOString(),
+                    finished: new Date().toISOString(),
+                    total: records.length,
+                    succeeded: count("ok"),
+                    failed: count("error"),
+                    skipped: count("skipped"),
+                    files: records,
+                };
+                fs.mkdirSync(outputDir, { recursive: true });
+                fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+                if (!opts.jsonl) {
                     console.log(
-                        formatImagesOutput({
-                            file: result.file,
-                            totalPages: result.totalPages,
-                            totalImages: result.totalImages,
-                            images: result.pages.flatMap((p) => p.images || []),
-                        })
+                        `\nDone: ${manifest.succeeded} ok, ${manifest.failed} failed` +
+                        (manifest.skipped ? `, ${manifest.skipped} skipped` : "") +
+                        ` → ${manifestPath}`
                     );
                 }
+                if (manifest.failed > 0) process.exitCode = 1;
+                break;
+            }
+
+            case "watch": {
+                const command = opts.query || "text";
+                if (!opts.pdfPath || !BATCH_COMMANDS.includes(command)) {
+                    console.error(
+                        `Error: Please provide a directory to watch and optionally ` +
+                        `a command (${BATCH_COMMANDS.join(", ")}).`
+                    );
+                    process.exit(1);
+                }
+                if (
+                    !fs.existsSync(opts.pdfPath) ||
+                    !fs.statSync(opts.pdfPath).isDirectory()
+                ) {
+                    console.error(`Error: Not a directory: ${opts.pdfPath}`);
+                    process.exit(1);
+                }
+                if (!opts.outputDir) {
+                    console.error(
+                        "Error: Please provide an output directory (-o) for the results."
+                    );
+                    process.exit(1);
+                }
+                if (!(opts.settle >= 0) || !(opts.interval > 0)) {
+                    console.error(
+                        "Error: --settle and --interval need a number of seconds."
+                    );
+                    process.exit(1);
+                }
+
+                const inbox = path.resolve(opts.pdfPath);
+                const outputDir = path.resolve(opts.outputDir);
+                const statePath = path.resolve(
+                    opts.statePath || path.join(outputDir, ".watch-state.json")
+                );
+
+                // A JSON sidecar next to the results of each PDF, e.g.
+                // out/invoice.pdf.json, written whether it succeeded or not
+                const writeSidecar = (record) => {
+                    const target = mirrorPath(
+                        { file: record.file, base: inbox },
+                        outputDir
+                    );
+                    const sidecar = {
+                        file: record.file,
+                        sha256: record.hash,
+                        command,
+                        status: record.status,
+                        processedAt: new Date().toISOString(),
+                        durationMs: record.durationMs,
+                        output: record.output,
+                        pages: record.pages,
+                        movedTo: record.movedTo,
+                        error: record.error,
+                    };
+                    const sidecarPath = `${target}${path.extname(record.file)}.json`;
+                    fs.mkdirSync(path.dirname(sidecarPath), { recursive: true });
+                    fs.writeFileSync(sidecarPath, JSON.stringify(sidecar, null, 2));
+                };
+
+                if (!opts.jsonl) {
+                    console.log(`\n👀 Watching ${inbox} (${command} → ${outputDir})`);
+                    console.log(`   Press Ctrl+C to stop.\n`);
+                }
+                const watcher = watchFolder(
+                    inbox,
+                    (entry) =>
+                        runBatchFile(
+                            command,
+                            entry.file,
+                            mirrorPath(entry, outputDir),
+                            opts
+                        ),
+                    {
+                        statePath,
+                        recursive: opts.recursive,
+                        settleMs: opts.settle * 1000,
+                        intervalMs: opts.interval * 1000,
+                        processedDir:
+                            opts.processedDir && path.resolve(opts.processedDir),
+                        failedDir: opts.failedDir && path.resolve(opts.failedDir),
+                        // Results written inside the inbox are not inputs
+                        exclude: [outputDir],
+                        onRecord: (record) => {
+                            try {
+                                writeSidecar(record);
+                            } catch (error) {
+                                console.error(`⚠️ Cannot write sidecar: ${error.message}`);
+                            }
+                            if (opts.jsonl) console.log(JSON.stringify(record));
+                            else process.stdout.write(formatBatchRecord(record));
+                        },
+                        log: (message) => console.error(message),
+                    }
+                );
+
+                const stop = async () => {
+                    console.error("\n🛑 Stopping after the current PDF...");
+                    await watcher.close();
+                    process.exit(0);
+                };
+                process.once("SIGINT", stop);
+                process.once("SIGTERM", stop);
                 break;
             }
 
             case "serve": {
+                // The server reads its settings from the environment
+                const roots = {
+                    PDF_ROOTS: opts.roots,
+                    PDF_READ_ROOTS: opts.readRoots,
+                    PDF_WRITE_ROOTS: opts.writeRoots,
+                };
+                for (const [name, dirs] of Object.entries(roots)) {
+                    if (dirs.length > 0) {
+                        process.env[name] = dirs
+                            .map((dir) => path.resolve(dir))
+                            .join(path.delimiter);
+                    }
+                }
+                if (opts.http) {
+                    const { port } = opts;
+                    if (port !== null && !(port > 0 && port < 65536)) {
+                        console.error("Error: --port needs a number from 1 to 65535.");
+                        process.exit(1);
+                    }
+                    process.env.PDF_MCP_TRANSPORT = "http";
+                    if (opts.port) process.env.PDF_MCP_PORT = String(opts.port);
+                    if (opts.host) process.env.PDF_MCP_HOST = opts.host;
+                    if (opts.token) process.env.PDF_MCP_TOKEN = opts.token;
+                    if (opts.allowedHosts.length > 0) {
+                        process.env.PDF_MCP_ALLOWED_HOSTS =
+                            opts.allowedHosts.join(",");
+                    }
+                    if (opts.allowedOrigins.length > 0) {
+                        process.env.PDF_MCP_ALLOWED_ORIGINS =
+                            opts.allowedOrigins.join(",");
+                    }
+                }
+                if (opts.ocr) process.env.PDF_OCR = opts.ocr;
+                if (opts.ocrEngine) process.env.PDF_OCR_ENGINE = opts.ocrEngine;
+                if (opts.ocrLanguages) {
+                    process.env.PDF_OCR_LANGUAGES = opts.ocrLanguages;
+                }
+                if (opts.pageSize) process.env.PDF_PAGE_SIZE = opts.pageSize;
                 // Import and run the MCP server
                 await import("./server.js");
                 break;
@@ -233,6 +1667,9 @@ async function main() {
                 printHelp();
                 process.exit(1);
         }
+
+        // The OCR worker would keep the process alive
+        if (opts.command !== "serve") await closeOcrEngines();
     } catch (error) {
         console.error(`\n❌ Error: ${error.message}`);
         if (process.env.DEBUG) {
@@ -0,0 +1,650 @@
+/**
+ * Agentic-PDF-Extractor - Document comparison
+ *
+ * Compares two versions of a document paragraph by paragraph, the way a
+ * reviewer reads a revised contract or spec: lines are rejoined into
+ * paragraphs (also across page breaks) before diffing, so text that merely
+ * reflowed onto other lines or pages does not show up as changed. Matched
+ * paragraphs then align the pages of both versions, and changed pages can
+ * be compared pixel by pixel.
+ */
+
+import { joinLine, findNumberedItems, BULLET_PATTERN } from "./markdown.js";
+
+// Paragraphs sharing at least this share of their words are one changed
+// paragraph rather than one removed and one added
+const CHANGED_SIMILARITY = 0.5;
+// Running headers and footers sit in this share of the page height
+const MARGIN_ZONE = 0.08;
+// A page number on its own: "7", "- 7 -", "(7)", "7 / 12", "Page 7 of 12"
+const PAGE_NUMBER_PATTERN =
+    /^(?:page\s+)?[-(]?\s*\d+\s*[-)]?(?:\s*(?:\/|of)\s*\d+)?$/i;
+// A page number closing a header or footer: "Master Agreement - Page 7 of 12"
+const PAGE_LABEL_PATTERN = /\bpage\s+\d+(?:\s*(?:\/|of)\s*\d+)?$/i;
+// Edits the diff looks for before giving up on the shortest edit script;
+// past it, the rest of both sequences counts as removed and added
+const MAX_EDIT_DISTANCE = 2000;
+// Added paragraphs a removed one is compared with when looking for its
+// changed version, from the previous pair on
+const PAIRING_WINDOW = 20;
+// Channel difference below which two pixels count as the same
+const PIXEL_TOLERANCE = 40;
+
+/**
+ * Normalize paragraph text for comparison: ligatures, typographic quotes
+ * and dashes, and whitespace no longer make a difference.
+ */
+function normalize(text) {
+    return text
+        .normalize("NFKC")
+        .replace(/[‘’‚‛]/g, "'")
+        .replace(/[“”„‟]/g, '"')
+        .replace(/[‐‑‒–—]/g, "-")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Grow a bbox so that it also covers another.
+ */
+function unionBBox(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        w: Math.max(a.x + a.w, b.x + b.w) - x,
+        h: Math.max(a.y + a.h, b.y + b.h) - y,
+    };
+}
+
+/**
+ * Split a page layout into paragraphs. A text block is split where the
+ * vertical gap between lines is larger than a line height and where a list
+ * item starts, as in the Markdown conversion.
+ *
+ * @param {{height: number, blocks: Array<object>}} layout - Page layout from readPageLayout()
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Array<{text: string, pages: number[], bbox: {x: number, y: number, w: number, h: number}}>}
+ */
+export function readParagraphs(layout, pageNumber) {
+    const paragraphs = [];
+    const textBlocks = layout.blocks.filter((b) => b.type === "text");
+    const textLines = textBlocks.flatMap((b) => b.lines);
+    const numberedItems = findNumberedItems(
+        textLines.map((line) => line.text.trim())
+    );
+    const numberedLines = new Set(
+        textLines.filter((line, i) => numberedItems[i])
+    );
+
+    for (const block of textBlocks) {
+        let paragraph = null;
+        let previous = null;
+
+        for (const line of block.lines) {
+            const text = line.text.trim();
+            if (!text) continue;
+
+            const gap = previous
+                ? line.bbox.y - (previous.bbox.y + previous.bbox.h)
+                : 0;
+            if (
+                !paragraph ||
+                gap > line.bbox.h * 0.8 ||
+                BULLET_PATTERN.test(text) ||
+                numberedLines.has(line)
+            ) {
+                if (paragraph) paragraphs.push(paragraph);
+                paragraph = { text: "", pages: [pageNumber], bbox: line.bbox };
+            }
+            paragraph.text = joinLine(paragraph.text, text);
+            paragraph.bbox = unionBBox(paragraph.bbox, line.bbox);
+            previous = line;
+        }
+        if (paragraph) paragraphs.push(paragraph);
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Join the paragraphs of a document into one sequence.
+ *
+ * - Running headers and footers (the same text at the top or at the bottom
+ *   edge of at least half of the pages, page numbers aside) are dropped
+ *   unless `keepHeadersFooters` is set.
+ * - A paragraph that continues on the next page (no closing punctuation,
+ *   the next page starts in lower case) is joined with its continuation.
+ *
+ * @param {Array<{height: number, paragraphs: Array<object>}>} pages - Paragraphs per page, in page order
+ * @param {object} [options]
+ * @param {boolean} [options.keepHeadersFooters=false]
+ * @returns {Array<{text: string, key: string, pages: number[], bbox: object}>}
+ */
+export function joinParagraphs(pages, { keepHeadersFooters = false } = {}) {
+    const marginOf = (paragraph, height) => {
+        if (paragraph.bbox.y + paragraph.bbox.h < height * MARGIN_ZONE) {
+            return "top";
+        }
+        if (paragraph.bbox.y > height * (1 - MARGIN_ZONE)) return "bottom";
+        return null;
+    };
+    // Only page numbers may differ; other numbers (dates, versions,
+    // chapter numbers) are part of the header or footer
+    const runningKey = (paragraph, height) => {
+        const margin = marginOf(paragraph, height);
+        if (!margin) return null;
+        const text = normalize(paragraph.text);
+        return PAGE_NUMBER_PATTERN.test(text)
+            ? `${margin}:#`
+            : `${margin}:${text.replace(PAGE_LABEL_PATTERN, "page #")}`;
+    };
+
+    let running = new Set();
+    if (!keepHeadersFooters && pages.length >= 2) {
+        const counts = new Map();
+        for (const { height, paragraphs } of pages) {
+            const keys = new Set(
+                paragraphs
+                    .map((paragraph) => runningKey(paragraph, height))
+                    .filter(Boolean)
+            );
+            for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        const threshold = Math.max(2, Math.ceil(pages.length / 2));
+        running = new Set(
+            [...counts].filter(([, n]) => n >= threshold).map(([key]) => key)
+        );
+    }
+
+    const joined = [];
+    let previousPage = null;
+    for (const { height, paragraphs } of pages) {
+        const kept = paragraphs.filter(
+            (paragraph) => !running.has(runningKey(paragraph, height))
+        );
+        kept.forEach((paragraph, i) => {
+            const last = joined[joined.length - 1];
+            if (
+                i === 0 &&
+                last &&
+                last.pages.includes(previousPage) &&
+                !/[.!?:;]["'”’)\]]*$/.test(last.text) &&
+                /^[a-zà-ÿ]/.test(paragraph.text)
+            ) {
+                last.text = joinLine(last.text, paragraph.text);
+                last.pages.push(...paragraph.pages);
+                return;
+            }
+            joined.push({ ...paragraph, pages: [...paragraph.pages] });
+        });
+        if (kept.length > 0) previousPage = kept[kept.length - 1].pages[0];
+    }
+
+    for (const paragraph of joined) paragraph.key = normalize(paragraph.text);
+    return joined;
+}
+
+/**
+ * Shortest edit script between two sequences (Myers' algorithm).
+ *
+ * Time and memory grow with the square of the number of edits, so past
+ * `maxEdits` the script stops at the furthest point it reached and the rest
+ * of both sequences counts as deleted and inserted.
+ *
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @param {number} [maxEdits=2000] - Edits to look for before giving up on the shortest script
+ * @returns {Array<{type: "equal"|"delete"|"insert", a?: number, b?: number}>} Indexes into a and b
+ */
+export function diffSequences(a, b, maxEdits = MAX_EDIT_DISTANCE) {
+    // Common ends are cheap to strip and usually most of a revision
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const max = n + m;
+    const v = new Int32Array(2 * max + 2);
+    // v before each step d, for the diagonals k = -d..d
+    const trace = [];
+    let reached = false;
+
+    outer: for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+        trace.push(v.slice(max - d, max + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x =
+                k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])
+                    ? v[max + k + 1]
+                    : v[max + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x++;
+                y++;
+            }
+            v[max + k] = x;
+            if (x >= n && y >= m) {
+                reached = true;
+                break outer;
+            }
+        }
+    }
+
+    // Where the script ends: the end of both sequences, or the furthest
+    // point inside them reached with maxEdits edits
+    let endX = n;
+    let endY = m;
+    if (!reached) {
+        const d = trace.length - 1;
+        endX = endY = -1;
+        for (let k = -d; k <= d; k += 2) {
+            const x = v[max + k];
+            if (x <= n && x - k <= m && x + x - k > endX + endY) {
+                endX = x;
+                endY = x - k;
+            }
+        }
+        if (endX < 0) {
+            endX = endY = 0;
+            trace.length = 0;
+        }
+    }
+
+    // Walk back from the end to recover the edits
+    const middle = [];
+    let x = endX;
+    let y = endY;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const k = x - y;
+        let previousX = 0;
+        let previousY = 0;
+        if (d > 0) {
+            const at = (diagonal) => trace[d][diagonal + d];
+            const previousK =
+                k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            previousX = at(previousK);
+            previousY = previousX - previousK;
+        }
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            middle.push({ type: "equal", a: start + x, b: start + y });
+        }
+        if (d === 0) break;
+        if (x === previousX) middle.push({ type: "insert", b: start + y - 1 });
+        else middle.push({ type: "delete", a: start + x - 1 });
+        x = previousX;
+        y = previousY;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: "equal", a: i, b: i });
+    ops.push(...middle.reverse());
+    for (let i = endX; i < n; i++) ops.push({ type: "delete", a: start + i });
+    for (let i = endY; i < m; i++) ops.push({ type: "insert", b: start + i });
+    for (let i = 0; endA + i < a.length; i++) {
+        ops.push({ type: "equal", a: endA + i, b: endB + i });
+    }
+    return ops;
+}
+
+/**
+ * Number of words in normalized paragraph text.
+ */
+function wordCount(text) {
+    return text.split(" ").length;
+}
+
+/**
+ * Word-level diff of two paragraphs, as runs of equal, removed and added
+ * words, plus how similar they are (0-1).
+ */
+function diffWords(before, after) {
+    const a = before.split(" ");
+    const b = after.split(" ");
+    const runs = [];
+    let equalWords = 0;
+
+    for (const op of diffSequences(a, b)) {
+        const type =
+            op.type === "equal" ? "equal" : op.type === "delete" ? "removed" : "added";
+        const word = op.type === "insert" ? b[op.b] : a[op.a];
+        if (op.type === "equal") equalWords++;
+        const last = runs[runs.length - 1];
+        if (last?.type === type) last.text += ` ${word}`;
+        else runs.push({ type, text: word });
+    }
+
+    return {
+        similarity: (2 * equalWords) / (a.length + b.length),
+        words: runs,
+    };
+}
+
+/**
+ * Diff two paragraph sequences from joinParagraphs().
+ *
+ * Within each run of removed and added paragraphs, pairs that share most
+ * of their words become one "changed" paragraph with a word-level diff.
+ *
+ * @param {Array<object>} before - Paragraphs of the original
+ * @param {Array<object>} after - Paragraphs of the revision
+ * @returns {{changes: Array<object>, matches: Array<{a: number, b: number}>}}
+ *   Changes are "added", "removed" or "changed", with the pages they are on
+ *   in the original (`pagesBefore`) and the revision (`pagesAfter`);
+ *   `matches` pairs the indexes of unchanged paragraphs
+ */
+export function diffParagraphs(before, after) {
+    const ops = diffSequences(
+        before.map((paragraph) => paragraph.key),
+        after.map((paragraph) => paragraph.key)
+    );
+    const changes = [];
+    const matches = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        // Pair in order: each removed paragraph with the most similar of
+        // the next few added ones after the previous pair
+        const pairs = new Map();
+        let from = 0;
+        for (const a of removed) {
+            let best = null;
+            const end = Math.min(added.length, from + PAIRING_WINDOW);
+            for (let j = from; j < end; j++) {
+                // Paragraphs of very different lengths cannot be similar
+                const lengthA = wordCount(before[a].key);
+                const lengthB = wordCount(after[added[j]].key);
+                if (
+                    (2 * Math.min(lengthA, lengthB)) / (lengthA + lengthB) <
+                    CHANGED_SIMILARITY
+                ) {
+                    continue;
+                }
+                const diff = diffWords(before[a].key, after[added[j]].key);
+                if (
+                    diff.similarity >= CHANGED_SIMILARITY &&
+                    (!best || diff.similarity > best.diff.similarity)
+                ) {
+                    best = { j, diff };
+                }
+            }
+            if (best) {
+                pairs.set(a, best);
+                from = best.j + 1;
+            }
+        }
+
+        let j = 0;
+        const addUntil = (end) => {
+            for (; j < end; j++) {
+                const paragraph = after[added[j]];
+                changes.push({
+                    type: "added",
+                    pagesAfter: paragraph.pages,
+                    after: paragraph.text,
+                });
+            }
+        };
+        for (const a of removed) {
+            const pair = pairs.get(a);
+            if (!pair) {
+                changes.push({
+                    type: "removed",
+                    pagesBefore: before[a].pages,
+                    before: before[a].text,
+                });
+                continue;
+            }
+            addUntil(pair.j);
+            const paragraph = after[added[pair.j]];
+            changes.push({
+                type: "changed",
+                pagesBefore: before[a].pages,
+                pagesAfter: paragraph.pages,
+                before: before[a].text,
+                after: paragraph.text,
+                similarity: Math.round(pair.diff.similarity * 100) / 100,
+                words: pair.diff.words,
+            });
+            j = pair.j + 1;
+        }
+        addUntil(added.length);
+        removed = [];
+        added = [];
+    };
+
+    for (const op of ops) {
+        if (op.type === "delete") {
+            removed.push(op.a);
+        } else if (op.type === "insert") {
+            added.push(op.b);
+        } else {
+            flush();
+            matches.push({ a: op.a, b: op.b });
+        }
+    }
+    flush();
+
+    return { changes, matches };
+}
+
+/**
+ * Align the pages of two versions using their unchanged paragraphs: each
+ * page of the original is paired with the revision page most of its
+ * paragraphs went to, in order. Between two such pairs, leftover pages are
+ * paired one to one when both sides have the same number of them (e.g.
+ * rewritten or image-only pages); otherwise they count as removed and
+ * added.
+ *
+ * @param {Array<object>} before - Paragraphs of the original
+ * @param {Array<object>} after - Paragraphs of the revision
+ * @param {Array<{a: number, b: number}>} matches - From diffParagraphs()
+ * @param {number} totalBefore - Page count of the original
+ * @param {number} totalAfter - Page count of the revision
+ * @returns {Array<{before: number|null, after: number|null}>} In reading order
+ */
+export function alignPages(before, after, matches, totalBefore, totalAfter) {
+    // Votes: original page → revision page → matched paragraphs
+    const votes = new Map();
+    for (const { a, b } of matches) {
+        for (const pageA of before[a].pages) {
+            if (!votes.has(pageA)) votes.set(pageA, new Map());
+            const counts = votes.get(pageA);
+            for (const pageB of after[b].pages) {
+                counts.set(pageB, (counts.get(pageB) || 0) + 1);
+            }
+        }
+    }
+
+    const anchors = [];
+    let lastB = 0;
+    for (let pageA = 1; pageA <= totalBefore; pageA++) {
+        let best = null;
+        for (const [pageB, count] of votes.get(pageA) || []) {
+            if (pageB > lastB && (!best || count > best.count)) {
+                best = { pageB, count };
+            }
+        }
+        if (best) {
+            anchors.push({ before: pageA, after: best.pageB });
+            lastB = best.pageB;
+        }
+    }
+    anchors.push({ before: totalBefore + 1, after: totalAfter + 1 });
+
+    const aligned = [];
+    let nextA = 1;
+    let nextB = 1;
+    for (const anchor of anchors) {
+        const gapA = anchor.before - nextA;
+        const gapB = anchor.after - nextB;
+        if (gapA === gapB) {
+            for (let i = 0; i < gapA; i++) {
+                aligned.push({ before: nextA + i, after: nextB + i });
+            }
+        } else {
+            for (let i = 0; i < gapA; i++) {
+                aligned.push({ before: nextA + i, after: null });
+            }
+            for (let i = 0; i < gapB; i++) {
+                aligned.push({ before: null, after: nextB + i });
+            }
+        }
+        if (anchor.before <= totalBefore) aligned.push({ ...anchor });
+        nextA = anchor.before + 1;
+        nextB = anchor.after + 1;
+    }
+    return aligned;
+}
+
+/**
+ * List the document metadata that differs between two versions.
+ *
+ * @param {object} before - Metadata from getDocumentInfo()
+ * @param {object} after
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export function diffMetadata(before, after) {
+    const flatten = (metadata) => {
+        const fields = {};
+        for (const [key, value] of Object.entries(metadata)) {
+            if (value && typeof value === "object" && !(value instanceof Date)) {
+                for (const [inner, innerValue] of Object.entries(value)) {
+                    fields[`${key}.${inner}`] = innerValue;
+                }
+            } else {
+                fields[key] = value instanceof Date ? value.toISOString() : value;
+            }
+        }
+        return fields;
+    };
+
+    const a = flatten(before);
+    const b = flatten(after);
+    const changes = [];
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const valueA = a[field] ?? null;
+        const valueB = b[field] ?? null;
+        if (valueA !== valueB) {
+            changes.push({ field, before: valueA, after: valueB });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compare two page renders pixel by pixel and draw the differences.
+ *
+ * Renders of different sizes are compared from the top-left corner, with
+ * the missing area taken as white.
+ *
+ * - "overlay": the revision, faded, with ink only in the original in red
+ *   and ink only in the revision in green.
+ * - "side-by-side": both renders next to each other, with the ink that
+ *   differs tinted red on the original and green on the revision.
+ *
+ * @param {{width: number, height: number, stride: number, pixels: Uint8ClampedArray}} before - RGB render
+ * @param {{width: number, height: number, stride: number, pixels: Uint8ClampedArray}} after - RGB render
+ * @param {"overlay"|"side-by-side"} mode
+ * @returns {{width: number, height: number, pixels: Buffer, changedPixels: number, changedRatio: number}}
+ *   `pixels` is raw RGB
+ */
+export function diffPixels(before, after, mode) {
+    const width = Math.max(before.width, after.width);
+    const height = Math.max(before.height, after.height);
+    const gap = mode === "side-by-side" ? 16 : 0;
+    const outWidth = mode === "side-by-side" ? width * 2 + gap : width;
+    const out = Buffer.alloc(outWidth * height * 3, 200);
+    let changedPixels = 0;
+
+    const read = (render, x, y, rgb) => {
+        if (x >= render.width || y >= render.height) {
+            rgb[0] = rgb[1] = rgb[2] = 255;
+            return;
+        }
+        const i = y * render.stride + x * 3;
+        rgb[0] = render.pixels[i];
+        rgb[1] = render.pixels[i + 1];
+        rgb[2] = render.pixels[i + 2];
+    };
+    const write = (x, y, r, g, b) => {
+        const i = (y * outWidth + x) * 3;
+        out[i] = r;
+        out[i + 1] = g;
+        out[i + 2] = b;
+    };
+    const gray = (rgb) => (rgb[0] * 299 + rgb[1] * 587 + rgb[2] * 114) / 1000;
+    const tint = (rgb, r, g, b) => [
+        (rgb[0] + r) >> 1,
+        (rgb[1] + g) >> 1,
+        (rgb[2] + b) >> 1,
+    ];
+
+    const a = [0, 0, 0];
+    const b = [0, 0, 0];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            read(before, x, y, a);
+            read(after, x, y, b);
+            const changed =
+                Math.abs(a[0] - b[0]) > PIXEL_TOLERANCE ||
+                Math.abs(a[1] - b[1]) > PIXEL_TOLERANCE ||
+                Math.abs(a[2] - b[2]) > PIXEL_TOLERANCE;
+            if (changed) changedPixels++;
+
+            if (mode === "side-by-side") {
+                // Each side only marks its own ink
+                const darker = gray(a) < gray(b);
+                write(x, y, ...(changed && darker ? tint(a, 255, 0, 0) : a));
+                write(
+                    width + gap + x,
+                    y,
+                    ...(changed && !darker ? tint(b, 0, 200, 0) : b)
+                );
+            } else if (!changed) {
+                const faded = 255 - (255 - gray(b)) * 0.3;
+                write(x, y, faded, faded, faded);
+            } else if (gray(a) < gray(b)) {
+                write(x, y, 220, 38, 38);
+            } else {
+                write(x, y, 22, 163, 74);
+            }
+        }
+    }
+
+    return {
+        width: outWidth,
+        height,
+        pixels: out,
+        changedPixels,
+        changedRatio: changedPixels / (width * height),
+    };
+}
+
+/**
+ * Render the word runs of a changed paragraph inline, marking removed
+ * words as [-...-] and added words as {+...+} (like `git diff --word-diff`).
+ *
+ * @param {Array<{type: "equal"|"removed"|"added", text: string}>} words
+ * @returns {string}
+ */
+export function formatWordDiff(words) {
+    return words
+        .map(({ type, text }) => {
+            if (type === "removed") return `[-${text}-]`;
+            if (type === "added") return `{+${text}+}`;
+            return text;
+        })
+        .join(" ");
+}
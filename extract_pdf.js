@@ -3,258 +3,1863 @@
  *
  * Core module for extracting text and images from PDF files.
  * Designed to provide structured output that AI agents in IDEs can consume.
+ *
+ * Every function takes the PDF as a path, Buffer, stream, data URI or
+ * http(s) URL, or as an input already opened with openPdfInput(). XPS,
+ * EPUB, CBZ, FB2, MOBI and images (TIFF, PNG, JPEG, GIF) are read the same
+ * way; results name the detected format in `documentFormat`.
  */
 
 import fs from "fs";
 import path from "path";
 import { createRequire } from "module";
 import * as mupdf from "mupdf";
+import { readPageLayout, toBBox } from "./layout.js";
+import { inferHeadingLevels, pageToMarkdown } from "./markdown.js";
+import { findTables, tableToCSV, tableToMarkdown } from "./tables.js";
+import { buildMatcher, searchPage, highlightHits } from "./search.js";
+import { readOutline, findOutlineEntry, getSectionRange } from "./outline.js";
+import {
+    cacheKey,
+    getDocument,
+    readFileHashed,
+    getCachedJSON,
+    setCachedJSON,
+    getCachedBuffer,
+    setCachedBuffer,
+} from "./cache.js";
+import {
+    openPdfDocument,
+    processPage,
+    readEmbeddedImages,
+    renderPageImage,
+} from "./page_tasks.js";
+import { createWorkerPool } from "./worker_pool.js";
+import { OCR_MODES, needsOcr, getOcrEngine, recognizePage } from "./ocr.js";
+import { openPdfInput, readInputData } from "./input.js";
+import { readPageAnnotations } from "./annotations.js";
+import { readFormFields } from "./forms.js";
+import { readAttachments, isTextMimeType } from "./attachments.js";
+import {
+    readParagraphs,
+    joinParagraphs,
+    diffParagraphs,
+    alignPages,
+    diffMetadata,
+} from "./compare.js";
+import {
+    IMAGE_FORMATS,
+    imageType,
+    needsPostProcessing,
+    postProcessImage,
+    encodeRawImage,
+} from "./imaging.js";
 
 const require = createRequire(import.meta.url);
 const { PDFParse } = require("pdf-parse");
 
 /**
- * Extract text from a PDF file, page by page.
+ * Parse a page selection such as "1-5,12,20-" or "last" into page numbers.
  *
- * @param {string} pdfPath - Absolute path to the PDF file
- * @returns {Promise<{totalPages: number, pages: Array<{page: number, text: string}>}>}
+ * Supported parts (comma-separated, 1-based):
+ *   "7"       a single page
+ *   "3-9"     an inclusive range
+ *   "20-"     page 20 to the end of the document
+ *   "last"    the last page (also usable as a range end: "10-last")
+ *
+ * @param {string|number|number[]|null|undefined} spec - Page selection; empty means all pages
+ * @param {number} totalPages - Number of pages in the document
+ * @returns {number[]} Sorted, de-duplicated 1-based page numbers
  */
-export async function extractText(pdfPath) {
-    const absolutePath = path.resolve(pdfPath);
-
-    if (!fs.existsSync(absolutePath)) {
-        throw new Error(`PDF file not found: ${absolutePath}`);
+export function parsePageRange(spec, totalPages) {
+    if (spec === undefined || spec === null || spec === "") {
+        return Array.from({ length: totalPages }, (_, i) => i + 1);
     }
 
-    const dataBuffer = fs.readFileSync(absolutePath);
+    const parts = Array.isArray(spec)
+        ? spec.map(String)
+        : String(spec).split(",");
 
-    // Get metadata with pdf-parse
-    let metadata = {};
-    try {
-        const data = await PDFParse(dataBuffer);
-        metadata = data.info || {};
-    } catch {
-        // pdf-parse may fail on some PDFs, continue with mupdf
+    const toPageNumber = (value, part) => {
+        const token = value.trim().toLowerCase();
+        if (token === "last") return totalPages;
+        if (!/^\d+$/.test(token)) {
+            throw new Error(`Invalid page selection "${part.trim()}"`);
+        }
+        return parseInt(token, 10);
+    };
+
+    const selected = new Set();
+
+    for (const part of parts) {
+        if (!part.trim()) continue;
+
+        let start;
+        let end;
+        const dash = part.indexOf("-");
+        if (dash === -1) {
+            start = end = toPageNumber(part, part);
+        } else {
+            start = toPageNumber(part.slice(0, dash), part);
+            const rest = part.slice(dash + 1);
+            end = rest.trim() ? toPageNumber(rest, part) : totalPages;
+        }
+
+        if (start < 1 || end > totalPages || start > end) {
+            throw new Error(
+                `Page selection "${part.trim()}" is out of range (document has ${totalPages} pages)`
+            );
+        }
+
+        for (let n = start; n <= end; n++) selected.add(n);
     }
 
-    // Also extract page-by-page using mupdf for more granular control
-    const doc = mupdf.Document.openDocument(dataBuffer, "application/pdf");
-    const totalPages = doc.countPages();
-    const pages = [];
+    if (selected.size === 0) {
+        throw new Error(`Page selection "${spec}" does not select any pages`);
+    }
 
-    for (let i = 0; i < totalPages; i++) {
-        const page = doc.loadPage(i);
-        const text = page.toStructuredText("preserve-whitespace").asText();
-        pages.push({
-            page: i + 1,
-            text: text.trim(),
-        });
+    return [...selected].sort((a, b) => a - b);
+}
+
+/**
+ * Open a PDF, reusing a cached document when its content is unchanged.
+ *
+ * @param {object} input - From openPdfInput()
+ * @param {string} [password] - User or owner password
+ * @param {object} [options]
+ * @param {boolean} [options.fresh=false] - Open a private copy that the caller may modify
+ * @returns {{doc: mupdf.Document, hash: string, memo: Map<string, *>, diskKey: (...parts: *[]) => string|null, source: {file?: string, data?: Buffer, mimeType: string, layout: object|null}}}
+ *   `diskKey` builds disk cache keys; it returns null for encrypted files,
+ *   whose content is never written to the disk cache. `source` tells page
+ *   workers where to read the PDF from and how to open it.
+ */
+function loadPdf(input, password, { fresh = false } = {}) {
+    if (input.path && !fs.existsSync(input.path)) {
+        throw new Error(`PDF file not found: ${input.path}`);
     }
 
+    const { mimeType } = input.format;
+    const layout = input.layout;
+    const open = (data) => openPdfDocument(data, password, { mimeType, layout });
+    const source = input.data
+        ? { hash: input.hash, data: input.data }
+        : input.path;
+    let entry;
+    if (fresh) {
+        const { hash, data } = input.data ? source : readFileHashed(input.path);
+        const doc = open(data);
+        entry = { hash, doc, memo: new Map(), release: () => doc.destroy() };
+    } else {
+        entry = getDocument(source, password, open, JSON.stringify(layout));
+    }
+
+    const encrypted =
+        (entry.doc.getMetaData(mupdf.Document.META_ENCRYPTION) || "None") !==
+        "None";
+
+    // Pages, and everything read from them, depend on the layout
+    const contentKey = layout
+        ? cacheKey(entry.hash, "layout", layout)
+        : entry.hash;
     return {
-        file: absolutePath,
-        totalPages,
-        metadata: {
-            title: metadata.Title || null,
-            author: metadata.Author || null,
-            subject: metadata.Subject || null,
-            creator: metadata.Creator || null,
-            producer: metadata.Producer || null,
-            creationDate: metadata.CreationDate || null,
-            modDate: metadata.ModDate || null,
+        ...entry,
+        diskKey: (...parts) =>
+            encrypted ? null : cacheKey(contentKey, ...parts),
+        source: {
+            ...(input.data ? { data: input.data } : { file: input.path }),
+            mimeType,
+            layout,
         },
-        pages,
     };
 }
 
 /**
- * Extract images from a PDF file.
+ * Describe a document's encryption and the permissions granted to the
+ * password it was opened with.
  *
- * @param {string} pdfPath - Absolute path to the PDF file
- * @param {object} options
+ * @param {mupdf.Document} doc
+ * @returns {{encrypted: boolean, encryption: string|null, permissions: {print: boolean, copy: boolean, modify: boolean, annotate: boolean, fillForms: boolean}}}
+ */
+function getSecurityInfo(doc) {
+    const encryption = doc.getMetaData(mupdf.Document.META_ENCRYPTION) || "None";
+    const encrypted = encryption !== "None";
+
+    return {
+        encrypted,
+        encryption: encrypted ? encryption : null,
+        permissions: {
+            print: doc.hasPermission("print"),
+            copy: doc.hasPermission("copy"),
+            modify: doc.hasPermission("edit"),
+            annotate: doc.hasPermission("annotate"),
+            fillForms: doc.hasPermission("form"),
+        },
+    };
+}
+
+/**
+ * Read the document information dictionary, through pdf-parse when it can
+ * parse the file and from mupdf otherwise.
+ */
+async function readMetadata(pdf, input) {
+    let metadata = pdf.memo.get("info") || getCachedJSON(pdf.diskKey("info"));
+    if (!metadata) {
+        metadata = {};
+        try {
+            if (input.format.id === "pdf") {
+                const data = await PDFParse(readInputData(input));
+                metadata = data.info || {};
+            }
+        } catch {
+            // pdf-parse may fail on some PDFs, continue with mupdf
+        }
+        setCachedJSON(pdf.diskKey("info"), metadata);
+    }
+    pdf.memo.set("info", metadata);
+
+    const info = (key) => pdf.doc.getMetaData(`info:${key}`) || null;
+    return {
+        title: metadata.Title || info("Title"),
+        author: metadata.Author || info("Author"),
+        subject: metadata.Subject || info("Subject"),
+        creator: metadata.Creator || info("Creator"),
+        producer: metadata.Producer || info("Producer"),
+        creationDate: metadata.CreationDate || info("CreationDate"),
+        modDate: metadata.ModDate || info("ModDate"),
+        ...getSecurityInfo(pdf.doc),
+    };
+}
+
+/**
+ * Get the page count, page selection and metadata of a PDF without
+ * extracting any page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, hash: string, totalPages: number, selectedPages: number[], metadata: object}>}
+ *   `hash` is the SHA-256 of the document's content
+ */
+export async function getDocumentInfo(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const pdf = loadPdf(input, options.password);
+    try {
+        const totalPages = pdf.doc.countPages();
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            hash: pdf.hash,
+            totalPages,
+            metadata: await readMetadata(pdf, input),
+            selectedPages: parsePageRange(options.pages, totalPages),
+        };
+    } finally {
+        pdf.release();
+    }
+}
+
+/**
+ * Extract text from a PDF file, page by page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @param {"auto"|"off"|"force"} [options.ocr="auto"] - OCR scanned pages, no pages, or every page
+ * @param {string} [options.ocrEngine] - OCR engine (see ocr.js)
+ * @param {string} [options.ocrLanguages] - OCR languages, e.g. "eng+deu"
+ * @param {number} [options.ocrDpi=300] - Resolution pages are rendered at for OCR
+ * @returns {Promise<{totalPages: number, selectedPages: number[], pages: Array<{page: number, text: string, textSource: "native"|"ocr", ocr?: object, links: Array<{bbox: object, text: string, external: boolean, uri: string, page: number|null, broken: boolean}>}>}>}
+ */
+export async function extractText(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const info = await getDocumentInfo(input, options);
+    const pages = [];
+
+    for await (const page of extractPages(input, {
+        pages: info.selectedPages,
+        password: options.password,
+        links: true,
+        ocr: options.ocr,
+        ocrEngine: options.ocrEngine,
+        ocrLanguages: options.ocrLanguages,
+        ocrDpi: options.ocrDpi,
+        images: false,
+    })) {
+        pages.push(page);
+    }
+
+    return { ...info, pages };
+}
+
+/**
+ * Extract the structured layout of a PDF: blocks, lines and spans with
+ * bounding boxes, font name, size, bold/italic flags and colour.
+ *
+ * Coordinates are in PDF points with the origin at the top-left of the page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], pages: Array<{page: number, width: number, height: number, rotation: number, blocks: Array<object>}>}>}
+ */
+export async function extractStructured(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(options.pages, totalPages);
+        const pages = [];
+
+        for (const pageNumber of selectedPages) {
+            const page = doc.loadPage(pageNumber - 1);
+            pages.push({
+                page: pageNumber,
+                ...readPageLayout(page),
+            });
+        }
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            pages,
+        };
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Convert a PDF to Markdown, preserving headings, lists, paragraphs and emphasis.
+ *
+ * Heading levels are inferred from font-size clustering across the selected
+ * pages. Embedded images are saved to disk and referenced inline as
+ * `![page N image M](path)` at their position in the text flow.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
  * @param {string} [options.outputDir] - Directory to save images to (default: same directory as PDF)
  * @param {"png"|"jpeg"} [options.format="png"] - Image format
- * @param {boolean} [options.base64=false] - If true, return base64-encoded images instead of saving to disk
- * @param {number} [options.dpi=150] - Resolution for page rendering
- * @returns {Promise<Array<{page: number, imageIndex: number, width: number, height: number, path?: string, base64?: string}>>}
+ * @param {boolean} [options.images=true] - If false, skip image extraction and image references
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], markdown: string, pages: Array<{page: number, markdown: string, images: Array<object>}>}>}
  */
-export async function extractImages(pdfPath, options = {}) {
-    const absolutePath = path.resolve(pdfPath);
+export async function extractMarkdown(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const {
+        outputDir = input.dir,
+        format = "png",
+        images: includeImages = true,
+        pages,
+        password,
+    } = options;
+
+    const { doc, release } = loadPdf(input, password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(pages, totalPages);
+        const pdfBaseName = input.stem;
+
+        if (includeImages) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const layouts = [];
+        for (const pageNumber of selectedPages) {
+            const page = doc.loadPage(pageNumber - 1);
+            let pageImages = [];
+            if (includeImages) {
+                try {
+                    pageImages = await outputEmbeddedImages(
+                        pageNumber,
+                        readEmbeddedImages(page, { format }),
+                        pdfBaseName,
+                        { format, returnBase64: false, outputDir }
+                    );
+                } catch {
+                    // Some pages may not have extractable embedded images
+                }
+            }
+            layouts.push({
+                page: pageNumber,
+                ...readPageLayout(page),
+                images: pageImages,
+            });
+        }
+
+        const headings = inferHeadingLevels(layouts);
+        const resultPages = layouts.map((layout) => ({
+            page: layout.page,
+            markdown: pageToMarkdown(layout, headings, layout.images),
+            images: layout.images,
+        }));
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            markdown: resultPages
+                .map((p) => `<!-- page ${p.page} -->\n\n${p.markdown}`)
+                .join("\n\n"),
+            pages: resultPages,
+        };
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Detect tables in a PDF from ruling lines and text alignment.
+ *
+ * Each table is written to its own file next to the extracted images
+ * (`<name>_page_<n>_table_<k>.<csv|json|md>`) unless `save` is false.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Directory to save tables to (default: same directory as PDF)
+ * @param {"csv"|"json"|"markdown"} [options.format="csv"] - Output file format
+ * @param {boolean} [options.save=true] - If false, only return the tables without writing files
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], totalTables: number, tables: Array<{page: number, tableIndex: number, bbox: object, rows: number, columns: number, cells: string[][], path?: string}>}>}
+ */
+export async function extractTables(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const {
+        outputDir = input.dir,
+        format = "csv",
+        save = true,
+        pages,
+        password,
+    } = options;
+
+    if (!["csv", "json", "markdown"].includes(format)) {
+        throw new Error(`Unsupported table format: ${format}`);
+    }
+
+    const { doc, release } = loadPdf(input, password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(pages, totalPages);
+        const pdfBaseName = input.stem;
+        const tables = [];
+
+        if (save) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        for (const pageNumber of selectedPages) {
+            const page = doc.loadPage(pageNumber - 1);
+            let tableIndex = 1;
 
-    if (!fs.existsSync(absolutePath)) {
-        throw new Error(`PDF file not found: ${absolutePath}`);
+            for (const table of findTables(page)) {
+                const tableInfo = { page: pageNumber, tableIndex, ...table };
+
+                if (save) {
+                    let contents;
+                    let ext;
+                    if (format === "json") {
+                        contents = JSON.stringify(tableInfo, null, 2);
+                        ext = "json";
+                    } else if (format === "markdown") {
+                        contents = tableToMarkdown(table.cells);
+                        ext = "md";
+                    } else {
+                        contents = tableToCSV(table.cells);
+                        ext = "csv";
+                    }
+                    const filePath = path.join(
+                        outputDir,
+                        `${pdfBaseName}_page_${pageNumber}_table_${tableIndex}.${ext}`
+                    );
+                    fs.writeFileSync(filePath, contents + "\n");
+                    tableInfo.path = filePath;
+                }
+
+                tables.push(tableInfo);
+                tableIndex++;
+            }
+        }
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            totalTables: tables.length,
+            tables,
+        };
+    } finally {
+        release();
     }
+}
+
+// Largest render by default, in pixels (about 150 MB of RGB data)
+const MAX_RENDER_PIXELS = 50_000_000;
+
+/**
+ * Refuse to render a page area whose image would exceed `maxPixels`.
+ *
+ * @param {number[]} rect - Area in page coordinates: [x0, y0, x1, y1]
+ * @param {number} scale - Pixels per point
+ * @param {number} maxPixels
+ * @param {string} what - What is rendered, for the error message
+ */
+function checkRenderSize(rect, scale, maxPixels, what) {
+    const pixels =
+        Math.round((rect[2] - rect[0]) * scale) *
+        Math.round((rect[3] - rect[1]) * scale);
+    if (pixels > maxPixels) {
+        throw new Error(
+            `${what} would render at ${pixels} pixels, above the limit of ` +
+            `${maxPixels}; lower the DPI or target size`
+        );
+    }
+}
+
+/**
+ * Search the text of a PDF for a literal phrase or regular expression.
+ *
+ * Each hit reports its page, the matched text, a snippet of surrounding text
+ * and the quads/bounding box it covers. With `highlight`, every page with
+ * hits is rendered with the matches highlighted.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {string} query - Text or regular expression to search for
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly
+ * @param {number} [options.maxHits=500] - Stop after this many hits
+ * @param {boolean} [options.highlight=false] - Render hit pages with the matches highlighted
+ * @param {string} [options.outputDir] - Directory to save highlighted pages to (default: same directory as PDF)
+ * @param {"png"|"jpeg"} [options.format="png"] - Image format for highlighted pages
+ * @param {boolean} [options.base64=false] - Return highlighted pages as base64 instead of saving to disk
+ * @param {number} [options.dpi=150] - Resolution for highlighted pages
+ * @param {number} [options.maxPixels=50000000] - Largest highlighted page render, in pixels
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], query: string, totalHits: number, truncated: boolean, hits: Array<object>, images: Array<object>}>}
+ */
+export async function searchPdf(pdfPath, query, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
 
     const {
-        outputDir = path.dirname(absolutePath),
+        regex = false,
+        caseSensitive = false,
+        maxHits = 500,
+        highlight = false,
+        outputDir = input.dir,
         format = "png",
         base64: returnBase64 = false,
         dpi = 150,
+        maxPixels = MAX_RENDER_PIXELS,
+        pages,
+        password,
     } = options;
 
-    const dataBuffer = fs.readFileSync(absolutePath);
-    const doc = mupdf.Document.openDocument(dataBuffer, "application/pdf");
-    const totalPages = doc.countPages();
-    const images = [];
+    const matcher = buildMatcher(query, { regex, caseSensitive });
+    // Highlighting adds annotations: never do that to a shared cached document
+    const { doc, release } = loadPdf(input, password, { fresh: highlight });
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(pages, totalPages);
+        const pdfBaseName = input.stem;
+        const hits = [];
+        const images = [];
+        let truncated = false;
+
+        if (highlight && !returnBase64) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        for (const pageNumber of selectedPages) {
+            if (hits.length >= maxHits) {
+                truncated = true;
+                break;
+            }
 
-    // Ensure output directory exists
-    if (!returnBase64) {
-        fs.mkdirSync(outputDir, { recursive: true });
+            const page = doc.loadPage(pageNumber - 1);
+            const pageHits = searchPage(page, matcher, maxHits - hits.length);
+            if (pageHits.length === 0) continue;
+
+            hits.push(...pageHits.map((hit) => ({ page: pageNumber, ...hit })));
+
+            if (highlight) {
+                checkRenderSize(
+                    page.getBounds(),
+                    dpi / 72,
+                    maxPixels,
+                    `Page ${pageNumber}`
+                );
+                highlightHits(page, pageHits);
+                const { width, height, buffer } = renderPageImage(page, {
+                    dpi,
+                    format,
+                });
+                images.push(
+                    outputImage(
+                        { page: pageNumber, width, height, format },
+                        buffer,
+                        `${pdfBaseName}_page_${pageNumber}_search`,
+                        { format, returnBase64, outputDir }
+                    )
+                );
+            }
+        }
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            query,
+            totalHits: hits.length,
+            truncated,
+            hits,
+            images,
+        };
+    } finally {
+        release();
     }
+}
 
-    const pdfBaseName = path.basename(absolutePath, path.extname(absolutePath));
-    const scale = dpi / 72; // PDF default is 72 DPI
+/**
+ * Extract the hyperlinks and cross-references of a PDF, page by page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], totalLinks: number, brokenLinks: number, pages: Array<{page: number, links: Array<object>}>}>}
+ *   Only pages with links are listed
+ */
+export async function extractLinks(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
 
-    for (let i = 0; i < totalPages; i++) {
-        const page = doc.loadPage(i);
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(options.pages, totalPages);
+        const pages = [];
 
-        // Render the full page as an image
-        const pixmap = page.toPixmap(
-            mupdf.Matrix.scale(scale, scale),
-            mupdf.ColorSpace.DeviceRGB,
-            false, // no alpha
-            true   // annots
-        );
+        for await (const page of extractPages(input, {
+            pages: selectedPages,
+            password: options.password,
+            text: false,
+            links: true,
+            images: false,
+        })) {
+            if (page.links.length > 0) pages.push(page);
+        }
 
-        const width = pixmap.getWidth();
-        const height = pixmap.getHeight();
+        const links = pages.flatMap((p) => p.links);
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            totalLinks: links.length,
+            brokenLinks: links.filter((link) => link.broken).length,
+            pages,
+        };
+    } finally {
+        release();
+    }
+}
 
-        let imgBuffer;
-        if (format === "jpeg") {
-            imgBuffer = pixmap.asJPEG(85);
-        } else {
-            imgBuffer = pixmap.asPNG();
+/**
+ * Extract annotations (comments, highlights, stamps, ...) page by page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, selectedPages: number[], totalAnnotations: number, pages: Array<{page: number, annotations: Array<object>}>}>}
+ *   Only pages with annotations are listed
+ */
+export async function extractAnnotations(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(options.pages, totalPages);
+        const pages = [];
+
+        for (const pageNumber of selectedPages) {
+            const annotations = readPageAnnotations(doc.loadPage(pageNumber - 1));
+            if (annotations.length > 0) {
+                pages.push({ page: pageNumber, annotations });
+            }
         }
 
-        const imageInfo = {
-            page: i + 1,
-            imageIndex: 0,
-            width,
-            height,
-            format,
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            totalAnnotations: pages.reduce((n, p) => n + p.annotations.length, 0),
+            pages,
         };
+    } finally {
+        release();
+    }
+}
 
-        if (returnBase64) {
-            imageInfo.base64 = Buffer.from(imgBuffer).toString("base64");
-            imageInfo.mimeType = format === "jpeg" ? "image/jpeg" : "image/png";
-        } else {
-            const ext = format === "jpeg" ? "jpg" : "png";
-            const fileName = `${pdfBaseName}_page_${i + 1}.${ext}`;
-            const filePath = path.join(outputDir, fileName);
-            fs.writeFileSync(filePath, imgBuffer);
-            imageInfo.path = filePath;
+/**
+ * Extract the AcroForm fields of a PDF with their current values.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, totalFields: number, fields: Array<{name: string, type: string, value: *, options: string[]|null, required: boolean, readOnly: boolean, page: number|null, bbox: object|null}>}>}
+ */
+export async function extractForm(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const encrypted = getSecurityInfo(doc).encrypted;
+
+        // Only PDFs have forms
+        let fields = [];
+        if (doc.isPDF()) {
+            // pdf-lib cannot decrypt: hand it a decrypted copy made by mupdf
+            const pdfBytes = encrypted
+                ? doc.saveToBuffer("encrypt=none").asUint8Array()
+                : readInputData(input);
+            fields = await readFormFields(pdfBytes);
         }
 
-        images.push(imageInfo);
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages: doc.countPages(),
+            totalFields: fields.length,
+            fields,
+        };
+    } finally {
+        release();
+    }
+}
 
-        // Also try to extract embedded images from the page
-        try {
-            const embeddedImages = extractEmbeddedImages(page, i, pdfBaseName, {
-                outputDir,
-                format,
-                returnBase64,
-            });
-            images.push(...embeddedImages);
-        } catch {
-            // Some pages may not have extractable embedded images
+/**
+ * Turn an attachment name into a safe file name: no directories, no
+ * characters that are invalid on common file systems.
+ */
+function safeFileName(name, fallback) {
+    const base = path
+        .basename(name.replace(/\\/g, "/"))
+        .replace(/[\x00-\x1f<>:"|?*]/g, "_")
+        .trim();
+    return base && base !== "." && base !== ".." ? base : fallback;
+}
+
+/**
+ * Extract the files embedded in a PDF: document attachments and files
+ * attached to pages with FileAttachment annotations.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Directory to save the files to (default: same directory as PDF)
+ * @param {boolean} [options.save=true] - Save the files; set to false to only list them
+ * @param {number} [options.inlineTextBytes=0] - Return text attachments (XML, CSV, ...) up to this size as `text`
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalAttachments: number, attachments: Array<{name: string, source: "document"|"annotation", page: number|null, size: number, mimeType: string, description: string|null, relationship: string|null, created: string|null, modified: string|null, path?: string, text?: string}>}>}
+ */
+export async function extractAttachments(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const {
+        outputDir = input.dir,
+        save = true,
+        inlineTextBytes = 0,
+    } = options;
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const attachments = readAttachments(doc);
+
+        if (save && attachments.length > 0) {
+            fs.mkdirSync(outputDir, { recursive: true });
         }
+
+        const usedNames = new Set();
+        const results = attachments.map(({ data, ...attachment }, i) => {
+            if (save) {
+                // Two attachments may share a name: keep both
+                let fileName = safeFileName(
+                    attachment.name,
+                    `attachment-${i + 1}`
+                );
+                const { name: stem, ext } = path.parse(fileName);
+                for (let n = 2; usedNames.has(fileName); n++) {
+                    fileName = `${stem}-${n}${ext}`;
+                }
+                usedNames.add(fileName);
+
+                attachment.path = path.join(outputDir, fileName);
+                fs.writeFileSync(attachment.path, data);
+            }
+            if (
+                isTextMimeType(attachment.mimeType) &&
+                attachment.size <= inlineTextBytes
+            ) {
+                attachment.text = Buffer.from(data).toString("utf8");
+            }
+            return attachment;
+        });
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalAttachments: results.length,
+            attachments: results,
+        };
+    } finally {
+        release();
     }
+}
 
-    return {
-        file: absolutePath,
-        totalPages,
-        totalImages: images.length,
-        images,
-    };
+/**
+ * Read the document outline (bookmarks) as a tree.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, outline: Array<{id: string, title: string, level: number, page: number|null, uri: string|null, children: Array<object>}>}>}
+ */
+export async function extractOutline(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages: doc.countPages(),
+            outline: readOutline(doc),
+        };
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Read the text of a page between two vertical positions, block by block.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {number|null} fromY - Skip lines ending above this position
+ * @param {number|null} toY - Skip lines starting at or below this position
+ * @returns {string}
+ */
+function readPageTextBetween(page, fromY, toY) {
+    const blocks = [];
+    let lines = [];
+    let line = null;
+
+    page.toStructuredText("preserve-whitespace").walk({
+        beginTextBlock() {
+            lines = [];
+        },
+        beginLine(bbox) {
+            line = { top: bbox[1], bottom: bbox[3], text: "" };
+        },
+        onChar(c) {
+            line.text += c;
+        },
+        endLine() {
+            const tolerance = 2;
+            const afterStart = fromY === null || line.bottom > fromY + tolerance;
+            const beforeEnd = toY === null || line.top < toY - tolerance;
+            if (afterStart && beforeEnd) lines.push(line.text);
+        },
+        endTextBlock() {
+            if (lines.length) blocks.push(lines.join("\n"));
+        },
+    });
+
+    return blocks.join("\n\n").trim();
+}
+
+/**
+ * Find the pages an outline section spans, without reading them.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {string} section - Outline entry id (e.g. "2.1") or title
+ * @param {object} [options]
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{startPage: number, endPage: number}>}
+ */
+export async function getSectionPages(pdfPath, section, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const outline = readOutline(doc);
+        const { startPage, endPage } = getSectionRange(
+            outline,
+            findOutlineEntry(outline, section),
+            doc.countPages()
+        );
+        return { startPage, endPage };
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Extract the text of one outline section.
+ *
+ * The section runs from its bookmark's destination to the destination of the
+ * next bookmark at the same or a higher level (or the end of the document),
+ * trimmed to the bookmark positions on the first and last page.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {string} section - Outline entry id (e.g. "2.1") or title
+ * @param {object} [options]
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, section: object, startPage: number, endPage: number, pages: Array<{page: number, text: string}>, text: string}>}
+ */
+export async function extractSection(pdfPath, section, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const totalPages = doc.countPages();
+        const outline = readOutline(doc);
+        const entry = findOutlineEntry(outline, section);
+        const { startPage, startY, endY, ...range } = getSectionRange(
+            outline,
+            entry,
+            totalPages
+        );
+        let endPage = range.endPage;
+        const pages = [];
+
+        for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+            const page = doc.loadPage(pageNumber - 1);
+            const text = readPageTextBetween(
+                page,
+                pageNumber === startPage ? startY : null,
+                pageNumber === endPage ? endY : null
+            );
+            pages.push({ page: pageNumber, text });
+        }
+
+        // The next section starts at the top of the last page: nothing of this one is there
+        if (pages.length > 1 && !pages[pages.length - 1].text) {
+            pages.pop();
+            endPage--;
+        }
+
+        const { children, y, ...sectionInfo } = entry;
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            section: { ...sectionInfo, subsections: children.length },
+            startPage,
+            endPage,
+            pages,
+            text: pages
+                .map((p) => p.text)
+                .filter(Boolean)
+                .join("\n\n"),
+        };
+    } finally {
+        release();
+    }
+}
+
+let workerPool = null;
+
+function getWorkerPool() {
+    if (!workerPool) {
+        const size = Number(process.env.PDF_WORKERS) || undefined;
+        workerPool = createWorkerPool(size);
+    }
+    return workerPool;
+}
+
+/**
+ * Describe an extracted image and either attach it as base64 or save it.
+ *
+ * @param {object} imageInfo - Page, index, size and other fields to report
+ * @param {Uint8Array} buffer - Encoded image
+ * @param {string} fileStem - File name without extension
+ * @param {object} options
+ * @param {"png"|"jpeg"|"webp"|"avif"} options.format
+ * @param {boolean} options.returnBase64
+ * @param {string} options.outputDir
+ * @returns {object} imageInfo with `base64` and `mimeType`, or `path`
+ */
+function outputImage(imageInfo, buffer, fileStem, options) {
+    const { extension, mimeType } = imageType(options.format);
+    if (options.returnBase64) {
+        imageInfo.base64 = Buffer.from(buffer).toString("base64");
+        imageInfo.mimeType = mimeType;
+    } else {
+        const filePath = path.join(
+            options.outputDir,
+            `${fileStem}.${extension}`
+        );
+        fs.writeFileSync(filePath, buffer);
+        imageInfo.path = filePath;
+    }
+    return imageInfo;
+}
+
+/**
+ * Like outputImage(), but first runs the image through the post-processing
+ * stage when `options.processing` is set. A thumbnail, if requested, is
+ * output next to the image and described in `imageInfo.thumbnail`.
+ */
+async function outputProcessedImage(imageInfo, buffer, fileStem, options) {
+    if (!options.processing) {
+        return outputImage(imageInfo, buffer, fileStem, options);
+    }
+
+    const processed = await postProcessImage(buffer, options.processing);
+    imageInfo.width = processed.width;
+    imageInfo.height = processed.height;
+    outputImage(imageInfo, processed.buffer, fileStem, options);
+
+    if (processed.thumbnail) {
+        const { width, height } = processed.thumbnail;
+        imageInfo.thumbnail = outputImage(
+            { width, height },
+            processed.thumbnail.buffer,
+            `${fileStem}_thumb`,
+            options
+        );
+    }
+    return imageInfo;
 }
 
 /**
- * Try to extract embedded images from a PDF page using structured text.
+ * Output the embedded images of a page, as read by readEmbeddedImages().
+ * Streams passed through are written as they are, without post-processing.
  */
-function extractEmbeddedImages(page, pageIndex, pdfBaseName, options) {
+async function outputEmbeddedImages(
+    pageNumber,
+    embedded,
+    pdfBaseName,
+    options
+) {
     const images = [];
-    const stext = page.toStructuredText("preserve-images");
-    let imageIndex = 1;
-
-    // Walk through structured text blocks to find image blocks
-    stext.walk({
-        onImageBlock(bbox, transform, image) {
-            try {
-                const pixmap = image.toPixmap();
-                const width = pixmap.getWidth();
-                const height = pixmap.getHeight();
-
-                let imgBuffer;
-                if (options.format === "jpeg") {
-                    imgBuffer = pixmap.asJPEG(85);
+    for (const img of embedded) {
+        const imageOptions = img.passthrough
+            ? { ...options, format: img.format, processing: null }
+            : options;
+        images.push(
+            await outputProcessedImage(
+                {
+                    page: pageNumber,
+                    imageIndex: img.imageIndex,
+                    width: img.width,
+                    height: img.height,
+                    format: imageOptions.format,
+                    type: "embedded",
+                    bbox: img.bbox,
+                    hash: img.hash,
+                    passthrough: img.passthrough,
+                },
+                img.buffer,
+                `${pdfBaseName}_page_${pageNumber}_img_${img.imageIndex}`,
+                imageOptions
+            )
+        );
+    }
+    return images;
+}
+
+/**
+ * Extract a PDF page by page, yielding each page as soon as it is ready.
+ *
+ * One open document feeds the text, the page render and the embedded images
+ * of every page. Pages that need rendering are spread across a pool of
+ * worker threads (PDF_WORKERS, default: one per spare core, up to 4) and
+ * still come out in page order. Text-only extraction stays on the calling
+ * thread, where it is cheaper than a round trip to a worker.
+ *
+ * Scanned pages (almost no text, mostly covered by images) are run through
+ * OCR (see ocr.js); each page reports whether its text is "native" or came
+ * from "ocr" in `textSource`, and OCR'd pages carry the words with their
+ * boxes and confidence in `ocr`.
+ *
+ * @example
+ * for await (const page of extractPages("report.pdf", { base64: true })) {
+ *     console.log(page.page, page.text.length, page.images.length);
+ * }
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} [options]
+ * @param {boolean} [options.text=true] - Include the page text
+ * @param {boolean} [options.links=false] - Include the page links (see links.js)
+ * @param {"auto"|"off"|"force"} [options.ocr="auto"] - OCR scanned pages, no pages, or every page (default: PDF_OCR or "auto")
+ * @param {string} [options.ocrEngine] - OCR engine (default: PDF_OCR_ENGINE or "tesseract.js")
+ * @param {string} [options.ocrLanguages] - OCR languages, e.g. "eng+deu" (default: PDF_OCR_LANGUAGES or "eng")
+ * @param {number} [options.ocrDpi=300] - Resolution pages are rendered at for OCR
+ * @param {boolean} [options.images=true] - Include the page render and embedded images
+ * @param {string} [options.outputDir] - Directory to save images to (default: same directory as PDF)
+ * @param {"png"|"jpeg"|"webp"|"avif"} [options.format="png"] - Image format
+ * @param {boolean} [options.base64=false] - If true, return base64-encoded images instead of saving to disk
+ * @param {number} [options.dpi=150] - Resolution for page rendering
+ * @param {number} [options.maxPixels=50000000] - Largest page render, in pixels
+ * @param {number} [options.maxWidth] - Scale images down to fit this width
+ * @param {number} [options.maxHeight] - Scale images down to fit this height
+ * @param {number} [options.quality] - JPEG/WebP/AVIF quality, 1-100
+ * @param {boolean} [options.grayscale=false] - Convert images to grayscale
+ * @param {boolean} [options.trim=false] - Trim the margins of page renders
+ * @param {number} [options.thumbnailSize] - Also create thumbnails fitting in a square of this size
+ * @param {"pages"|"embedded"|"both"} [options.mode="both"] - Render pages, extract embedded images, or both
+ * @param {number} [options.minWidth] - Skip embedded images narrower than this (pixels)
+ * @param {number} [options.minHeight] - Skip embedded images lower than this (pixels)
+ * @param {number} [options.minArea] - Skip embedded images with fewer pixels than this
+ * @param {boolean} [options.dedupe=false] - Output each distinct embedded image once, listing all its `pages`
+ * @param {boolean} [options.passthrough=false] - Save embedded JPEG/JPEG 2000 images as stored in the PDF
+ * @param {string|number[]} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @param {number} [options.workers] - Set to 0 to do all work on the calling thread
+ * @returns {AsyncGenerator<{page: number, text?: string, textSource?: "native"|"ocr", ocr?: {engine: string, confidence: number|null, dpi: number, words: Array<object>}, links?: Array<object>, images?: Array<object>}>}
+ */
+export async function* extractPages(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+
+    const {
+        text: includeText = true,
+        links: includeLinks = false,
+        ocr: ocrMode = process.env.PDF_OCR || "auto",
+        ocrEngine,
+        ocrLanguages,
+        ocrDpi = 300,
+        images: includeImages = true,
+        outputDir = input.dir,
+        format = "png",
+        base64: returnBase64 = false,
+        dpi = 150,
+        maxPixels = MAX_RENDER_PIXELS,
+        maxWidth,
+        maxHeight,
+        quality,
+        grayscale = false,
+        trim = false,
+        thumbnailSize,
+        mode = "both",
+        minWidth,
+        minHeight,
+        minArea,
+        dedupe = false,
+        passthrough = false,
+        pages,
+        password,
+        workers,
+    } = options;
+
+    if (includeImages && !IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported image format: ${format}`);
+    }
+    if (!["pages", "embedded", "both"].includes(mode)) {
+        throw new Error(`Unsupported image mode: ${mode}`);
+    }
+    if (!OCR_MODES.includes(ocrMode)) {
+        throw new Error(`Unsupported OCR mode: ${ocrMode}`);
+    }
+    const useOcr = includeText && ocrMode !== "off";
+    const renderPages = includeImages && mode !== "embedded";
+    const embeddedImages = includeImages && mode !== "pages";
+
+    // mupdf renders PNG or JPEG; anything more goes through sharp, which
+    // gets a lossless PNG to work from
+    const processingOptions = {
+        format,
+        maxWidth,
+        maxHeight,
+        quality,
+        grayscale,
+        trim,
+        thumbnailSize,
+    };
+    const processing = needsPostProcessing(processingOptions)
+        ? processingOptions
+        : null;
+    const renderFormat = processing ? "png" : format;
+
+    const pdf = loadPdf(input, password);
+    try {
+        const selectedPages = parsePageRange(pages, pdf.doc.countPages());
+        const pdfBaseName = input.stem;
+        const pool = includeImages && workers !== 0 ? getWorkerPool() : null;
+
+        // Ensure output directory exists
+        if (includeImages && !returnBase64) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const runPage = async (pageNumber) => {
+            // Take what the disk cache has; only the rest is computed
+            const textKey = pdf.diskKey("text", pageNumber);
+            const coverageKey = pdf.diskKey("coverage", pageNumber);
+            const renderKey = pdf.diskKey("render", pageNumber, dpi, renderFormat);
+            const cached = { page: pageNumber };
+
+            if (includeText) {
+                const text = getCachedJSON(textKey);
+                if (text !== null) cached.text = text;
+            }
+            if (useOcr) {
+                const coverage = getCachedJSON(coverageKey);
+                if (coverage !== null) cached.imageCoverage = coverage;
+            }
+            if (renderPages) {
+                const size = getCachedJSON(renderKey);
+                const buffer = size && getCachedBuffer(renderKey);
+                if (buffer) {
+                    cached.render = { ...size, buffer };
                 } else {
-                    imgBuffer = pixmap.asPNG();
+                    checkRenderSize(
+                        pdf.doc.loadPage(pageNumber - 1).getBounds(),
+                        dpi / 72,
+                        maxPixels,
+                        `Page ${pageNumber}`
+                    );
                 }
+            }
 
-                const imageInfo = {
-                    page: pageIndex + 1,
-                    imageIndex,
-                    width,
-                    height,
-                    format: options.format,
-                    type: "embedded",
-                    bbox: {
-                        x: bbox[0],
-                        y: bbox[1],
-                        w: bbox[2] - bbox[0],
-                        h: bbox[3] - bbox[1],
-                    },
+            const task = {
+                page: pageNumber,
+                text: includeText && cached.text === undefined,
+                links: includeLinks,
+                coverage: useOcr && cached.imageCoverage === undefined,
+                render:
+                    renderPages && !cached.render
+                        ? { dpi, format: renderFormat }
+                        : null,
+                embedded: embeddedImages
+                    ? {
+                          format: renderFormat,
+                          minWidth,
+                          minHeight,
+                          minArea,
+                          passthrough,
+                      }
+                    : null,
+            };
+            if (
+                !task.text &&
+                !task.links &&
+                !task.coverage &&
+                !task.render &&
+                !task.embedded
+            ) {
+                return useOcr ? recognize(cached) : cached;
+            }
+
+            const computed = pool
+                ? await pool.run({
+                      ...task,
+                      ...pdf.source,
+                      hash: pdf.hash,
+                      password,
+                  })
+                : processPage(pdf.doc, task);
+
+            if (task.text) setCachedJSON(textKey, computed.text);
+            if (task.coverage) setCachedJSON(coverageKey, computed.imageCoverage);
+            if (task.render) {
+                const { width, height, buffer } = computed.render;
+                setCachedBuffer(renderKey, buffer);
+                setCachedJSON(renderKey, { width, height });
+            }
+            const result = { ...cached, ...computed };
+            return useOcr ? recognize(result) : result;
+        };
+
+        // Replace the text of a scanned page with what OCR reads on it
+        const recognize = async (result) => {
+            if (!needsOcr(result, ocrMode)) return result;
+
+            const engine = getOcrEngine(ocrEngine, {
+                languages: ocrLanguages,
+                dpi: ocrDpi,
+            });
+            const memoKey = `ocr:${result.page}:${engine.id}`;
+            const ocrKey = pdf.diskKey("ocr", result.page, engine.id);
+            let ocr = pdf.memo.get(memoKey) || getCachedJSON(ocrKey);
+
+            if (!ocr) {
+                const page = pdf.doc.loadPage(result.page - 1);
+                const bounds = page.getBounds();
+                checkRenderSize(
+                    bounds,
+                    ocrDpi / 72,
+                    maxPixels,
+                    `Page ${result.page}`
+                );
+                const render = { dpi: ocrDpi, format: "png" };
+                const { buffer } = pool
+                    ? (
+                          await pool.run({
+                              page: result.page,
+                              render,
+                              ...pdf.source,
+                              hash: pdf.hash,
+                              password,
+                          })
+                      ).render
+                    : renderPageImage(page, render);
+                ocr = {
+                    ...(await recognizePage(engine, buffer, ocrDpi, bounds)),
+                    dpi: ocrDpi,
                 };
+                setCachedJSON(ocrKey, ocr);
+            }
+            pdf.memo.set(memoKey, ocr);
 
-                if (options.returnBase64) {
-                    imageInfo.base64 = Buffer.from(imgBuffer).toString("base64");
-                    imageInfo.mimeType =
-                        options.format === "jpeg" ? "image/jpeg" : "image/png";
-                } else {
-                    const ext = options.format === "jpeg" ? "jpg" : "png";
-                    const fileName = `${pdfBaseName}_page_${pageIndex + 1}_img_${imageIndex}.${ext}`;
-                    const filePath = path.join(options.outputDir, fileName);
-                    fs.writeFileSync(filePath, imgBuffer);
-                    imageInfo.path = filePath;
+            const { text, ...details } = ocr;
+            return { ...result, text, textSource: "ocr", ocr: details };
+        };
+
+        // Embedded image hash → first output of that image (for dedupe)
+        const seenImages = new Map();
+
+        const toPage = async (result) => {
+            const page = { page: result.page };
+            if (includeText) {
+                page.text = result.text;
+                page.textSource = result.textSource || "native";
+            }
+            if (result.ocr) page.ocr = result.ocr;
+            if (includeLinks) page.links = result.links;
+            if (!includeImages) return page;
+
+            const output = { format, returnBase64, outputDir, processing };
+            // Only page renders have margins to trim
+            const embeddedOutput = {
+                ...output,
+                processing: processing && { ...processing, trim: false },
+            };
+            page.images = [];
+
+            // Render the full page as an image
+            if (renderPages) {
+                const { width, height, buffer } = result.render;
+                page.images.push(
+                    await outputProcessedImage(
+                        { page: result.page, imageIndex: 0, width, height, format },
+                        buffer,
+                        `${pdfBaseName}_page_${result.page}`,
+                        output
+                    )
+                );
+            }
+
+            // Also the images embedded in the page. With dedupe, an image seen
+            // before is only added to the `pages` of its first occurrence.
+            if (embeddedImages) {
+                const embedded = [];
+                const pageHashes = new Set();
+                for (const img of result.embedded) {
+                    if (!dedupe) {
+                        embedded.push(img);
+                        continue;
+                    }
+                    const first = seenImages.get(img.hash);
+                    if (first) {
+                        if (!first.pages.includes(result.page)) {
+                            first.pages.push(result.page);
+                        }
+                    } else if (!pageHashes.has(img.hash)) {
+                        pageHashes.add(img.hash);
+                        embedded.push(img);
+                    }
                 }
 
-                images.push(imageInfo);
-                imageIndex++;
-            } catch {
-                // Skip images that can't be extracted
+                const images = await outputEmbeddedImages(
+                    result.page,
+                    embedded,
+                    pdfBaseName,
+                    embeddedOutput
+                );
+                if (dedupe) {
+                    for (const image of images) {
+                        image.pages = [result.page];
+                        seenImages.set(image.hash, image);
+                    }
+                }
+                page.images.push(...images);
             }
-        },
-    });
+            return page;
+        };
 
-    return images;
+        // Keep every worker busy, but never run far ahead of the consumer
+        const lookahead = pool ? pool.size * 2 : 1;
+        const pending = [];
+        let next = 0;
+        const schedule = () => {
+            while (next < selectedPages.length && pending.length < lookahead) {
+                const promise = runPage(selectedPages[next++]);
+                // Failures are reported when the page is awaited, in order
+                promise.catch(() => {});
+                pending.push(promise);
+            }
+        };
+
+        schedule();
+        while (pending.length > 0) {
+            const result = await pending.shift();
+            schedule();
+            yield await toPage(result);
+        }
+    } finally {
+        pdf.release();
+    }
 }
 
 /**
- * Extract everything (text + images) from a PDF.
+ * Extract images from a PDF file.
  *
- * @param {string} pdfPath - Absolute path to the PDF file
- * @param {object} options - Same options as extractImages
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} options
+ * @param {string} [options.outputDir] - Directory to save images to (default: same directory as PDF)
+ * @param {"png"|"jpeg"|"webp"|"avif"} [options.format="png"] - Image format
+ * @param {boolean} [options.base64=false] - If true, return base64-encoded images instead of saving to disk
+ * @param {number} [options.dpi=150] - Resolution for page rendering
+ * @param {number} [options.maxPixels=50000000] - Largest page render, in pixels
+ * @param {number} [options.maxWidth] - Scale images down to fit this width
+ * @param {number} [options.maxHeight] - Scale images down to fit this height
+ * @param {number} [options.quality] - JPEG/WebP/AVIF quality, 1-100
+ * @param {boolean} [options.grayscale=false] - Convert images to grayscale
+ * @param {boolean} [options.trim=false] - Trim the margins of page renders
+ * @param {number} [options.thumbnailSize] - Also create thumbnails fitting in a square of this size
+ * @param {"pages"|"embedded"|"both"} [options.mode="both"] - Render pages, extract embedded images, or both
+ * @param {number} [options.minWidth] - Skip embedded images narrower than this (pixels)
+ * @param {number} [options.minHeight] - Skip embedded images lower than this (pixels)
+ * @param {number} [options.minArea] - Skip embedded images with fewer pixels than this
+ * @param {boolean} [options.dedupe=false] - Output each distinct embedded image once, listing all its `pages`
+ * @param {boolean} [options.passthrough=false] - Save embedded JPEG/JPEG 2000 images as stored in the PDF
+ * @param {string} [options.pages] - Page selection, e.g. "1-5,12,20-" or "last" (default: all pages)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<Array<{page: number, imageIndex: number, width: number, height: number, path?: string, base64?: string, thumbnail?: object}>>}
+ */
+export async function extractImages(pdfPath, options = {}) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const { doc, release } = loadPdf(input, options.password);
+    try {
+        const totalPages = doc.countPages();
+        const selectedPages = parsePageRange(options.pages, totalPages);
+        const images = [];
+
+        for await (const page of extractPages(input, {
+            ...options,
+            pages: selectedPages,
+            text: false,
+        })) {
+            images.push(...page.images);
+        }
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            selectedPages,
+            totalImages: images.length,
+            images,
+        };
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Render one area of a page at high resolution, e.g. to read a dense chart
+ * or a footnote that is too small in a full-page render.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} options
+ * @param {number} options.page - 1-based page number
+ * @param {{x: number, y: number, w: number, h: number}} options.bbox - Area to render, top-left origin
+ * @param {"points"|"fraction"} [options.units="points"] - bbox in PDF points (as reported by the other
+ *   tools) or as fractions of the page size (0-1)
+ * @param {number} [options.dpi=300] - Resolution, unless a target size is given
+ * @param {number} [options.width] - Target width in pixels (overrides dpi)
+ * @param {number} [options.height] - Target height in pixels (overrides dpi)
+ * @param {number} [options.maxPixels=50000000] - Largest render, in pixels
+ * @param {"png"|"jpeg"|"webp"|"avif"} [options.format="png"] - Image format
+ * @param {boolean} [options.base64=false] - If true, return the image as base64 instead of saving to disk
+ * @param {string} [options.outputDir] - Directory to save the image to (default: same directory as PDF)
+ * @param {string} [options.password] - Password for encrypted PDFs
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{file: string, documentFormat: string, totalPages: number, page: number, bbox: object, dpi: number, width: number, height: number, format: string, path?: string, base64?: string, mimeType?: string}>}
+ */
+export async function renderRegion(pdfPath, options) {
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const {
+        page: pageNumber,
+        bbox,
+        units = "points",
+        dpi = 300,
+        width,
+        height,
+        maxPixels = MAX_RENDER_PIXELS,
+        format = "png",
+        base64: returnBase64 = false,
+        outputDir = input.dir,
+        password,
+    } = options;
+
+    if (!IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported image format: ${format}`);
+    }
+    if (!bbox || !(bbox.w > 0) || !(bbox.h > 0)) {
+        throw new Error("bbox needs a positive width (w) and height (h)");
+    }
+
+    const pdf = loadPdf(input, password);
+    try {
+        const totalPages = pdf.doc.countPages();
+        if (
+            !Number.isInteger(pageNumber) ||
+            pageNumber < 1 ||
+            pageNumber > totalPages
+        ) {
+            throw new Error(`Page ${pageNumber} is out of range (1-${totalPages})`);
+        }
+
+        // Convert to page coordinates and clip to the page
+        const bounds = pdf.doc.loadPage(pageNumber - 1).getBounds();
+        const [sx, sy] =
+            units === "fraction"
+                ? [bounds[2] - bounds[0], bounds[3] - bounds[1]]
+                : [1, 1];
+        const [ox, oy] = units === "fraction" ? [bounds[0], bounds[1]] : [0, 0];
+        const rect = [
+            Math.max(bounds[0], ox + bbox.x * sx),
+            Math.max(bounds[1], oy + bbox.y * sy),
+            Math.min(bounds[2], ox + (bbox.x + bbox.w) * sx),
+            Math.min(bounds[3], oy + (bbox.y + bbox.h) * sy),
+        ];
+        if (rect[2] <= rect[0] || rect[3] <= rect[1]) {
+            throw new Error(`The region lies outside page ${pageNumber}`);
+        }
+
+        // A target size wins over the DPI; the region is fitted inside it
+        const regionWidth = rect[2] - rect[0];
+        const regionHeight = rect[3] - rect[1];
+        const scale =
+            width || height
+                ? Math.min(
+                      width ? width / regionWidth : Infinity,
+                      height ? height / regionHeight : Infinity
+                  )
+                : dpi / 72;
+        checkRenderSize(rect, scale, maxPixels, "The region");
+
+        // Rendering happens on the worker pool, off the main thread
+        const processing = needsPostProcessing({ format }) ? { format } : null;
+        const { region } = await getWorkerPool().run({
+            page: pageNumber,
+            region: { rect, scale, format: processing ? "png" : format },
+            ...pdf.source,
+            hash: pdf.hash,
+            password,
+        });
+
+        if (!returnBase64) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+        const pdfBaseName = input.stem;
+        const clipped = toBBox(rect);
+        const image = await outputProcessedImage(
+            {
+                page: pageNumber,
+                bbox: clipped,
+                dpi: Math.round(scale * 72),
+                width: region.width,
+                height: region.height,
+                format,
+            },
+            region.buffer,
+            `${pdfBaseName}_page_${pageNumber}_region_` +
+                `${Math.round(clipped.x)}_${Math.round(clipped.y)}_` +
+                `${Math.round(clipped.w)}x${Math.round(clipped.h)}`,
+            { format, returnBase64, outputDir, processing }
+        );
+
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            totalPages,
+            ...image,
+        };
+    } finally {
+        pdf.release();
+    }
+}
+
+/**
+ * Extract everything (text + images) from a PDF in a single pass.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the PDF
+ * @param {object} options - Same options as extractImages (including pages, password and pageSize)
  * @returns {Promise<object>}
  */
 export async function extractAll(pdfPath, options = {}) {
-    const [textResult, imageResult] = await Promise.all([
-        extractText(pdfPath),
-        extractImages(pdfPath, options),
-    ]);
+    const input = await openPdfInput(pdfPath, { pageSize: options.pageSize });
+    const info = await getDocumentInfo(input, options);
+    const pages = [];
+
+    for await (const page of extractPages(input, {
+        ...options,
+        pages: info.selectedPages,
+        links: true,
+    })) {
+        pages.push(page);
+    }
 
     return {
-        file: textResult.file,
-        totalPages: textResult.totalPages,
-        metadata: textResult.metadata,
-        pages: textResult.pages.map((p) => {
-            const pageImages = imageResult.images.filter(
-                (img) => img.page === p.page
+        ...info,
+        pages,
+        totalImages: pages.reduce((sum, p) => sum + p.images.length, 0),
+    };
+}
+
+/**
+ * Compare two versions of a PDF, e.g. a contract and its revision.
+ *
+ * Returns a paragraph-level text diff that is robust to reflow (lines are
+ * rejoined into paragraphs, also across page breaks, and running headers
+ * and footers are ignored), the pages of both versions aligned with each
+ * other, pages added or removed, and changed metadata. With `visual`, every
+ * pair of aligned pages is also compared pixel by pixel and the pages that
+ * differ are rendered as an overlay or side by side.
+ *
+ * @param {string|Uint8Array|object} pdfPath - Path, Buffer, stream, data URI or URL of the original PDF
+ * @param {string|Uint8Array|object} revisedPdfPath - Same for the revised PDF
+ * @param {object} [options]
+ * @param {"overlay"|"side-by-side"} [options.visual] - Also render the differences of aligned pages
+ * @param {number} [options.dpi=100] - Resolution for the visual comparison
+ * @param {number} [options.maxPixels=50000000] - Largest page render, in pixels
+ * @param {"png"|"jpeg"|"webp"|"avif"} [options.format="png"] - Image format of the visual comparison
+ * @param {boolean} [options.base64=false] - Return difference images as base64 instead of saving to disk
+ * @param {string} [options.outputDir] - Directory to save difference images to (default: same directory as the original)
+ * @param {number} [options.maxChanges=500] - Maximum number of paragraph changes to return
+ * @param {boolean} [options.keepHeadersFooters=false] - Also compare running headers and footers
+ * @param {string} [options.password] - Password of the original (and of the revision, unless revisedPassword is given)
+ * @param {string} [options.revisedPassword] - Password of the revision
+ * @param {string} [options.pageSize] - Page size EPUB, FB2 and MOBI documents are laid out at, e.g. "A4" or "360x640" (default: PDF_PAGE_SIZE or A5)
+ * @returns {Promise<{original: object, revised: object, metadataChanges: Array<object>, pages: Array<object>, totalChanges: number, truncated: boolean, changes: Array<object>, summary: object, images: Array<object>}>}
+ */
+export async function comparePdfs(pdfPath, revisedPdfPath, options = {}) {
+    const { pageSize } = options;
+    const originalInput = await openPdfInput(pdfPath, { pageSize });
+    const revisedInput = await openPdfInput(revisedPdfPath, { pageSize });
+    const {
+        visual = null,
+        dpi = 100,
+        maxPixels = MAX_RENDER_PIXELS,
+        format = "png",
+        base64: returnBase64 = false,
+        outputDir = originalInput.dir,
+        maxChanges = 500,
+        keepHeadersFooters = false,
+        password,
+        revisedPassword = password,
+    } = options;
+
+    if (visual && visual !== "overlay" && visual !== "side-by-side") {
+        throw new Error(`Unknown visual mode: ${visual}`);
+    }
+    if (visual && !IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    // Both documents stay checked out until the pages have been rendered
+    const checkouts = [];
+    const readVersion = async (input, versionPassword) => {
+        const pdf = loadPdf(input, versionPassword);
+        checkouts.push(pdf);
+        const totalPages = pdf.doc.countPages();
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+            const layout = readPageLayout(pdf.doc.loadPage(pageNumber - 1));
+            pages.push({
+                height: layout.height,
+                paragraphs: readParagraphs(layout, pageNumber),
+            });
+        }
+        return {
+            file: input.file,
+            documentFormat: input.format.name,
+            stem: input.stem,
+            pdf,
+            password: versionPassword,
+            totalPages,
+            metadata: await readMetadata(pdf, input),
+            paragraphs: joinParagraphs(pages, { keepHeadersFooters }),
+        };
+    };
+    try {
+        const original = await readVersion(originalInput, password);
+        const revised = await readVersion(revisedInput, revisedPassword);
+
+        const { changes, matches } = diffParagraphs(
+            original.paragraphs,
+            revised.paragraphs
+        );
+        const pages = alignPages(
+            original.paragraphs,
+            revised.paragraphs,
+            matches,
+            original.totalPages,
+            revised.totalPages
+        ).map(({ before, after }) => {
+            const count = changes.filter(
+                (change) =>
+                    change.pagesBefore?.includes(before) ||
+                    change.pagesAfter?.includes(after)
+            ).length;
+            let status = count > 0 ? "changed" : "unchanged";
+            if (before === null) status = "added";
+            if (after === null) status = "removed";
+            return { before, after, status, changes: count };
+        });
+
+        const images = [];
+        if (visual) {
+            if (!returnBase64) fs.mkdirSync(outputDir, { recursive: true });
+            const scale = dpi / 72;
+            const pool = getWorkerPool();
+            const side = (version, pageNumber) => {
+                const page = version.pdf.doc.loadPage(pageNumber - 1);
+                checkRenderSize(
+                    page.getBounds(),
+                    scale,
+                    maxPixels,
+                    `Page ${pageNumber}`
+                );
+                return {
+                    ...version.pdf.source,
+                    hash: version.pdf.hash,
+                    password: version.password,
+                    page: pageNumber,
+                };
+            };
+            // Rendering and comparing happen on the worker pool, off the
+            // main thread, a few pages ahead of the encoding
+            const paired = pages.filter(
+                (entry) => entry.before !== null && entry.after !== null
             );
-            return {
-                ...p,
-                images: pageImages,
+            const pending = [];
+            let next = 0;
+            const schedule = () => {
+                while (next < paired.length && pending.length < pool.size * 2) {
+                    const entry = paired[next++];
+                    const promise = pool
+                        .run({
+                            pixelDiff: {
+                                before: side(original, entry.before),
+                                after: side(revised, entry.after),
+                                scale,
+                                mode: visual,
+                            },
+                        })
+                        .then((diff) => ({ entry, diff }));
+                    // Failures are reported when the page is awaited, in order
+                    promise.catch(() => {});
+                    pending.push(promise);
+                }
             };
-        }),
-        totalImages: imageResult.totalImages,
-    };
+
+            schedule();
+            while (pending.length > 0) {
+                const { entry, diff } = await pending.shift();
+                schedule();
+                entry.pixelsChanged = Math.round(diff.changedRatio * 10000) / 10000;
+                if (diff.changedPixels === 0) continue;
+                // Also catches changes without text, e.g. a replaced figure
+                if (entry.status === "unchanged") entry.status = "changed";
+
+                const buffer = await encodeRawImage(
+                    diff.pixels,
+                    diff.width,
+                    diff.height,
+                    format
+                );
+                images.push(
+                    outputImage(
+                        {
+                            before: entry.before,
+                            after: entry.after,
+                            mode: visual,
+                            width: diff.width,
+                            height: diff.height,
+                            pixelsChanged: entry.pixelsChanged,
+                            format,
+                        },
+                        buffer,
+                        `${original.stem}_vs_${revised.stem}_` +
+                            `page_${entry.before}-${entry.after}_${visual}`,
+                        { format, returnBase64, outputDir }
+                    )
+                );
+            }
+        }
+
+        const count = (list, status) =>
+            list.filter((item) => (item.type || item.status) === status).length;
+        const describe = ({ file, documentFormat, totalPages, metadata }) => ({
+            file,
+            documentFormat,
+            totalPages,
+            metadata,
+        });
+
+        return {
+            original: describe(original),
+            revised: describe(revised),
+            metadataChanges: diffMetadata(original.metadata, revised.metadata),
+            pages,
+            totalChanges: changes.length,
+            truncated: changes.length > maxChanges,
+            changes: changes.slice(0, maxChanges),
+            summary: {
+                added: count(changes, "added"),
+                removed: count(changes, "removed"),
+                changed: count(changes, "changed"),
+                pagesAdded: count(pages, "added"),
+                pagesRemoved: count(pages, "removed"),
+                pagesChanged: count(pages, "changed"),
+            },
+            images,
+        };
+    } finally {
+        for (const pdf of checkouts) pdf.release();
+    }
 }
@@ -0,0 +1,189 @@
+/**
+ * Agentic-PDF-Extractor - Document formats
+ *
+ * mupdf opens more than PDF: XPS, EPUB, CBZ comic archives, FictionBook,
+ * MOBI and raster images (multi-page TIFF, PNG, JPEG, GIF). They all go
+ * through the same pipeline; this module tells them apart by their content,
+ * falling back to the declared MIME type or the file extension.
+ *
+ * Reflowable formats (EPUB, FB2, MOBI) have no pages of their own: mupdf
+ * lays them out at a page size, A5 unless set by PDF_PAGE_SIZE or the
+ * `pageSize` option.
+ */
+
+import path from "path";
+
+/** Formats by id: display name, MIME type, file extensions, reflowable */
+export const FORMATS = {
+    pdf: { name: "PDF", mimeType: "application/pdf", extensions: [".pdf"] },
+    xps: {
+        name: "XPS",
+        mimeType: "application/oxps",
+        mimeTypes: ["application/vnd.ms-xpsdocument"],
+        extensions: [".xps", ".oxps"],
+    },
+    epub: {
+        name: "EPUB",
+        mimeType: "application/epub+zip",
+        extensions: [".epub"],
+        reflowable: true,
+    },
+    cbz: {
+        name: "CBZ",
+        mimeType: "application/vnd.comicbook+zip",
+        mimeTypes: ["application/x-cbz"],
+        extensions: [".cbz"],
+    },
+    fb2: {
+        name: "FB2",
+        mimeType: "application/x-fictionbook+xml",
+        mimeTypes: ["application/x-fictionbook"],
+        extensions: [".fb2"],
+        reflowable: true,
+    },
+    mobi: {
+        name: "MOBI",
+        mimeType: "application/x-mobipocket-ebook",
+        extensions: [".mobi", ".prc"],
+        reflowable: true,
+    },
+    tiff: {
+        name: "TIFF",
+        mimeType: "image/tiff",
+        extensions: [".tif", ".tiff"],
+    },
+    png: { name: "PNG", mimeType: "image/png", extensions: [".png"] },
+    jpeg: {
+        name: "JPEG",
+        mimeType: "image/jpeg",
+        extensions: [".jpg", ".jpeg"],
+    },
+    gif: { name: "GIF", mimeType: "image/gif", extensions: [".gif"] },
+};
+
+// Single images are taken when given, but not picked up from folders:
+// there, they are more often pictures (or our own outputs) than scans
+const PICTURE_FORMATS = new Set(["png", "jpeg", "gif"]);
+
+/** Extensions of the documents picked up from folders, e.g. ".pdf", ".epub" */
+export const DOCUMENT_EXTENSIONS = Object.entries(FORMATS)
+    .filter(([id]) => !PICTURE_FORMATS.has(id))
+    .flatMap(([, format]) => format.extensions);
+
+/** Page sizes in points for reflowable formats */
+const PAGE_SIZES = {
+    a4: [595, 842],
+    a5: [420, 595],
+    a6: [298, 420],
+    letter: [612, 792],
+    legal: [612, 1008],
+};
+
+// Font size reflowable text is laid out with, in points
+const LAYOUT_FONT_SIZE = 11;
+
+/**
+ * Whether a file found in a folder is a document to process: a PDF or
+ * another multi-page format (see DOCUMENT_EXTENSIONS).
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isDocumentName(name) {
+    return DOCUMENT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * The format a MIME type or file name says a document has.
+ */
+function formatFromHints({ name, mimeType }) {
+    const type = (mimeType || "").split(";")[0].trim().toLowerCase();
+    const ext = name ? path.extname(name).toLowerCase() : "";
+    for (const [id, format] of Object.entries(FORMATS)) {
+        if (type === format.mimeType || format.mimeTypes?.includes(type)) {
+            return id;
+        }
+    }
+    for (const [id, format] of Object.entries(FORMATS)) {
+        if (ext && format.extensions.includes(ext)) return id;
+    }
+    return null;
+}
+
+/**
+ * Detect the format of a document.
+ *
+ * The content decides where it has a signature; a ZIP archive is an EPUB if
+ * it says so, XPS if it holds fixed pages, and a comic archive otherwise,
+ * unless its MIME type or extension names another ZIP-based format.
+ *
+ * @param {Uint8Array} head - The document, or at least its first 64 KB
+ * @param {object} [hints]
+ * @param {string} [hints.name] - File name or URL path
+ * @param {string} [hints.mimeType] - Declared MIME type, e.g. from a data URI
+ * @returns {{id: string, name: string, mimeType: string, reflowable: boolean}|null}
+ *   null if it is not a supported document
+ */
+export function detectFormat(head, hints = {}) {
+    const bytes = Buffer.from(head.buffer, head.byteOffset, head.byteLength);
+    const text = bytes.toString("latin1", 0, Math.min(bytes.length, 65536));
+    const hinted = formatFromHints(hints);
+
+    const mobiType = text.slice(60, 68);
+    let id = null;
+    if (text.slice(0, 1024).includes("%PDF-")) {
+        id = "pdf";
+    } else if (text.startsWith("PK\x03\x04")) {
+        if (text.slice(30, 58) === "mimetypeapplication/epub+zip") {
+            id = "epub";
+        } else if (["xps", "epub", "cbz"].includes(hinted)) {
+            id = hinted;
+        } else {
+            id = /\.fpage|FixedDoc/.test(text) ? "xps" : "cbz";
+        }
+    } else if (mobiType === "BOOKMOBI" || mobiType === "TEXtREAd") {
+        id = "mobi";
+    } else if (text.startsWith("II*\0") || text.startsWith("MM\0*")) {
+        id = "tiff";
+    } else if (text.startsWith("\x89PNG")) {
+        id = "png";
+    } else if (text.startsWith("\xFF\xD8\xFF")) {
+        id = "jpeg";
+    } else if (text.startsWith("GIF8")) {
+        id = "gif";
+    } else if (
+        /^(\xEF\xBB\xBF)?\s*<\?xml/.test(text) &&
+        text.slice(0, 4096).includes("<FictionBook")
+    ) {
+        id = "fb2";
+    } else if (hinted === "pdf") {
+        // Damaged or with junk before the header; mupdf may still repair it
+        id = hinted;
+    }
+
+    if (!id) return null;
+    const { name, mimeType, reflowable = false } = FORMATS[id];
+    return { id, name, mimeType, reflowable };
+}
+
+/**
+ * Parse a page size for reflowable formats: "A4", "A5", "A6", "letter",
+ * "legal" or "WIDTHxHEIGHT" in points, e.g. "360x640" for a phone screen.
+ *
+ * @param {string} [spec] - Default: PDF_PAGE_SIZE or "A5"
+ * @returns {{width: number, height: number, fontSize: number}}
+ */
+export function parsePageSize(spec) {
+    const value = String(spec || process.env.PDF_PAGE_SIZE || "A5").trim();
+    const named = PAGE_SIZES[value.toLowerCase()];
+    const match = /^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)$/i.exec(value);
+    const [width, height] =
+        named || (match ? [Number(match[1]), Number(match[2])] : []);
+
+    if (!(width >= 72 && height >= 72 && width <= 14400 && height <= 14400)) {
+        throw new Error(
+            `Invalid page size "${value}": use A4, A5, A6, letter, legal or WIDTHxHEIGHT in points (72-14400)`
+        );
+    }
+    return { width, height, fontSize: LAYOUT_FONT_SIZE };
+}
@@ -0,0 +1,98 @@
+/**
+ * Agentic-PDF-Extractor - AcroForm fields
+ *
+ * Reads interactive form fields and their current values with pdf-lib.
+ */
+
+import {
+    PDFDocument,
+    PDFTextField,
+    PDFCheckBox,
+    PDFRadioGroup,
+    PDFDropdown,
+    PDFOptionList,
+    PDFButton,
+    PDFSignature,
+} from "pdf-lib";
+
+/**
+ * Describe the type, value and choices of a field.
+ */
+function readFieldValue(field) {
+    if (field instanceof PDFTextField) {
+        return { type: "text", value: field.getText() ?? null, options: null };
+    }
+    if (field instanceof PDFCheckBox) {
+        return { type: "checkbox", value: field.isChecked(), options: null };
+    }
+    if (field instanceof PDFRadioGroup) {
+        return {
+            type: "radio",
+            value: field.getSelected() ?? null,
+            options: field.getOptions(),
+        };
+    }
+    if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        const selected = field.getSelected();
+        return {
+            type: field instanceof PDFDropdown ? "dropdown" : "listbox",
+            value: field.isMultiselect() ? selected : (selected[0] ?? null),
+            options: field.getOptions(),
+        };
+    }
+    if (field instanceof PDFButton) {
+        return { type: "button", value: null, options: null };
+    }
+    if (field instanceof PDFSignature) {
+        return { type: "signature", value: null, options: null };
+    }
+    return { type: "unknown", value: null, options: null };
+}
+
+/**
+ * Find the page and top-left based bounding box of a field's first widget.
+ */
+function locateField(field, pages) {
+    const widget = field.acroField.getWidgets()[0];
+    if (!widget) return { page: null, bbox: null };
+
+    const pageRef = widget.P();
+    const index = pages.findIndex((p) => p.ref === pageRef);
+    if (index === -1) return { page: null, bbox: null };
+
+    const rect = widget.getRectangle();
+    const pageHeight = pages[index].getHeight();
+    const round = (v) => Math.round(v * 100) / 100;
+
+    return {
+        page: index + 1,
+        bbox: {
+            x: round(rect.x),
+            y: round(pageHeight - rect.y - rect.height),
+            w: round(rect.width),
+            h: round(rect.height),
+        },
+    };
+}
+
+/**
+ * Read all AcroForm fields of a PDF.
+ *
+ * @param {Uint8Array} pdfBytes - Unencrypted PDF bytes
+ * @returns {Promise<Array<{name: string, type: string, value: string|string[]|boolean|null, options: string[]|null, required: boolean, readOnly: boolean, page: number|null, bbox: object|null}>>}
+ */
+export async function readFormFields(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const pages = pdfDoc.getPages();
+
+    return pdfDoc
+        .getForm()
+        .getFields()
+        .map((field) => ({
+            name: field.getName(),
+            ...readFieldValue(field),
+            required: field.isRequired(),
+            readOnly: field.isReadOnly(),
+            ...locateField(field, pages),
+        }));
+}
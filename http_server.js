@@ -0,0 +1,307 @@
+/**
+ * Agentic-PDF-Extractor - HTTP transport
+ *
+ * Serves MCP over HTTP so one extractor can be shared by several IDEs and
+ * agents, e.g. from a container:
+ *
+ *   POST/GET/DELETE /mcp   Streamable HTTP (one session per client)
+ *   GET /sse, POST /messages   Legacy HTTP+SSE transport, for older clients
+ *   GET /health            Liveness check (no authentication)
+ *
+ * Every session gets its own MCP server from `createServer`.
+ *
+ * MCP requests must name an allowed host in their Host header, and an
+ * allowed origin if they come from a browser, so that a web page cannot
+ * reach a local server through DNS rebinding.
+ */
+
+import crypto from "crypto";
+import http from "http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+// A request body holds up to this many documents as base64 (the two
+// versions of a diff) plus this much for the JSON-RPC envelope and the
+// other arguments
+const DOCUMENTS_PER_REQUEST = 2;
+const BODY_OVERHEAD_BYTES = 1024 * 1024;
+// How long open sessions get to close on shutdown
+const SHUTDOWN_GRACE_MS = 5000;
+// Host names a local server is always reachable under
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "::1"];
+// Addresses that listen on every interface and name no host
+const WILDCARD_HOSTS = ["", "0.0.0.0", "::"];
+
+/**
+ * Send a JSON response.
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response that is not tied to a request.
+ */
+function sendRpcError(res, status, message, headers) {
+    sendJSON(
+        res,
+        status,
+        { jsonrpc: "2.0", error: { code: -32000, message }, id: null },
+        headers
+    );
+}
+
+/**
+ * Read and parse a JSON request body of at most `maxBytes`.
+ */
+async function readJSONBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw Object.assign(new Error("Request body too large"), {
+                status: 413,
+            });
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch {
+        throw Object.assign(new Error("Parse error: invalid JSON"), {
+            status: 400,
+        });
+    }
+}
+
+/**
+ * Whether a request carries the expected bearer token. Compared in
+ * constant time so the token cannot be guessed from response times.
+ */
+function isAuthorized(req, token) {
+    if (!token) return true;
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    if (!match) return false;
+    const given = crypto.createHash("sha256").update(match[1]).digest();
+    const expected = crypto.createHash("sha256").update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * The host name of a Host header or origin, without port and brackets.
+ */
+function hostName(value) {
+    try {
+        const { hostname } = new URL(
+            value.includes("://") ? value : `http://${value}`
+        );
+        return hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Why a request's Host or Origin header is not allowed, or null if both are.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string[]} hosts - Allowed host names
+ * @param {string[]} origins - Allowed origins besides those of allowed hosts
+ * @returns {string|null}
+ */
+function checkHostAndOrigin(req, hosts, origins) {
+    const host = hostName(req.headers.host || "");
+    if (!host || !hosts.includes(host)) {
+        return `Host "${req.headers.host || ""}" is not allowed; add it with --allowed-host or PDF_MCP_ALLOWED_HOSTS`;
+    }
+    const { origin } = req.headers;
+    if (
+        origin &&
+        !origins.includes(origin.toLowerCase()) &&
+        !hosts.includes(hostName(origin))
+    ) {
+        return `Origin "${origin}" is not allowed; add it with --allowed-origin or PDF_MCP_ALLOWED_ORIGINS`;
+    }
+    return null;
+}
+
+/**
+ * Start the HTTP server and close it gracefully on SIGINT/SIGTERM.
+ *
+ * @param {() => import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} createServer
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} options.host - Interface to listen on, e.g. 127.0.0.1 or 0.0.0.0
+ * @param {string} [options.token] - Require `Authorization: Bearer <token>`
+ * @param {string[]} [options.allowedHosts] - Host names clients may use besides localhost and `host`
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed besides those of allowed hosts, e.g. "https://app.example.com"
+ * @param {number} [options.maxDocumentBytes=209715200] - Largest document a request may carry as base64, e.g. the sandbox's maxFileBytes
+ * @param {{name: string, version: string}} options.info - Reported by /health
+ * @returns {Promise<{sessions: Map<string, {server: object, transport: object}>, close: () => Promise<void>}>}
+ */
+export async function startHttpServer(
+    createServer,
+    {
+        port,
+        host,
+        token,
+        allowedHosts = [],
+        allowedOrigins = [],
+        maxDocumentBytes = 200 * 1024 * 1024,
+        info,
+    }
+) {
+    // Session id → the session's MCP server and transport
+    const sessions = new Map();
+    const hosts = [
+        ...LOOPBACK_HOSTS,
+        ...(WILDCARD_HOSTS.includes(host) ? [] : [hostName(host)]),
+        ...allowedHosts.map(hostName),
+    ];
+    const origins = allowedOrigins.map((origin) => origin.toLowerCase());
+    const maxBodyBytes =
+        DOCUMENTS_PER_REQUEST * Math.ceil(maxDocumentBytes / 3) * 4 +
+        BODY_OVERHEAD_BYTES;
+
+    /**
+     * Connect a new MCP server to a transport, tracking it until it closes.
+     */
+    const openSession = async (transport) => {
+        const server = createServer();
+        transport.onclose = () => {
+            if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        await server.connect(transport);
+        return server;
+    };
+
+    const handleStreamable = async (req, res) => {
+        const sessionId = req.headers["mcp-session-id"];
+        const body =
+            req.method === "POST"
+                ? await readJSONBody(req, maxBodyBytes)
+                : undefined;
+
+        let session = sessionId ? sessions.get(sessionId) : null;
+        if (!sessionId && isInitializeRequest(body)) {
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => crypto.randomUUID(),
+                onsessioninitialized: (id) => sessions.set(id, session),
+            });
+            session = { transport, server: await openSession(transport) };
+        }
+        if (!session) {
+            // An unknown id means the session ended, e.g. on a restart
+            sendRpcError(
+                res,
+                sessionId ? 404 : 400,
+                sessionId
+                    ? "Session not found"
+                    : "Bad Request: no valid session ID provided"
+            );
+            return;
+        }
+        if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+            sendRpcError(res, 400, "Session uses the SSE transport");
+            return;
+        }
+
+        await session.transport.handleRequest(req, res, body);
+    };
+
+    const handleSseConnect = async (req, res) => {
+        const transport = new SSEServerTransport("/messages", res);
+        const server = await openSession(transport);
+        sessions.set(transport.sessionId, { server, transport });
+    };
+
+    const handleSseMessage = async (req, res, url) => {
+        const session = sessions.get(url.searchParams.get("sessionId"));
+        if (!(session?.transport instanceof SSEServerTransport)) {
+            sendRpcError(res, 404, "Session not found");
+            return;
+        }
+        const body = await readJSONBody(req, maxBodyBytes);
+        await session.transport.handlePostMessage(req, res, body);
+    };
+
+    const routes = {
+        "POST /mcp": handleStreamable,
+        "GET /mcp": handleStreamable,
+        "DELETE /mcp": handleStreamable,
+        "GET /sse": handleSseConnect,
+        "POST /messages": handleSseMessage,
+    };
+
+    const httpServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (url.pathname === "/health" && req.method === "GET") {
+                sendJSON(res, 200, {
+                    status: "ok",
+                    ...info,
+                    sessions: sessions.size,
+                });
+                return;
+            }
+
+            const route = routes[`${req.method} ${url.pathname}`];
+            if (!route) {
+                sendJSON(res, 404, { error: "Not found" });
+                return;
+            }
+            const refused = checkHostAndOrigin(req, hosts, origins);
+            if (refused) {
+                sendRpcError(res, 403, `Forbidden: ${refused}`);
+                return;
+            }
+            if (!isAuthorized(req, token)) {
+                sendRpcError(res, 401, "Unauthorized", {
+                    "WWW-Authenticate": "Bearer",
+                });
+                return;
+            }
+
+            await route(req, res, url);
+        } catch (error) {
+            console.error(`⚠️ ${req.method} ${url.pathname}: ${error.message}`);
+            if (!res.headersSent) {
+                sendRpcError(res, error.status || 500, error.message);
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once("error", reject);
+        httpServer.listen(port, host, resolve);
+    });
+
+    const close = async () => {
+        // Stop taking connections, then end the open sessions
+        httpServer.close();
+        await Promise.allSettled(
+            [...sessions.values()].map(({ transport }) => transport.close())
+        );
+        sessions.clear();
+        httpServer.closeAllConnections();
+    };
+
+    let closing = false;
+    const shutdown = (signal) => {
+        if (closing) return;
+        closing = true;
+        console.error(
+            `🛑 ${signal} received, closing ${sessions.size} session(s)`
+        );
+        const timer = setTimeout(() => process.exit(1), SHUTDOWN_GRACE_MS);
+        timer.unref();
+        close().then(() => process.exit(0));
+    };
+    process.once("SIGINT", () => shutdown("SIGINT"));
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+
+    return { sessions, close };
+}
@@ -0,0 +1,153 @@
+/**
+ * Agentic-PDF-Extractor - Image post-processing
+ *
+ * Resizes, re-encodes (PNG, JPEG, WebP, AVIF), converts to grayscale, trims
+ * and thumbnails the images produced by mupdf, using sharp. Mainly meant to
+ * keep base64 payloads small enough for vision models.
+ */
+
+import sharp from "sharp";
+
+const IMAGE_TYPES = {
+    png: { extension: "png", mimeType: "image/png" },
+    jpeg: { extension: "jpg", mimeType: "image/jpeg" },
+    webp: { extension: "webp", mimeType: "image/webp" },
+    avif: { extension: "avif", mimeType: "image/avif" },
+};
+
+export const IMAGE_FORMATS = Object.keys(IMAGE_TYPES);
+
+// Embedded JPEG 2000 streams are only ever passed through, never encoded
+const PASSTHROUGH_TYPES = {
+    jpx: { extension: "jp2", mimeType: "image/jp2" },
+};
+
+// Quality used when none is given; mupdf's JPEG output used 85 as well
+const DEFAULT_JPEG_QUALITY = 85;
+
+/**
+ * File extension and MIME type of an image format.
+ *
+ * @param {string} format - One of IMAGE_FORMATS, or "jpx"
+ * @returns {{extension: string, mimeType: string}}
+ */
+export function imageType(format) {
+    return IMAGE_TYPES[format] || PASSTHROUGH_TYPES[format] || IMAGE_TYPES.png;
+}
+
+/**
+ * Whether the options ask for anything mupdf cannot produce on its own.
+ *
+ * @param {object} options - Post-processing options (see postProcessImage)
+ * @returns {boolean}
+ */
+export function needsPostProcessing(options) {
+    return Boolean(
+        options.maxWidth ||
+        options.maxHeight ||
+        options.quality ||
+        options.grayscale ||
+        options.trim ||
+        options.thumbnailSize ||
+        (options.format !== "png" && options.format !== "jpeg")
+    );
+}
+
+/**
+ * Encode a sharp pipeline in the requested format.
+ */
+function encode(pipeline, format, quality) {
+    switch (format) {
+        case "jpeg":
+            return pipeline.jpeg({
+                quality: quality || DEFAULT_JPEG_QUALITY,
+                mozjpeg: true,
+            });
+        case "webp":
+            return pipeline.webp({ quality });
+        case "avif":
+            return pipeline.avif({ quality });
+        default:
+            return pipeline.png({ compressionLevel: 9 });
+    }
+}
+
+/**
+ * Remove the uniform border around an image (e.g. the white margins of a
+ * page). Blank images are returned unchanged.
+ */
+async function trimImage(buffer) {
+    try {
+        return await sharp(buffer).trim().toBuffer();
+    } catch {
+        return buffer;
+    }
+}
+
+/**
+ * Post-process an encoded image.
+ *
+ * @param {Uint8Array} buffer - PNG or JPEG image, as produced by mupdf
+ * @param {object} options
+ * @param {"png"|"jpeg"|"webp"|"avif"} options.format - Output format
+ * @param {number} [options.maxWidth] - Scale down to fit this width
+ * @param {number} [options.maxHeight] - Scale down to fit this height
+ * @param {number} [options.quality] - JPEG/WebP/AVIF quality, 1-100
+ * @param {boolean} [options.grayscale] - Convert to grayscale
+ * @param {boolean} [options.trim] - Trim uniform margins
+ * @param {number} [options.thumbnailSize] - Also create a thumbnail fitting in a square of this size
+ * @returns {Promise<{width: number, height: number, buffer: Buffer, thumbnail: {width: number, height: number, buffer: Buffer}|null}>}
+ */
+export async function postProcessImage(buffer, options) {
+    const { format, maxWidth, maxHeight, quality, grayscale, trim } = options;
+
+    let pipeline = sharp(trim ? await trimImage(buffer) : buffer);
+    if (maxWidth || maxHeight) {
+        pipeline = pipeline.resize({
+            width: maxWidth || undefined,
+            height: maxHeight || undefined,
+            fit: "inside",
+            withoutEnlargement: true,
+        });
+    }
+    if (grayscale) pipeline = pipeline.grayscale();
+
+    const { data, info } = await encode(pipeline, format, quality).toBuffer({
+        resolveWithObject: true,
+    });
+
+    let thumbnail = null;
+    if (options.thumbnailSize) {
+        const thumb = await encode(
+            sharp(data).resize({
+                width: options.thumbnailSize,
+                height: options.thumbnailSize,
+                fit: "inside",
+                withoutEnlargement: true,
+            }),
+            format,
+            quality
+        ).toBuffer({ resolveWithObject: true });
+        thumbnail = {
+            width: thumb.info.width,
+            height: thumb.info.height,
+            buffer: thumb.data,
+        };
+    }
+
+    return { width: info.width, height: info.height, buffer: data, thumbnail };
+}
+
+/**
+ * Encode raw RGB pixels, e.g. an image drawn pixel by pixel.
+ *
+ * @param {Buffer} pixels - Raw RGB, 3 bytes per pixel, rows without padding
+ * @param {number} width
+ * @param {number} height
+ * @param {"png"|"jpeg"|"webp"|"avif"} format
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeRawImage(pixels, width, height, format) {
+    const pipeline = sharp(pixels, { raw: { width, height, channels: 3 } });
+    return encode(pipeline, format).toBuffer();
+}
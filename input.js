@@ -0,0 +1,359 @@
+/**
+ * Agentic-PDF-Extractor - Input sources
+ *
+ * PDFs do not always live on disk: they come from API responses, mail
+ * attachments or pipes. openPdfInput() takes any of these and returns an
+ * input the extraction functions work from:
+ *
+ * - a file path (read lazily, so the document cache can skip unchanged files),
+ * - a Buffer or Uint8Array,
+ * - a readable stream, such as process.stdin,
+ * - a data URI ("data:application/pdf;base64,..."),
+ * - an http(s) URL, downloaded with a size limit and a timeout, following
+ *   a few redirects.
+ *
+ * Everything but files is read into memory once. The content is held in a
+ * SharedArrayBuffer, so page workers get it without a copy.
+ *
+ * Other documents mupdf can open (EPUB, XPS, TIFF, ...) are accepted the
+ * same way; their format is detected here (see formats.js).
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import net from "net";
+import path from "path";
+import { detectFormat, parsePageSize } from "./formats.js";
+import { formatSize } from "./sandbox.js";
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 30_000;
+const MAX_REDIRECTS = 5;
+
+// Inputs returned by openPdfInput(), which are passed through as they are
+const opened = new WeakSet();
+
+/**
+ * Copy data into shared memory.
+ */
+function toShared(chunks, length) {
+    const shared = Buffer.from(new SharedArrayBuffer(length));
+    let offset = 0;
+    for (const chunk of chunks) {
+        shared.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return shared;
+}
+
+function tooLarge(what, maxBytes) {
+    return new Error(`${what} is larger than the limit of ${formatSize(maxBytes)}`);
+}
+
+/**
+ * Read a stream (Node.js or web) to its end, refusing more than `maxBytes`.
+ */
+async function readStream(stream, what, maxBytes) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of stream) {
+        const bytes = typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+        length += bytes.length;
+        if (length > maxBytes) {
+            stream.destroy?.();
+            throw tooLarge(what, maxBytes);
+        }
+        chunks.push(bytes);
+    }
+    return toShared(chunks, length);
+}
+
+/**
+ * Decode a data URI, e.g. "data:application/pdf;base64,JVBERi0...".
+ */
+function decodeDataUri(uri, maxBytes) {
+    const comma = uri.indexOf(",");
+    if (comma === -1) throw new Error("Malformed data URI: no comma");
+    const header = uri.slice(5, comma);
+    const payload = uri.slice(comma + 1);
+
+    if (/;base64$/i.test(header)) {
+        // Checked before decoding, so an oversized URI is never expanded
+        if (Math.floor((payload.length * 3) / 4) > maxBytes + 2) {
+            throw tooLarge("The data URI", maxBytes);
+        }
+        const data = Buffer.from(payload, "base64");
+        return toShared([data], data.length);
+    }
+
+    const data = Buffer.from(decodeURIComponent(payload), "latin1");
+    if (data.length > maxBytes) throw tooLarge("The data URI", maxBytes);
+    return toShared([data], data.length);
+}
+
+/**
+ * A DNS lookup for http.get() that passes every address through
+ * `checkAddress` before a connection is made to it.
+ */
+function checkedLookup(checkAddress) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            try {
+                const addresses = Array.isArray(address)
+                    ? address
+                    : [{ address }];
+                for (const entry of addresses) {
+                    checkAddress(hostname, entry.address);
+                }
+            } catch (refused) {
+                return callback(refused);
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * Send a GET request and wait for the response headers.
+ *
+ * @returns {Promise<import("http").IncomingMessage>}
+ */
+function get(url, options) {
+    const client = url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, options, resolve).on("error", reject);
+    });
+}
+
+/**
+ * Download a PDF over http(s).
+ *
+ * Redirects are followed by hand, so that `checkUrl` sees every URL and
+ * `checkAddress` every address connected to (both throw to refuse one).
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {number} options.maxBytes
+ * @param {number} options.timeoutMs
+ * @param {(url: string) => string} [options.checkUrl]
+ * @param {(hostname: string, address: string) => void} [options.checkAddress]
+ * @returns {Promise<{data: Buffer, mimeType: string|null}>}
+ */
+async function download(url, { maxBytes, timeoutMs, checkUrl, checkAddress }) {
+    const signal = AbortSignal.timeout(timeoutMs);
+    const lookup = checkAddress ? checkedLookup(checkAddress) : undefined;
+    const failed = (error) =>
+        signal.aborted
+            ? new Error(
+                  `Downloading ${url} did not finish within ${timeoutMs / 1000} seconds`
+              )
+            : new Error(`Cannot download ${url}: ${error.message}`);
+
+    let target = new URL(url);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        try {
+            // IP addresses are connected to without a lookup
+            const literal = target.hostname.replace(/^\[|\]$/g, "");
+            if (checkAddress && net.isIP(literal)) {
+                checkAddress(target.hostname, literal);
+            }
+            response = await get(target, { signal, lookup });
+        } catch (error) {
+            throw failed(error);
+        }
+
+        const { location } = response.headers;
+        const redirected =
+            response.statusCode >= 300 && response.statusCode <= 399;
+        if (!redirected || !location) break;
+        response.resume();
+        if (redirects === MAX_REDIRECTS) {
+            throw new Error(
+                `Cannot download ${url}: more than ${MAX_REDIRECTS} redirects`
+            );
+        }
+        target = new URL(location, target);
+        if (target.protocol !== "http:" && target.protocol !== "https:") {
+            throw new Error(
+                `Cannot download ${url}: redirected to ${target.protocol} URL`
+            );
+        }
+        if (checkUrl) target = new URL(checkUrl(target.href));
+    }
+
+    if (response.statusCode < 200 || response.statusCode > 299) {
+        response.resume();
+        throw new Error(
+            `Cannot download ${url}: HTTP ${response.statusCode} ${response.statusMessage}`
+        );
+    }
+
+    const declared = Number(response.headers["content-length"]);
+    if (declared > maxBytes) {
+        response.destroy();
+        throw tooLarge(url, maxBytes);
+    }
+
+    try {
+        return {
+            data: await readStream(response, url, maxBytes),
+            mimeType: response.headers["content-type"] || null,
+        };
+    } catch (error) {
+        if (signal.aborted) throw failed(error);
+        throw error;
+    }
+}
+
+/**
+ * Read the start of a file, enough to detect its format.
+ */
+function readHead(file) {
+    const fd = fs.openSync(file, "r");
+    try {
+        const head = Buffer.alloc(65536);
+        return head.subarray(0, fs.readSync(fd, head, 0, head.length, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Whether a value is a readable stream (Node.js or web).
+ */
+function isStream(value) {
+    return (
+        value !== null &&
+        typeof value === "object" &&
+        (typeof value.pipe === "function" ||
+            typeof value.getReader === "function")
+    );
+}
+
+/**
+ * Open a PDF from any supported source.
+ *
+ * A string is a data URI if it starts with "data:", a URL if it starts with
+ * "http://" or "https://", and a file path otherwise. An input that was
+ * already opened is returned as it is, so one input can be passed to
+ * several functions, which matters for streams that can only be read once.
+ *
+ * The format is detected from the content, then from the MIME type of a
+ * data URI or download, then from the file extension.
+ *
+ * @param {string|Buffer|Uint8Array|import("stream").Readable|ReadableStream|object} source
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=209715200] - Largest PDF read into memory (200 MB)
+ * @param {number} [options.timeoutMs=30000] - Longest a download may take
+ * @param {(url: string) => string} [options.checkUrl] - Checks each URL a download is redirected to, throwing to refuse it
+ * @param {(hostname: string, address: string) => void} [options.checkAddress] - Checks each address a download connects to, throwing to refuse it
+ * @param {string} [options.name] - What to call an in-memory PDF in results, e.g. "<stdin>"
+ * @param {string} [options.pageSize] - Page size reflowable formats are laid out at (see parsePageSize())
+ * @returns {Promise<{file: string, path: string|null, dir: string, stem: string, data: Buffer|null, hash: string|null, format: object, layout: object|null}>}
+ *   `file` names the PDF in results (the absolute path, the URL, or e.g.
+ *   "<buffer>"); `dir` and `stem` are where outputs go by default and what
+ *   their file names start with. `data` and `hash` are set for everything
+ *   but files. `format` is from detectFormat(); `layout` is the page size of
+ *   reflowable formats and null for the others.
+ */
+export async function openPdfInput(source, options = {}) {
+    if (opened.has(source)) {
+        if (!options.pageSize || !source.layout) return source;
+        const relaid = { ...source, layout: parsePageSize(options.pageSize) };
+        opened.add(relaid);
+        return relaid;
+    }
+
+    const {
+        maxBytes = DEFAULT_MAX_BYTES,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        checkUrl,
+        checkAddress,
+        name,
+        pageSize,
+    } = options;
+
+    let input;
+    let hints = { name };
+    if (typeof source === "string" && /^https?:\/\//i.test(source)) {
+        const { data, mimeType } = await download(source, {
+            maxBytes,
+            timeoutMs,
+            checkUrl,
+            checkAddress,
+        });
+        const { pathname } = new URL(source);
+        const stem = path.posix.basename(pathname, path.posix.extname(pathname));
+        input = { file: source, path: null, stem: stem || "document", data };
+        hints = { name: pathname, mimeType };
+    } else if (typeof source === "string" && /^data:/i.test(source)) {
+        input = {
+            file: name || "<data URI>",
+            path: null,
+            stem: "document",
+            data: decodeDataUri(source, maxBytes),
+        };
+        hints = { name, mimeType: /^data:([^;,]*)/i.exec(source)[1] };
+    } else if (typeof source === "string") {
+        const absolutePath = path.resolve(source);
+        input = {
+            file: absolutePath,
+            path: absolutePath,
+            dir: path.dirname(absolutePath),
+            stem: path.basename(absolutePath, path.extname(absolutePath)),
+            data: null,
+            hash: null,
+        };
+    } else if (source instanceof Uint8Array) {
+        if (source.length > maxBytes) throw tooLarge("The PDF", maxBytes);
+        input = {
+            file: name || "<buffer>",
+            path: null,
+            stem: "document",
+            data: toShared([source], source.length),
+        };
+    } else if (isStream(source)) {
+        input = {
+            file: name || "<stream>",
+            path: null,
+            stem: "document",
+            data: await readStream(source, name || "The stream", maxBytes),
+        };
+    } else {
+        throw new Error(
+            "Expected a PDF as a file path, Buffer, stream, data URI or http(s) URL"
+        );
+    }
+
+    if (input.data) {
+        input.format = detectFormat(input.data, hints);
+        input.dir = process.cwd();
+        input.hash = crypto.createHash("sha256").update(input.data).digest("hex");
+    } else if (fs.existsSync(input.path)) {
+        input.format = detectFormat(readHead(input.path), { name: input.path });
+    } else {
+        throw new Error(`PDF file not found: ${input.path}`);
+    }
+    // E.g. the login page of a server instead of the document
+    if (!input.format) {
+        throw new Error(`${input.file} is not a PDF or another supported document`);
+    }
+    input.layout = input.format.reflowable ? parsePageSize(pageSize) : null;
+    opened.add(input);
+    return input;
+}
+
+/**
+ * The content of an input: its data, or the file read from disk.
+ *
+ * @param {object} input - From openPdfInput()
+ * @returns {Buffer}
+ */
+export function readInputData(input) {
+    return input.data || fs.readFileSync(input.path);
+}
@@ -0,0 +1,270 @@
+/**
+ * Agentic-PDF-Extractor - Structured page layout
+ *
+ * Turns mupdf's structured text into blocks, lines and spans with bounding
+ * boxes and font information, so agents can cite exact locations and tell
+ * headings from body text.
+ */
+
+/**
+ * Round a coordinate to two decimals to keep JSON output compact.
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a mupdf rect [x0, y0, x1, y1] into the {x, y, w, h} shape used in results.
+ *
+ * @param {number[]} rect
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function toBBox(rect) {
+    return {
+        x: round(rect[0]),
+        y: round(rect[1]),
+        w: round(rect[2] - rect[0]),
+        h: round(rect[3] - rect[1]),
+    };
+}
+
+/**
+ * Grow a mupdf rect so that it also covers the given quad.
+ */
+function unionQuad(rect, quad) {
+    const xs = [quad[0], quad[2], quad[4], quad[6]];
+    const ys = [quad[1], quad[3], quad[5], quad[7]];
+    return [
+        Math.min(rect[0], ...xs),
+        Math.min(rect[1], ...ys),
+        Math.max(rect[2], ...xs),
+        Math.max(rect[3], ...ys),
+    ];
+}
+
+/**
+ * Format a mupdf colour ([r, g, b] in 0..1) as "#rrggbb".
+ */
+function toHexColor(color) {
+    return (
+        "#" +
+        color
+            .slice(0, 3)
+            .map((v) => Math.round(v * 255).toString(16).padStart(2, "0"))
+            .join("")
+    );
+}
+
+/**
+ * Read the rotation of a page (PDF /Rotate), normalized to 0, 90, 180 or 270.
+ */
+export function getPageRotation(page) {
+    if (!page.isPDF()) return 0;
+    const rotate = page.getObject().getInheritable("Rotate");
+    const degrees = rotate.isNumber() ? rotate.asNumber() : 0;
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Build the structured layout of a single page.
+ *
+ * Consecutive characters that share font, size and colour are merged into spans.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {{width: number, height: number, rotation: number, blocks: Array<object>}}
+ */
+export function readPageLayout(page) {
+    const bounds = page.getBounds();
+    const stext = page.toStructuredText("preserve-whitespace,preserve-images");
+
+    const blocks = [];
+    let block = null;
+    let line = null;
+    let span = null;
+    let chars = [];
+
+    const closeSpan = () => {
+        if (!span) return;
+        line.spans.push({
+            text: span.text,
+            bbox: toBBox(span.rect),
+            origin: { x: round(span.origin[0]), y: round(span.origin[1]) },
+            font: span.font,
+            size: round(span.size),
+            bold: span.bold,
+            italic: span.italic,
+            color: span.color,
+        });
+        span = null;
+    };
+
+    stext.walk({
+        onImageBlock(bbox, transform, image) {
+            blocks.push({
+                type: "image",
+                bbox: toBBox(bbox),
+                width: image.getWidth(),
+                height: image.getHeight(),
+            });
+        },
+        beginTextBlock(bbox) {
+            block = { type: "text", bbox: toBBox(bbox), lines: [] };
+        },
+        beginLine(bbox, wmode, direction) {
+            line = {
+                bbox: toBBox(bbox),
+                wmode,
+                direction: { x: round(direction[0]), y: round(direction[1]) },
+                text: "",
+                spans: [],
+            };
+            chars = [];
+        },
+        onChar(c, origin, font, size, quad, color) {
+            chars.push({
+                c,
+                origin,
+                font,
+                size,
+                quad,
+                color: toHexColor(color),
+            });
+        },
+        endLine() {
+            const text = chars.map((ch) => ch.c).join("");
+
+            chars.forEach((ch) => {
+                const fontName = ch.font.getName();
+                if (
+                    !span ||
+                    span.font !== fontName ||
+                    span.size !== ch.size ||
+                    span.color !== ch.color
+                ) {
+                    closeSpan();
+                    span = {
+                        text: "",
+                        rect: [Infinity, Infinity, -Infinity, -Infinity],
+                        origin: ch.origin,
+                        font: fontName,
+                        size: ch.size,
+                        bold:
+                            ch.font.isBold() ||
+                            /bold|black|heavy/i.test(fontName),
+                        italic:
+                            ch.font.isItalic() ||
+                            /italic|oblique/i.test(fontName),
+                        color: ch.color,
+                    };
+                }
+                span.text += ch.c;
+                span.rect = unionQuad(span.rect, ch.quad);
+            });
+            closeSpan();
+
+            line.text = text;
+            block.lines.push(line);
+            line = null;
+        },
+        endTextBlock() {
+            blocks.push(block);
+            block = null;
+        },
+    });
+
+    return {
+        width: round(bounds[2] - bounds[0]),
+        height: round(bounds[3] - bounds[1]),
+        rotation: getPageRotation(page),
+        blocks,
+    };
+}
+
+/**
+ * Read the words on a page with their bounding boxes.
+ *
+ * Words are split at whitespace and at horizontal gaps wider than half the
+ * font size, so text from neighbouring table cells that mupdf put on the
+ * same line still comes out as separate words.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {Array<{text: string, rect: number[], size: number, line: number}>} Rects are [x0, y0, x1, y1]
+ */
+export function readPageWords(page) {
+    const stext = page.toStructuredText("preserve-whitespace");
+    const words = [];
+    let lineIndex = -1;
+    let word = null;
+    let lastX = null;
+
+    const closeWord = () => {
+        if (word && word.text) words.push(word);
+        word = null;
+    };
+
+    stext.walk({
+        beginLine() {
+            lineIndex++;
+            lastX = null;
+        },
+        onChar(c, origin, font, size, quad) {
+            const x0 = Math.min(quad[0], quad[4]);
+            const x1 = Math.max(quad[2], quad[6]);
+
+            if (/\s/.test(c)) {
+                closeWord();
+                lastX = x1;
+                return;
+            }
+            if (word && lastX !== null && x0 - lastX > size * 0.5) {
+                closeWord();
+            }
+            if (!word) {
+                word = {
+                    text: "",
+                    rect: [Infinity, Infinity, -Infinity, -Infinity],
+                    size,
+                    line: lineIndex,
+                };
+            }
+            word.text += c;
+            word.rect = unionQuad(word.rect, quad);
+            lastX = x1;
+        },
+        endLine() {
+            closeWord();
+        },
+    });
+
+    return words;
+}
+
+/**
+ * Read the text inside a set of rectangles: every character whose centre
+ * lies in one of them, one output line per text line.
+ *
+ * @param {object} stext - Structured text of the page
+ * @param {number[][]} rects - Rectangles as [x0, y0, x1, y1]
+ * @returns {string}
+ */
+export function readTextInRects(stext, rects) {
+    const lines = [];
+    let line = "";
+
+    stext.walk({
+        onChar(c, origin, font, size, quad) {
+            const cx = (quad[0] + quad[2] + quad[4] + quad[6]) / 4;
+            const cy = (quad[1] + quad[3] + quad[5] + quad[7]) / 4;
+            const inside = rects.some(
+                ([x0, y0, x1, y1]) => cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1
+            );
+            if (inside) line += c;
+        },
+        endLine() {
+            if (line.trim()) lines.push(line.trim());
+            line = "";
+        },
+    });
+
+    return lines.join("\n");
+}
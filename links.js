@@ -0,0 +1,50 @@
+/**
+ * Agentic-PDF-Extractor - Hyperlinks and cross-references
+ *
+ * Reads the link annotations of a page with the text they are anchored to
+ * and where they lead: an external URI or a page of the same document.
+ */
+
+import { toBBox, readTextInRects } from "./layout.js";
+
+/**
+ * List the links of a page.
+ *
+ * Internal links are resolved to a 1-based target page; those whose target
+ * cannot be resolved or lies outside the document are flagged as broken.
+ *
+ * @param {object} doc - The open mupdf document
+ * @param {object} page - A loaded page of that document
+ * @returns {Array<{bbox: object, text: string, external: boolean, uri: string, page: number|null, broken: boolean}>}
+ */
+export function readPageLinks(doc, page) {
+    const links = page.getLinks();
+    if (links.length === 0) return [];
+
+    const totalPages = doc.countPages();
+    const stext = page.toStructuredText("preserve-whitespace");
+
+    return links.map((link) => {
+        const rect = link.getBounds();
+        const external = link.isExternal();
+        let target = null;
+
+        if (!external) {
+            try {
+                const index = doc.resolveLink(link);
+                if (index >= 0) target = index + 1;
+            } catch {
+                // Unresolvable destination: reported as broken below
+            }
+        }
+
+        return {
+            bbox: toBBox(rect),
+            text: readTextInRects(stext, [rect]).replace(/\s+/g, " "),
+            external,
+            uri: link.getURI(),
+            page: target,
+            broken: !external && (target === null || target > totalPages),
+        };
+    });
+}
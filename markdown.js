@@ -0,0 +1,368 @@
+/**
+ * Agentic-PDF-Extractor - Markdown conversion
+ *
+ * Converts structured page layouts (see layout.js) into Markdown, keeping the
+ * document structure an agent needs: headings, lists, paragraphs, emphasis
+ * and the position of images in the text flow.
+ */
+
+export const BULLET_PATTERN = /^\s*[•·▪‣◦●○■□►▸\-–—*]\s+/;
+export const NUMBERED_PATTERN = /^\s*(\(?\d{1,3}[.)])\s+/;
+
+// Letters and roman numerals as list markers, e.g. "a)", "(B)", "iv."
+const LETTERED_PATTERN = /^\s*(\(?([a-z]{1,6}|[A-Z]{1,6})[.)])\s+/;
+const ROMAN_PATTERN = /^(x{0,3})(ix|iv|v?i{0,3})$/;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10 };
+
+/**
+ * The value of a roman numeral up to 39, or 0 if it is not one.
+ */
+function romanValue(label) {
+    if (!label || !ROMAN_PATTERN.test(label)) return 0;
+    let value = 0;
+    for (let i = 0; i < label.length; i++) {
+        const digit = ROMAN_VALUES[label[i]];
+        const next = ROMAN_VALUES[label[i + 1]] || 0;
+        value += digit < next ? -digit : digit;
+    }
+    return value;
+}
+
+/**
+ * The sequences a letter or roman label can belong to, with its position in
+ * each: "i" is both the 9th letter and roman 1.
+ */
+function sequencePositions(label) {
+    const upper = label === label.toUpperCase();
+    const lower = label.toLowerCase();
+    const positions = [];
+    if (lower.length === 1) {
+        const value = lower.charCodeAt(0) - 96;
+        positions.push({ kind: `${upper}-letter`, value });
+    }
+    const roman = romanValue(lower);
+    if (roman) positions.push({ kind: `${upper}-roman`, value: roman });
+    return positions;
+}
+
+/**
+ * Match the numbered list markers of a run of lines.
+ *
+ * Numbers always start an item. Letters and roman numerals only do when the
+ * item before or after continues the sequence ("a." then "b."), so that
+ * "A. Smith" or "I. e." stay ordinary text.
+ *
+ * @param {string[]} texts - Line texts in reading order
+ * @returns {Array<RegExpExecArray|null>} Per line; the marker is at index 1
+ */
+export function findNumberedItems(texts) {
+    const matches = texts.map((text) => NUMBERED_PATTERN.exec(text));
+    const candidates = [];
+    texts.forEach((text, index) => {
+        if (matches[index]) return;
+        const match = LETTERED_PATTERN.exec(text);
+        const positions = match ? sequencePositions(match[2]) : [];
+        if (positions.length) candidates.push({ index, match, positions });
+    });
+
+    const follows = (a, b) =>
+        a.positions.some((pa) =>
+            b.positions.some(
+                (pb) => pa.kind === pb.kind && pb.value === pa.value + 1
+            )
+        );
+    candidates.forEach((candidate, i) => {
+        const before = candidates[i - 1];
+        const after = candidates[i + 1];
+        if (
+            (before && follows(before, candidate)) ||
+            (after && follows(candidate, after))
+        ) {
+            matches[candidate.index] = candidate.match;
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Round a font size to the nearest half point so that near-identical sizes
+ * end up in the same cluster.
+ */
+function sizeKey(size) {
+    return Math.round(size * 2) / 2;
+}
+
+/**
+ * The dominant font size of a line, weighted by the number of characters.
+ */
+function lineSize(line) {
+    const weights = new Map();
+    for (const span of line.spans) {
+        const key = sizeKey(span.size);
+        weights.set(key, (weights.get(key) || 0) + span.text.trim().length);
+    }
+    let best = 0;
+    let bestWeight = -1;
+    for (const [size, weight] of weights) {
+        if (weight > bestWeight) {
+            best = size;
+            bestWeight = weight;
+        }
+    }
+    return best;
+}
+
+function isBoldLine(line) {
+    const spans = line.spans.filter((s) => s.text.trim());
+    return spans.length > 0 && spans.every((s) => s.bold);
+}
+
+/**
+ * Infer heading levels by clustering the font sizes used in the document.
+ *
+ * The size covering the most characters is taken as body text. Larger sizes
+ * become heading levels 1..n (largest first); sizes within 10% of each other
+ * share a level.
+ *
+ * @param {Array<object>} pages - Page layouts from readPageLayout()
+ * @returns {{bodySize: number, levels: Map<number, number>, maxLevel: number}}
+ */
+export function inferHeadingLevels(pages) {
+    const histogram = new Map();
+
+    for (const page of pages) {
+        for (const block of page.blocks) {
+            if (block.type !== "text") continue;
+            for (const line of block.lines) {
+                for (const span of line.spans) {
+                    const key = sizeKey(span.size);
+                    histogram.set(
+                        key,
+                        (histogram.get(key) || 0) + span.text.trim().length
+                    );
+                }
+            }
+        }
+    }
+
+    let bodySize = 0;
+    let bodyWeight = -1;
+    for (const [size, weight] of histogram) {
+        if (weight > bodyWeight) {
+            bodySize = size;
+            bodyWeight = weight;
+        }
+    }
+
+    const headingSizes = [...histogram.keys()]
+        .filter((size) => size > bodySize * 1.15)
+        .sort((a, b) => b - a);
+
+    const levels = new Map();
+    let level = 0;
+    let clusterTop = Infinity;
+    for (const size of headingSizes) {
+        if (size < clusterTop * 0.9) {
+            level = Math.min(level + 1, 6);
+            clusterTop = size;
+        }
+        levels.set(size, level);
+    }
+
+    return { bodySize, levels, maxLevel: level };
+}
+
+/**
+ * Render a line's spans with **bold** and *italic* markers.
+ */
+function renderSpans(line) {
+    let out = "";
+    for (const span of line.spans) {
+        const match = /^(\s*)(.*?)(\s*)$/s.exec(span.text);
+        const [, lead, body, trail] = match;
+        if (!body) {
+            out += span.text;
+            continue;
+        }
+        let marked = body;
+        if (span.bold && span.italic) marked = `***${body}***`;
+        else if (span.bold) marked = `**${body}**`;
+        else if (span.italic) marked = `*${body}*`;
+        out += lead + marked + trail;
+    }
+    // Merge markers of adjacent spans with the same emphasis
+    return out.replace(/\*{6}/g, "").replace(/\*{4}/g, "").trim();
+}
+
+/**
+ * Append a line to a paragraph, rejoining words hyphenated across line breaks.
+ *
+ * @param {string} paragraph
+ * @param {string} text
+ * @returns {string}
+ */
+export function joinLine(paragraph, text) {
+    if (!paragraph) return text;
+    if (/[A-Za-zÀ-ÿ]-$/.test(paragraph) && /^[a-zà-ÿ]/.test(text)) {
+        return paragraph.slice(0, -1) + text;
+    }
+    return `${paragraph} ${text}`;
+}
+
+/**
+ * Convert one page layout to Markdown.
+ *
+ * @param {object} page - Page layout from readPageLayout(), plus `page` number
+ * @param {object} headings - Heading levels from inferHeadingLevels()
+ * @param {Array<{bbox: object, path?: string, imageIndex: number}>} [images] - Extracted embedded images of this page
+ * @returns {string}
+ */
+export function pageToMarkdown(page, headings, images = []) {
+    const out = [];
+    let paragraph = "";
+    let listItem = null;
+
+    const flush = () => {
+        if (listItem) {
+            out.push({ text: `${listItem.marker} ${listItem.text}`, list: true });
+            listItem = null;
+        }
+        if (paragraph) {
+            out.push({ text: paragraph });
+            paragraph = "";
+        }
+    };
+    const pushHeading = ({ level, text }) => {
+        out.push({ text: `${"#".repeat(level)} ${text}` });
+    };
+
+    // Text blocks keep mupdf's reading order; each image is placed before
+    // the first text block that starts below its top edge.
+    const pendingImages = page.blocks
+        .filter((b) => b.type === "image")
+        .map((block) => {
+            const match = images.find(
+                (img) =>
+                    Math.abs(img.bbox.x - block.bbox.x) < 1 &&
+                    Math.abs(img.bbox.y - block.bbox.y) < 1 &&
+                    Math.abs(img.bbox.w - block.bbox.w) < 1 &&
+                    Math.abs(img.bbox.h - block.bbox.h) < 1
+            );
+            return match ? { y: block.bbox.y, image: match } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.y - b.y);
+
+    const textLines = page.blocks
+        .filter((b) => b.type === "text")
+        .flatMap((b) => b.lines);
+    const numberedItems = findNumberedItems(
+        textLines.map((line) => line.text.trim())
+    );
+    const numberedByLine = new Map(
+        textLines.map((line, i) => [line, numberedItems[i]])
+    );
+
+    const emitImagesAbove = (y) => {
+        while (pendingImages.length && pendingImages[0].y <= y) {
+            const { image } = pendingImages.shift();
+            const alt = `page ${page.page} image ${image.imageIndex}`;
+            flush();
+            out.push({ text: `![${alt}](${image.path || ""})` });
+        }
+    };
+
+    for (const block of page.blocks) {
+        if (block.type !== "text") continue;
+        emitImagesAbove(block.bbox.y);
+        flush();
+
+        let previous = null;
+        let heading = null;
+
+        for (const line of block.lines) {
+            const text = line.text.trim();
+            if (!text) continue;
+
+            const size = lineSize(line);
+            const level = headings.levels.get(size);
+
+            if (level) {
+                if (heading && heading.level === level) {
+                    heading.text = joinLine(heading.text, text);
+                } else {
+                    flush();
+                    if (heading) pushHeading(heading);
+                    heading = { level, text };
+                }
+                previous = line;
+                continue;
+            }
+            if (heading) {
+                pushHeading(heading);
+                heading = null;
+            }
+
+            // A short bold line on its own acts as a minor heading
+            if (
+                block.lines.length === 1 &&
+                isBoldLine(line) &&
+                text.length < 80 &&
+                !/[.:;,]$/.test(text)
+            ) {
+                flush();
+                const minor = Math.min(headings.maxLevel + 1, 6);
+                pushHeading({ level: minor, text });
+                previous = line;
+                continue;
+            }
+
+            const rendered = renderSpans(line);
+            const bullet = BULLET_PATTERN.exec(text);
+            const numbered = bullet ? null : numberedByLine.get(line);
+
+            // A vertical gap larger than a line height starts a new paragraph
+            const gap = previous
+                ? line.bbox.y - (previous.bbox.y + previous.bbox.h)
+                : 0;
+            if (previous && gap > line.bbox.h * 0.8) flush();
+
+            if (bullet || numbered) {
+                flush();
+                // "3)" becomes "3." so Markdown renders it as an ordered list
+                const marker = bullet
+                    ? "-"
+                    : numbered[1].replace(/^\(/, "").replace(/^(\d+)\)$/, "$1.");
+                listItem = {
+                    marker,
+                    text: text.slice((bullet || numbered)[0].length).trim(),
+                    indent: line.bbox.x,
+                };
+            } else if (listItem && line.bbox.x > listItem.indent) {
+                // Wrapped continuation of a list item
+                listItem.text = joinLine(listItem.text, rendered);
+            } else {
+                if (listItem) flush();
+                paragraph = joinLine(paragraph, rendered);
+            }
+
+            previous = line;
+        }
+
+        if (heading) pushHeading(heading);
+        flush();
+    }
+
+    emitImagesAbove(Infinity);
+    flush();
+
+    // Consecutive list items belong to the same list: no blank line between them
+    let markdown = "";
+    out.forEach((chunk, i) => {
+        if (i > 0) markdown += chunk.list && out[i - 1].list ? "\n" : "\n\n";
+        markdown += chunk.text;
+    });
+
+    return markdown;
+}
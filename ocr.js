@@ -0,0 +1,353 @@
+/**
+ * Agentic-PDF-Extractor - OCR
+ *
+ * Recognizes the text of scanned and image-only pages, which have no text
+ * layer for mupdf to read. Engines are pluggable:
+ *
+ * - "tesseract.js" (default): Tesseract compiled to WebAssembly, with the
+ *   English language data bundled, so it works offline out of the box.
+ * - "command": runs a locally installed command-line tool, by default
+ *   `tesseract`, and reads its TSV output.
+ *
+ * Other engines can be added with registerOcrEngine().
+ */
+
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { toBBox } from "./layout.js";
+
+const require = createRequire(import.meta.url);
+
+export const OCR_MODES = ["auto", "off", "force"];
+
+// A page with fewer non-space characters than this has no usable text...
+const MIN_TEXT_CHARS = 20;
+// ...and is worth OCR if images cover at least this share of it
+const MIN_IMAGE_COVERAGE = 0.5;
+
+const DEFAULT_COMMAND = "tesseract {input} stdout -l {languages} --dpi {dpi} tsv";
+// Longest a command-line engine may take for one page
+const COMMAND_TIMEOUT_MS = 120_000;
+// The tesseract.js worker is stopped after this long without work
+const IDLE_MS = 30_000;
+
+/**
+ * Whether a page should go through OCR.
+ *
+ * In "auto" mode, that is a page with (almost) no text of its own that is
+ * mostly covered by images, i.e. a scan. "force" OCRs every page.
+ *
+ * @param {{text: string, imageCoverage: number}} page - Native text and the share of the page covered by images (0-1)
+ * @param {"auto"|"off"|"force"} mode
+ * @returns {boolean}
+ */
+export function needsOcr({ text, imageCoverage }, mode) {
+    if (mode === "force") return true;
+    if (mode !== "auto") return false;
+    const chars = (text || "").replace(/\s/g, "").length;
+    return chars < MIN_TEXT_CHARS && imageCoverage >= MIN_IMAGE_COVERAGE;
+}
+
+/**
+ * The default engine: tesseract.js with a single worker, started on first
+ * use and stopped when idle (its thread would otherwise keep the process
+ * alive). Language data comes from PDF_OCR_LANG_PATH if set, otherwise from
+ * the bundled English data.
+ */
+function createTesseractJsEngine({ languages }) {
+    const langPath =
+        process.env.PDF_OCR_LANG_PATH ||
+        require("@tesseract.js-data/eng").langPath;
+    const missing = languages
+        .split("+")
+        .filter(
+            (lang) =>
+                !fs.existsSync(path.join(langPath, `${lang}.traineddata.gz`)) &&
+                !fs.existsSync(path.join(langPath, `${lang}.traineddata`))
+        );
+    if (missing.length > 0) {
+        throw new Error(
+            `No OCR language data for ${missing.join(", ")} in ${langPath}; ` +
+            `set PDF_OCR_LANG_PATH to a directory with <lang>.traineddata files`
+        );
+    }
+
+    let started = null;
+    let idleTimer = null;
+    let active = 0;
+    const start = async () => {
+        const { createWorker, OEM } = require("tesseract.js");
+        const first = languages.split("+")[0];
+        return createWorker(languages, OEM.LSTM_ONLY, {
+            langPath,
+            gzip: fs.existsSync(path.join(langPath, `${first}.traineddata.gz`)),
+            // Never write language data next to the caller's files
+            cacheMethod: "none",
+        });
+    };
+
+    const engine = {
+        name: "tesseract.js",
+        async recognize(png) {
+            clearTimeout(idleTimer);
+            active++;
+            let data;
+            try {
+                started ??= start();
+                const worker = await started;
+                ({ data } = await worker.recognize(
+                    Buffer.from(png),
+                    {},
+                    { text: true, blocks: true }
+                ));
+            } finally {
+                if (--active === 0) {
+                    idleTimer = setTimeout(() => engine.close(), IDLE_MS);
+                    idleTimer.unref();
+                }
+            }
+
+            const words = [];
+            for (const block of data.blocks || []) {
+                for (const paragraph of block.paragraphs) {
+                    for (const line of paragraph.lines) {
+                        for (const word of line.words) {
+                            words.push({
+                                text: word.text,
+                                confidence: word.confidence,
+                                rect: [
+                                    word.bbox.x0,
+                                    word.bbox.y0,
+                                    word.bbox.x1,
+                                    word.bbox.y1,
+                                ],
+                            });
+                        }
+                    }
+                }
+            }
+            return { text: data.text, confidence: data.confidence, words };
+        },
+        async close() {
+            clearTimeout(idleTimer);
+            if (!started) return;
+            const worker = await started.catch(() => null);
+            started = null;
+            await worker?.terminate();
+        },
+    };
+    return engine;
+}
+
+/**
+ * Parse Tesseract's TSV output into text (one line per text line, a blank
+ * line between paragraphs) and words.
+ *
+ * @param {string} tsv
+ * @returns {{text: string, confidence: number, words: Array<{text: string, confidence: number, rect: number[]}>}}
+ *   Rects are [x0, y0, x1, y1] in pixels of the image
+ */
+export function parseTesseractTsv(tsv) {
+    const rows = tsv.trim().split("\n").slice(1);
+    const words = [];
+    let text = "";
+    let lastLine = null;
+    let lastParagraph = null;
+
+    for (const row of rows) {
+        const cells = row.split("\t");
+        if (cells.length < 12 || cells[0] !== "5") continue;
+        const [, , block, paragraph, line, , left, top, width, height, conf] =
+            cells;
+        const word = cells.slice(11).join("\t").trim();
+        if (!word) continue;
+
+        const paragraphId = `${block}.${paragraph}`;
+        const lineId = `${paragraphId}.${line}`;
+        if (lastLine !== null && lineId !== lastLine) {
+            text += paragraphId !== lastParagraph ? "\n\n" : "\n";
+        } else if (lastLine !== null) {
+            text += " ";
+        }
+        text += word;
+        lastLine = lineId;
+        lastParagraph = paragraphId;
+
+        const x = Number(left);
+        const y = Number(top);
+        words.push({
+            text: word,
+            confidence: Number(conf),
+            rect: [x, y, x + Number(width), y + Number(height)],
+        });
+    }
+
+    const confidence = words.length
+        ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+        : 0;
+    return { text, confidence, words };
+}
+
+/**
+ * The command-line engine. The command comes from PDF_OCR_COMMAND; in it,
+ * {input} is replaced by the path of the page image (PNG), {languages} and
+ * {dpi} by the OCR settings. The command must print Tesseract-style TSV
+ * (for word boxes and confidence) or plain text to stdout.
+ */
+function createCommandEngine({ languages, dpi }) {
+    const template = (process.env.PDF_OCR_COMMAND || DEFAULT_COMMAND)
+        .trim()
+        .split(/\s+/);
+
+    return {
+        name: "command",
+        async recognize(png) {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-ocr-"));
+            const input = path.join(dir, "page.png");
+            try {
+                fs.writeFileSync(input, png);
+                const [command, ...args] = template.map((part) =>
+                    part
+                        .replaceAll("{input}", input)
+                        .replaceAll("{languages}", languages)
+                        .replaceAll("{dpi}", String(dpi))
+                );
+
+                const stdout = await new Promise((resolve, reject) => {
+                    execFile(
+                        command,
+                        args,
+                        {
+                            timeout: COMMAND_TIMEOUT_MS,
+                            maxBuffer: 64 * 1024 * 1024,
+                        },
+                        (error, out, stderr) => {
+                            if (error?.code === "ENOENT") {
+                                reject(
+                                    new Error(
+                                        `OCR command not found: ${command}; install it or set PDF_OCR_COMMAND`
+                                    )
+                                );
+                            } else if (error) {
+                                reject(
+                                    new Error(
+                                        `OCR command failed: ${(stderr || error.message).trim()}`
+                                    )
+                                );
+                            } else {
+                                resolve(out);
+                            }
+                        }
+                    );
+                });
+
+                if (stdout.startsWith("level\tpage_num")) {
+                    return parseTesseractTsv(stdout);
+                }
+                return { text: stdout.trim(), confidence: null, words: [] };
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        },
+        async close() {},
+    };
+}
+
+const engineFactories = new Map([
+    ["tesseract.js", createTesseractJsEngine],
+    ["command", createCommandEngine],
+]);
+
+// Started engines, by name and settings
+const engines = new Map();
+
+/**
+ * Register an OCR engine.
+ *
+ * The factory receives `{languages, dpi}` and returns an engine: an object
+ * with a `name`, `recognize(png)` resolving to `{text, confidence, words}`
+ * (words as `{text, confidence, rect: [x0, y0, x1, y1]}` in pixels of the
+ * image, confidence 0-100) and `close()`.
+ *
+ * @param {string} name
+ * @param {(options: {languages: string, dpi: number}) => object} factory
+ */
+export function registerOcrEngine(name, factory) {
+    engineFactories.set(name, factory);
+}
+
+/**
+ * Get an OCR engine, reusing a started one with the same settings.
+ *
+ * @param {string} [name] - Engine name (default: PDF_OCR_ENGINE or "tesseract.js")
+ * @param {object} [options]
+ * @param {string} [options.languages] - Tesseract language codes, e.g. "eng+deu" (default: PDF_OCR_LANGUAGES or "eng")
+ * @param {number} [options.dpi=300] - Resolution pages are rendered at for OCR
+ * @returns {object} The engine
+ */
+export function getOcrEngine(name, options = {}) {
+    const engineName = name || process.env.PDF_OCR_ENGINE || "tesseract.js";
+    const languages =
+        options.languages || process.env.PDF_OCR_LANGUAGES || "eng";
+    const dpi = options.dpi || 300;
+
+    const key = `${engineName}:${languages}:${dpi}`;
+    if (!engines.has(key)) {
+        const factory = engineFactories.get(engineName);
+        if (!factory) {
+            throw new Error(
+                `Unknown OCR engine: ${engineName} (available: ${[...engineFactories.keys()].join(", ")})`
+            );
+        }
+        engines.set(key, { ...factory({ languages, dpi }), id: key });
+    }
+    return engines.get(key);
+}
+
+/**
+ * Recognize the text of a rendered page.
+ *
+ * @param {object} engine - From getOcrEngine()
+ * @param {Uint8Array} png - The page rendered at `dpi`
+ * @param {number} dpi
+ * @param {number[]} [bounds=[0, 0]] - The page bounds the render starts at,
+ *     [x0, y0, x1, y1] from mupdf
+ * @returns {Promise<{engine: string, confidence: number|null, text: string, words: Array<{text: string, confidence: number, bbox: {x: number, y: number, w: number, h: number}}>}>}
+ *   Word boxes are in PDF points, top-left origin, like the other tools
+ */
+export async function recognizePage(engine, png, dpi, bounds = [0, 0]) {
+    const result = await engine.recognize(png);
+    const scale = 72 / dpi;
+    const [x0, y0] = bounds;
+    return {
+        engine: engine.name,
+        confidence:
+            result.confidence === null
+                ? null
+                : Math.round(result.confidence * 10) / 10,
+        text: result.text.trim(),
+        words: result.words.map((word) => ({
+            text: word.text,
+            confidence: Math.round(word.confidence * 10) / 10,
+            // Pixel (0, 0) is the top-left corner of the page bounds
+            bbox: toBBox(
+                word.rect.map(
+                    (value, i) => value * scale + (i % 2 === 0 ? x0 : y0)
+                )
+            ),
+        })),
+    };
+}
+
+/**
+ * Stop all started OCR engines. tesseract.js keeps a worker thread running,
+ * which would keep a command-line run from exiting.
+ */
+export async function closeOcrEngines() {
+    const started = [...engines.values()];
+    engines.clear();
+    await Promise.all(started.map((engine) => engine.close()));
+}
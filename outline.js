@@ -0,0 +1,135 @@
+/**
+ * Agentic-PDF-Extractor - Outline (bookmarks) and sections
+ *
+ * Reads the document outline as a tree and works out which part of the
+ * document an outline entry covers, so agents can read by chapter instead
+ * of by page number.
+ */
+
+/**
+ * Read the outline of a document as a tree.
+ *
+ * Every entry gets an `id` from its position in the tree ("2", "2.1", "2.1.3")
+ * that can be used to address it later.
+ *
+ * @param {object} doc - An open mupdf document
+ * @returns {Array<{id: string, title: string, level: number, page: number|null, y: number|null, uri: string|null, children: Array<object>}>}
+ */
+export function readOutline(doc) {
+    const items = doc.loadOutline() || [];
+
+    const convert = (list, level, prefix) =>
+        list.map((item, i) => {
+            const id = prefix ? `${prefix}.${i + 1}` : `${i + 1}`;
+            const isExternal = item.uri && !item.uri.startsWith("#");
+            let y = null;
+
+            if (item.uri && !isExternal) {
+                try {
+                    const dest = doc.resolveLinkDestination(item.uri);
+                    if (Number.isFinite(dest.y)) y = dest.y;
+                } catch {
+                    // Destination without coordinates: section starts at the top of the page
+                }
+            }
+
+            return {
+                id,
+                title: (item.title || "").trim(),
+                level,
+                page:
+                    Number.isInteger(item.page) && item.page >= 0
+                        ? item.page + 1
+                        : null,
+                y,
+                uri: isExternal ? item.uri : null,
+                children: convert(item.down || [], level + 1, id),
+            };
+        });
+
+    return convert(items, 1, "");
+}
+
+/**
+ * Flatten an outline tree into document order.
+ */
+export function flattenOutline(outline) {
+    return outline.flatMap((entry) => [
+        entry,
+        ...flattenOutline(entry.children),
+    ]);
+}
+
+/**
+ * Find an outline entry by id ("2.1") or title.
+ *
+ * Titles match case-insensitively; an exact title wins over a partial one.
+ *
+ * @param {Array<object>} outline - From readOutline()
+ * @param {string} selector - Entry id or (part of) its title
+ * @returns {object}
+ */
+export function findOutlineEntry(outline, selector) {
+    const entries = flattenOutline(outline);
+    if (entries.length === 0) {
+        throw new Error("PDF has no outline (bookmarks)");
+    }
+
+    const wanted = String(selector).trim();
+    const byId = entries.find((e) => e.id === wanted);
+    if (byId) return byId;
+
+    const lower = wanted.toLowerCase();
+    const exact = entries.filter((e) => e.title.toLowerCase() === lower);
+    const matches = exact.length
+        ? exact
+        : entries.filter((e) => e.title.toLowerCase().includes(lower));
+
+    if (matches.length === 1) return matches[0];
+    if (matches.length === 0) {
+        throw new Error(`No outline entry matches "${wanted}"`);
+    }
+    throw new Error(
+        `"${wanted}" matches several outline entries: ` +
+        matches.map((e) => `${e.id} "${e.title}"`).join(", ")
+    );
+}
+
+/**
+ * Work out where a section starts and ends.
+ *
+ * A section runs from its own destination to the destination of the next
+ * entry at the same or a higher level, or to the end of the document.
+ *
+ * @param {Array<object>} outline - From readOutline()
+ * @param {object} entry - An entry of that outline
+ * @param {number} totalPages
+ * @returns {{startPage: number, startY: number|null, endPage: number, endY: number|null}}
+ *   `endY` is where the next section starts on `endPage` (null: end of page)
+ */
+export function getSectionRange(outline, entry, totalPages) {
+    if (!entry.page) {
+        throw new Error(
+            `Outline entry "${entry.title}" does not point to a page`
+        );
+    }
+
+    const entries = flattenOutline(outline);
+    const index = entries.indexOf(entry);
+    const next = entries
+        .slice(index + 1)
+        .find((e) => e.level <= entry.level && e.page);
+
+    const start = { startPage: entry.page, startY: entry.y };
+
+    if (!next || next.page < entry.page) {
+        return { ...start, endPage: totalPages, endY: null };
+    }
+
+    // The next section starts at the top of its page: this one ends on the page before
+    if (next.page > entry.page && !next.y) {
+        return { ...start, endPage: next.page - 1, endY: null };
+    }
+
+    return { ...start, endPage: next.page, endY: next.y };
+}
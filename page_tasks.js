@@ -0,0 +1,351 @@
+/**
+ * Agentic-PDF-Extractor - Per-page work
+ *
+ * Everything that reads a single page with mupdf: text, links, image
+ * coverage, a full-page or region render and the embedded images. Used on
+ * the main thread and by the worker pool (see page_worker.js), so it only
+ * returns plain data and never touches the output directory.
+ */
+
+import crypto from "crypto";
+import * as mupdf from "mupdf";
+import { readPageLinks } from "./links.js";
+
+// Stream filters whose raw data is a complete image file
+const PASSTHROUGH_FILTERS = { DCTDecode: "jpeg", JPXDecode: "jpx" };
+
+/**
+ * Open a PDF, or another format mupdf reads, from memory and unlock it if
+ * it is encrypted.
+ *
+ * @param {Buffer|Uint8Array} dataBuffer - Raw document bytes
+ * @param {string} [password] - User or owner password
+ * @param {object} [options]
+ * @param {string} [options.mimeType="application/pdf"] - Format of the document
+ * @param {{width: number, height: number, fontSize: number}|null} [options.layout] - Page size to lay reflowable formats out at
+ * @returns {mupdf.Document}
+ */
+export function openPdfDocument(dataBuffer, password, options = {}) {
+    const { mimeType = "application/pdf", layout = null } = options;
+    const doc = mupdf.Document.openDocument(dataBuffer, mimeType);
+    if (layout) doc.layout(layout.width, layout.height, layout.fontSize);
+
+    if (doc.needsPassword()) {
+        if (!password) {
+            throw new Error(
+                "PDF is password-protected. Provide a password to open it."
+            );
+        }
+        if (!doc.authenticatePassword(password)) {
+            throw new Error("Incorrect password for encrypted PDF.");
+        }
+    }
+
+    return doc;
+}
+
+/**
+ * Read the plain text of a page.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {string}
+ */
+export function readPageText(page) {
+    return page.toStructuredText("preserve-whitespace").asText().trim();
+}
+
+/**
+ * The share of a page covered by images (0-1). Overlapping images are
+ * counted twice, which only matters for pages that are covered anyway.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {number}
+ */
+export function readImageCoverage(page) {
+    const [px0, py0, px1, py1] = page.getBounds();
+    const pageArea = (px1 - px0) * (py1 - py0);
+    if (pageArea <= 0) return 0;
+
+    let covered = 0;
+    page.toStructuredText("preserve-images").walk({
+        onImageBlock(bbox) {
+            // Only the part on the page counts
+            const w = Math.min(bbox[2], px1) - Math.max(bbox[0], px0);
+            const h = Math.min(bbox[3], py1) - Math.max(bbox[1], py0);
+            if (w > 0 && h > 0) covered += w * h;
+        },
+    });
+
+    return Math.min(1, covered / pageArea);
+}
+
+/**
+ * Render a full page (including annotations) to an encoded image.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {object} options
+ * @param {number} options.dpi - Resolution for page rendering
+ * @param {"png"|"jpeg"} options.format - Image format
+ * @returns {{width: number, height: number, buffer: Uint8Array}}
+ */
+export function renderPageImage(page, { dpi, format }) {
+    const scale = dpi / 72; // PDF default is 72 DPI
+    const pixmap = page.toPixmap(
+        mupdf.Matrix.scale(scale, scale),
+        mupdf.ColorSpace.DeviceRGB,
+        false, // no alpha
+        true   // annots
+    );
+
+    return {
+        width: pixmap.getWidth(),
+        height: pixmap.getHeight(),
+        buffer: format === "jpeg" ? pixmap.asJPEG(85) : pixmap.asPNG(),
+    };
+}
+
+/**
+ * Render a page (including annotations) to raw RGB pixels.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {number} scale - Pixels per point
+ * @returns {{width: number, height: number, stride: number, pixels: Uint8Array}}
+ */
+export function renderPagePixels(page, scale) {
+    const pixmap = page.toPixmap(
+        mupdf.Matrix.scale(scale, scale),
+        mupdf.ColorSpace.DeviceRGB,
+        false, // no alpha
+        true   // annots
+    );
+
+    return {
+        width: pixmap.getWidth(),
+        height: pixmap.getHeight(),
+        stride: pixmap.getStride(),
+        // Copied out of WebAssembly memory, which the next render may move
+        pixels: new Uint8Array(pixmap.getPixels()),
+    };
+}
+
+/**
+ * Render part of a page (including annotations) to an encoded image.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {object} options
+ * @param {number[]} options.rect - Region in page coordinates: [x0, y0, x1, y1]
+ * @param {number} options.scale - Pixels per point
+ * @param {"png"|"jpeg"} options.format - Image format
+ * @returns {{width: number, height: number, buffer: Uint8Array}}
+ */
+export function renderPageRegion(page, { rect, scale, format }) {
+    // Only the clipped area is allocated and drawn
+    const x = Math.round(rect[0] * scale);
+    const y = Math.round(rect[1] * scale);
+    const pixmap = new mupdf.Pixmap(
+        mupdf.ColorSpace.DeviceRGB,
+        [
+            x,
+            y,
+            x + Math.max(1, Math.round((rect[2] - rect[0]) * scale)),
+            y + Math.max(1, Math.round((rect[3] - rect[1]) * scale)),
+        ],
+        false // no alpha
+    );
+    pixmap.clear(255);
+
+    const device = new mupdf.DrawDevice(mupdf.Matrix.identity, pixmap);
+    page.run(device, mupdf.Matrix.scale(scale, scale));
+    device.close();
+
+    return {
+        width: pixmap.getWidth(),
+        height: pixmap.getHeight(),
+        buffer: format === "jpeg" ? pixmap.asJPEG(85) : pixmap.asPNG(),
+    };
+}
+
+/**
+ * Collect the JPEG and JPEG 2000 image XObjects a page draws, including
+ * those inside form XObjects, keyed by their pixel size.
+ *
+ * @param {object} page - A loaded mupdf PDF page
+ * @returns {Map<string, Array<{format: "jpeg"|"jpx", buffer: Uint8Array}>>}
+ */
+function readImageStreams(page) {
+    const streams = new Map();
+    const visited = new Set();
+
+    const visitResources = (resources) => {
+        const xobjects = resources.get("XObject");
+        if (!xobjects.isDictionary()) return;
+
+        xobjects.forEach((xobject) => {
+            if (xobject.isIndirect()) {
+                if (visited.has(xobject.asIndirect())) return;
+                visited.add(xobject.asIndirect());
+            }
+
+            const subtype = xobject.get("Subtype");
+            const subtypeName = subtype.isName() ? subtype.asName() : null;
+            if (subtypeName === "Form") {
+                const formResources = xobject.get("Resources");
+                if (formResources.isDictionary()) visitResources(formResources);
+                return;
+            }
+            if (subtypeName !== "Image" || !xobject.isStream()) return;
+
+            // Only a single DCT/JPX filter leaves a plain image file behind
+            let filter = xobject.get("Filter");
+            if (filter.isArray() && filter.length === 1) filter = filter.get(0);
+            const format = filter.isName()
+                ? PASSTHROUGH_FILTERS[filter.asName()]
+                : undefined;
+            if (!format) return;
+
+            const width = xobject.get("Width").asNumber();
+            const height = xobject.get("Height").asNumber();
+            const key = `${width}x${height}`;
+            if (!streams.has(key)) streams.set(key, []);
+            streams.get(key).push({
+                format,
+                buffer: xobject.readRawStream().asUint8Array(),
+            });
+        });
+    };
+
+    // Resources may be inherited from the page tree
+    let node = page.getObject();
+    while (node.isDictionary()) {
+        const resources = node.get("Resources");
+        if (resources.isDictionary()) {
+            visitResources(resources);
+            break;
+        }
+        node = node.get("Parent");
+    }
+
+    return streams;
+}
+
+/**
+ * Decode the images embedded in a page.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {object} options
+ * @param {"png"|"jpeg"} options.format - Image format to encode them in
+ * @param {number} [options.minWidth] - Skip images narrower than this (pixels)
+ * @param {number} [options.minHeight] - Skip images lower than this (pixels)
+ * @param {number} [options.minArea] - Skip images with fewer pixels than this
+ * @param {boolean} [options.passthrough] - Return JPEG and JPEG 2000 images as stored in the PDF
+ * @returns {Array<{imageIndex: number, width: number, height: number, bbox: object, hash: string, format: string, passthrough: boolean, buffer: Uint8Array}>}
+ *   `hash` identifies the decoded image content; `format` is "jpx" for a
+ *   JPEG 2000 stream passed through
+ */
+export function readEmbeddedImages(page, options) {
+    const { format, minWidth = 0, minHeight = 0, minArea = 0 } = options;
+    const streams =
+        options.passthrough && page.isPDF() ? readImageStreams(page) : null;
+    const images = [];
+    const stext = page.toStructuredText("preserve-images");
+    let imageIndex = 1;
+
+    // Walk through structured text blocks to find image blocks
+    stext.walk({
+        onImageBlock(bbox, transform, image) {
+            try {
+                const width = image.getWidth();
+                const height = image.getHeight();
+                if (
+                    width < minWidth ||
+                    height < minHeight ||
+                    width * height < minArea
+                ) {
+                    return;
+                }
+
+                const pixmap = image.toPixmap();
+                const hash = crypto
+                    .createHash("sha1")
+                    .update(`${width}x${height}:`)
+                    .update(pixmap.getPixels())
+                    .digest("hex");
+
+                // Pass the stream through only if it is the sole candidate
+                const candidates = streams?.get(`${width}x${height}`) || [];
+                const original =
+                    candidates.length === 1 ? candidates[0] : null;
+
+                images.push({
+                    imageIndex,
+                    width: pixmap.getWidth(),
+                    height: pixmap.getHeight(),
+                    bbox: {
+                        x: bbox[0],
+                        y: bbox[1],
+                        w: bbox[2] - bbox[0],
+                        h: bbox[3] - bbox[1],
+                    },
+                    hash,
+                    format: original ? original.format : format,
+                    passthrough: Boolean(original),
+                    buffer: original
+                        ? original.buffer
+                        : format === "jpeg"
+                            ? pixmap.asJPEG(85)
+                            : pixmap.asPNG(),
+                });
+                imageIndex++;
+            } catch {
+                // Skip images that can't be extracted
+            }
+        },
+    });
+
+    return images;
+}
+
+/**
+ * Do the requested work for one page of an open document.
+ *
+ * @param {mupdf.Document} doc
+ * @param {object} task
+ * @param {number} task.page - 1-based page number
+ * @param {boolean} [task.text] - Read the page text
+ * @param {boolean} [task.links] - Read the page links
+ * @param {boolean} [task.coverage] - Measure how much of the page images cover
+ * @param {{dpi: number, format: string}|null} [task.render] - Render the page
+ * @param {{rect: number[], scale: number, format: string}|null} [task.region] - Render part of the page
+ * @param {object|null} [task.embedded] - Decode embedded images (options of readEmbeddedImages)
+ * @returns {{page: number, text?: string, links?: Array<object>, imageCoverage?: number, render?: object, region?: object, embedded?: Array<object>}}
+ */
+export function processPage(doc, task) {
+    const page = doc.loadPage(task.page - 1);
+    const result = { page: task.page };
+
+    if (task.text) {
+        result.text = readPageText(page);
+    }
+    if (task.links) {
+        result.links = readPageLinks(doc, page);
+    }
+    if (task.coverage) {
+        result.imageCoverage = readImageCoverage(page);
+    }
+    if (task.render) {
+        result.render = renderPageImage(page, task.render);
+    }
+    if (task.region) {
+        result.region = renderPageRegion(page, task.region);
+    }
+    if (task.embedded) {
+        try {
+            result.embedded = readEmbeddedImages(page, task.embedded);
+        } catch {
+            // Some pages may not have extractable embedded images
+            result.embedded = [];
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,76 @@
+/**
+ * Agentic-PDF-Extractor - Page worker
+ *
+ * Worker thread entry point: receives page tasks from worker_pool.js, keeps
+ * the documents it has opened, and replies with the result of processPage(),
+ * or of diffPages() for the pixel comparison of two documents.
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+import { parentPort } from "worker_threads";
+import { diffPixels } from "./compare.js";
+import {
+    openPdfDocument,
+    processPage,
+    renderPagePixels,
+} from "./page_tasks.js";
+
+const MAX_OPEN_DOCUMENTS = 2;
+
+/** `${hash}:${password}:${layout}` → document, least recently used first */
+const documents = new Map();
+
+/**
+ * Get the document of a task. It is read from `file`, or comes as `data`
+ * in shared memory for PDFs that are not on disk. Reflowable documents are
+ * laid out at the task's `layout`.
+ */
+function getDocument({ file, data: shared, hash, password, mimeType, layout }) {
+    const key = `${hash}:${password || ""}:${JSON.stringify(layout)}`;
+    const open = (data) => openPdfDocument(data, password, { mimeType, layout });
+    let doc = documents.get(key);
+
+    if (doc) {
+        documents.delete(key);
+    } else if (shared) {
+        doc = open(shared);
+    } else {
+        const data = fs.readFileSync(file);
+        const actual = crypto.createHash("sha256").update(data).digest("hex");
+        if (actual !== hash) {
+            throw new Error(`PDF file changed during extraction: ${file}`);
+        }
+        doc = open(data);
+    }
+
+    documents.set(key, doc);
+    while (documents.size > MAX_OPEN_DOCUMENTS) {
+        const [oldestKey, oldest] = documents.entries().next().value;
+        documents.delete(oldestKey);
+        oldest.destroy?.();
+    }
+    return doc;
+}
+
+/**
+ * Render a page of each of two documents and compare them pixel by pixel
+ * (see diffPixels()). `before` and `after` name the document and page like
+ * a page task does.
+ */
+function diffPages({ before, after, scale, mode }) {
+    const render = (side) =>
+        renderPagePixels(getDocument(side).loadPage(side.page - 1), scale);
+    return diffPixels(render(before), render(after), mode);
+}
+
+parentPort.on("message", ({ id, task }) => {
+    try {
+        const result = task.pixelDiff
+            ? diffPages(task.pixelDiff)
+            : processPage(getDocument(task), task);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
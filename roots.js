@@ -0,0 +1,134 @@
+/**
+ * Agentic-PDF-Extractor - Resource roots
+ *
+ * The directories whose PDFs the MCP server exposes as resources: finding
+ * the PDFs, checking that a requested file lies inside a root, and watching
+ * the roots for PDFs being added or removed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { isDocumentName } from "./formats.js";
+
+// Keep listings usable when a root is large
+const MAX_LISTED_FILES = 1000;
+const SKIPPED_DIRECTORIES = new Set(["node_modules", ".git"]);
+// Saving a file fires several events; report once things settle
+const WATCH_DEBOUNCE_MS = 500;
+
+/**
+ * Parse a list of root directories, separated like PATH (":" or ";").
+ *
+ * @param {string} [value] - e.g. process.env.PDF_ROOTS
+ * @returns {string[]} Absolute paths
+ */
+export function parseRoots(value) {
+    if (!value) return [];
+    return value
+        .split(path.delimiter)
+        .filter(Boolean)
+        .map((root) => path.resolve(root));
+}
+
+/**
+ * Whether a file lies inside one of the roots.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string[]} roots - Absolute root directories
+ * @returns {boolean}
+ */
+export function isInRoots(filePath, roots) {
+    return roots.some((root) => {
+        const relative = path.relative(root, filePath);
+        return (
+            relative !== "" &&
+            !relative.startsWith("..") &&
+            !path.isAbsolute(relative)
+        );
+    });
+}
+
+/**
+ * Find the PDFs (and other documents, see isDocumentName()) in the roots and
+ * their subdirectories. Hidden directories and node_modules are skipped.
+ *
+ * @param {string[]} roots - Absolute root directories
+ * @returns {Array<{file: string, root: string}>} Sorted by path
+ */
+export function listRootPdfs(roots) {
+    const found = [];
+
+    const walk = (dir, root) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            return; // Missing or unreadable directory
+        }
+
+        for (const entry of entries) {
+            if (found.length >= MAX_LISTED_FILES) return;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (
+                    !entry.name.startsWith(".") &&
+                    !SKIPPED_DIRECTORIES.has(entry.name)
+                ) {
+                    walk(fullPath, root);
+                }
+            } else if (entry.isFile() && isDocumentName(entry.name)) {
+                found.push({ file: fullPath, root });
+            }
+        }
+    };
+
+    for (const root of roots) walk(root, root);
+    return found.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Watch the roots and call `onChange` whenever the set of PDFs changes.
+ *
+ * @param {string[]} roots - Absolute root directories
+ * @param {() => void} onChange
+ * @returns {{close: () => void}}
+ */
+export function watchRoots(roots, onChange) {
+    const snapshot = () =>
+        listRootPdfs(roots)
+            .map((entry) => entry.file)
+            .join("\n");
+
+    let last = snapshot();
+    let timer = null;
+
+    const check = () => {
+        timer = null;
+        const current = snapshot();
+        if (current !== last) {
+            last = current;
+            onChange();
+        }
+    };
+
+    const watchers = [];
+    for (const root of roots) {
+        try {
+            const watcher = fs.watch(root, { recursive: true }, () => {
+                clearTimeout(timer);
+                timer = setTimeout(check, WATCH_DEBOUNCE_MS);
+            });
+            watcher.on("error", () => {});
+            watchers.push(watcher);
+        } catch (error) {
+            console.error(`⚠️ Cannot watch ${root}: ${error.message}`);
+        }
+    }
+
+    return {
+        close() {
+            clearTimeout(timer);
+            for (const watcher of watchers) watcher.close();
+        },
+    };
+}
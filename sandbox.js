@@ -0,0 +1,303 @@
+/**
+ * Agentic-PDF-Extractor - Sandbox
+ *
+ * Limits what the MCP server does on behalf of a model: which files it may
+ * read, where it may write, how large documents and renders may be, how
+ * large a response may get, and which hosts PDFs may be downloaded from. A
+ * prompt-injected agent should not be able to read arbitrary files or fill
+ * the disk.
+ *
+ * The call timeout is not one of these limits: it only bounds how long the
+ * client waits for an answer (see withTimeout()).
+ */
+
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { parseRoots, isInRoots } from "./roots.js";
+
+const DEFAULT_LIMITS = {
+    maxFileMB: 200,
+    maxPages: 1000,
+    maxDpi: 600,
+    maxPixels: 50_000_000,
+    maxResponseMB: 50,
+    timeoutSeconds: 120,
+};
+
+// Networks downloads may not reach unless the host is listed by name: this
+// machine, private and link-local networks, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 networks.
+const LOCAL_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.168.0.0", 16],
+    ["224.0.0.0", 3],
+]) {
+    LOCAL_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+    ["::", 127], // unspecified and loopback
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    LOCAL_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Read a positive number from the environment.
+ */
+function readLimit(env, name, fallback) {
+    if (env[name] === undefined || env[name] === "") return fallback;
+    const value = Number(env[name]);
+    if (!(value > 0)) {
+        throw new Error(`${name} must be a positive number, got "${env[name]}"`);
+    }
+    return value;
+}
+
+/**
+ * Resolve symlinks in a path, including a path that does not exist yet:
+ * its nearest existing ancestor is resolved and the rest appended.
+ */
+function realPath(target) {
+    const missing = [];
+    let current = path.resolve(target);
+    for (;;) {
+        try {
+            return path.join(fs.realpathSync(current), ...missing);
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== "ENOENT" || parent === current) throw error;
+            missing.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * Whether a path is one of the roots or lies inside one.
+ */
+function isAllowed(target, roots) {
+    return roots.includes(target) || isInRoots(target, roots);
+}
+
+/**
+ * Load the sandbox settings from the environment.
+ *
+ * Read roots come from PDF_READ_ROOTS plus the resource roots in PDF_ROOTS,
+ * write roots from PDF_WRITE_ROOTS (both separated like PATH). Without
+ * roots, reading or writing is not restricted by location. PDF_URL_HOSTS
+ * lists the hosts PDFs may be downloaded from (comma-separated); without
+ * it, any host with a public address is allowed.
+ *
+ * @param {object} [env=process.env]
+ * @returns {{readRoots: string[], writeRoots: string[], urlHosts: string[], maxFileBytes: number, maxPages: number, maxDpi: number, maxPixels: number, maxResponseBytes: number, timeoutMs: number}}
+ */
+export function loadSandbox(env = process.env) {
+    const roots = (value) => parseRoots(value).map(realPath);
+
+    return {
+        readRoots: [...roots(env.PDF_READ_ROOTS), ...roots(env.PDF_ROOTS)],
+        writeRoots: roots(env.PDF_WRITE_ROOTS),
+        urlHosts: (env.PDF_URL_HOSTS || "")
+            .split(",")
+            .map((host) => host.trim().toLowerCase())
+            .filter(Boolean),
+        maxFileBytes:
+            readLimit(env, "PDF_MAX_FILE_MB", DEFAULT_LIMITS.maxFileMB) *
+            1024 * 1024,
+        maxPages: readLimit(env, "PDF_MAX_PAGES", DEFAULT_LIMITS.maxPages),
+        maxDpi: readLimit(env, "PDF_MAX_DPI", DEFAULT_LIMITS.maxDpi),
+        maxPixels: readLimit(env, "PDF_MAX_PIXELS", DEFAULT_LIMITS.maxPixels),
+        maxResponseBytes:
+            readLimit(env, "PDF_MAX_RESPONSE_MB", DEFAULT_LIMITS.maxResponseMB) *
+            1024 * 1024,
+        timeoutMs:
+            readLimit(env, "PDF_TIMEOUT_SECONDS", DEFAULT_LIMITS.timeoutSeconds) *
+            1000,
+    };
+}
+
+/**
+ * Check that a file may be read and is not too large.
+ *
+ * @param {string} filePath
+ * @param {object} sandbox - From loadSandbox()
+ * @returns {string} The file's real path, to be used instead of `filePath`
+ */
+export function checkReadPath(filePath, sandbox) {
+    let target;
+    try {
+        target = realPath(filePath);
+    } catch (error) {
+        throw new Error(`Cannot resolve ${filePath}: ${error.message}`);
+    }
+
+    if (sandbox.readRoots.length > 0 && !isAllowed(target, sandbox.readRoots)) {
+        throw new Error(
+            `Reading ${filePath} is not allowed; files must be inside: ` +
+            sandbox.readRoots.join(", ")
+        );
+    }
+
+    if (fs.existsSync(target)) {
+        const { size } = fs.statSync(target);
+        if (size > sandbox.maxFileBytes) {
+            throw new Error(
+                `${filePath} is ${formatSize(size)}, above the limit of ` +
+                `${formatSize(sandbox.maxFileBytes)}`
+            );
+        }
+    }
+    return target;
+}
+
+/**
+ * Check that a PDF may be downloaded from a URL.
+ *
+ * @param {string} url
+ * @param {object} sandbox - From loadSandbox()
+ * @returns {string} The normalized URL
+ */
+export function checkUrl(url, sandbox) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`Not a valid URL: ${url}`);
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        throw new Error(`Only http and https URLs can be downloaded: ${url}`);
+    }
+    if (
+        sandbox.urlHosts.length > 0 &&
+        !sandbox.urlHosts.includes(parsed.hostname.toLowerCase())
+    ) {
+        throw new Error(
+            `Downloading from ${parsed.hostname} is not allowed; allowed hosts: ` +
+            sandbox.urlHosts.join(", ")
+        );
+    }
+    return parsed.href;
+}
+
+/**
+ * Check that a download may connect to an address its host resolved to.
+ * Loopback, private and link-local addresses are refused unless the host
+ * is listed in PDF_URL_HOSTS, so that a URL (or a redirect, or a DNS answer)
+ * cannot point the server at services on its own network.
+ *
+ * @param {string} hostname - Host name from the URL
+ * @param {string} address - IP address it resolved to
+ * @param {object} sandbox - From loadSandbox()
+ */
+export function checkAddress(hostname, address, sandbox) {
+    if (sandbox.urlHosts.includes(hostname.toLowerCase())) return;
+    if (LOCAL_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4")) {
+        throw new Error(
+            `${hostname} (${address}) is a local or private network ` +
+            "address; list the host in PDF_URL_HOSTS to allow it"
+        );
+    }
+}
+
+/**
+ * Check that files may be written to a directory.
+ *
+ * @param {string} dir
+ * @param {object} sandbox - From loadSandbox()
+ * @returns {string} The directory's real path, to be used instead of `dir`
+ */
+export function checkWriteDir(dir, sandbox) {
+    const target = realPath(dir);
+    if (
+        sandbox.writeRoots.length > 0 &&
+        !isAllowed(target, sandbox.writeRoots)
+    ) {
+        throw new Error(
+            `Writing to ${dir} is not allowed; output directories must be inside: ` +
+            sandbox.writeRoots.join(", ")
+        );
+    }
+    return target;
+}
+
+/**
+ * Check a rendering resolution and the number of pages a call works on.
+ *
+ * @param {{dpi?: number, pageCount?: number}} request
+ * @param {object} sandbox - From loadSandbox()
+ */
+export function checkLimits({ dpi, pageCount }, sandbox) {
+    if (dpi > sandbox.maxDpi) {
+        throw new Error(`${dpi} DPI is above the limit of ${sandbox.maxDpi} DPI`);
+    }
+    if (pageCount > sandbox.maxPages) {
+        throw new Error(
+            `This would process ${pageCount} pages, above the limit of ` +
+            `${sandbox.maxPages}; select fewer pages`
+        );
+    }
+}
+
+/**
+ * Size of an MCP tool or resource result: its text plus its base64 image
+ * data.
+ *
+ * @param {{content?: Array<object>, contents?: Array<object>}} result
+ * @returns {number} Bytes
+ */
+export function responseBytes(result) {
+    let bytes = 0;
+    for (const item of result.content || result.contents || []) {
+        if (item.text) bytes += Buffer.byteLength(item.text);
+        if (item.data) bytes += item.data.length;
+        if (item.blob) bytes += item.blob.length;
+    }
+    return bytes;
+}
+
+/**
+ * Wait for a promise, giving up after `ms` milliseconds.
+ *
+ * This is best-effort: extraction runs synchronously in mupdf and cannot be
+ * interrupted, so the work keeps running (and using the CPU) until it
+ * finishes, and its result is dropped. Only downloads are really cut off,
+ * by their own timeout. Bound the work itself with the page, DPI and pixel
+ * limits.
+ *
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+            () =>
+                reject(
+                    new Error(
+                        `The call did not finish within ${ms / 1000} seconds; ` +
+                            "its work may still complete in the background"
+                    )
+                ),
+            ms
+        );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Format a byte count as e.g. "12.5 MB" or "300 KB".
+ */
+export function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
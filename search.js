@@ -0,0 +1,208 @@
+/**
+ * Agentic-PDF-Extractor - Full-text search
+ *
+ * Searches the text of a page for literal or regular-expression queries and
+ * maps every hit back to the quads of the characters it covers.
+ */
+
+import vm from "vm";
+import { toBBox } from "./layout.js";
+
+const SNIPPET_CONTEXT = 60; // characters on each side of a hit
+const MAX_PATTERN_LENGTH = 500; // characters of a regular expression
+const MATCH_TIME_LIMIT_MS = 1000; // per page
+
+// Matching runs in its own context so that it can be given a time limit: a
+// regular expression that backtracks catastrophically ("(a+)+$") fails the
+// search instead of blocking the process.
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script(
+    "Array.from(text.matchAll(matcher), (m) => ({ index: m.index, text: m[0] }))"
+);
+
+/**
+ * Build the regular expression for a query.
+ *
+ * Literal queries match any run of whitespace where the query has a space,
+ * so phrases wrapped across lines are still found.
+ *
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly
+ * @returns {RegExp}
+ */
+export function buildMatcher(
+    query,
+    { regex = false, caseSensitive = false } = {}
+) {
+    if (!query) {
+        throw new Error("Search query must not be empty");
+    }
+    if (regex && query.length > MAX_PATTERN_LENGTH) {
+        throw new Error(
+            `Regular expression is too long (${query.length} characters, at most ${MAX_PATTERN_LENGTH})`
+        );
+    }
+
+    const source = regex
+        ? query
+        : query
+              .trim()
+              .split(/\s+/)
+              .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+              .join("\\s+");
+
+    return new RegExp(source, caseSensitive ? "gu" : "giu");
+}
+
+/**
+ * Read the text of a page together with the quad of every character.
+ * Lines are separated by "\n", which has no quad.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {{text: string, quads: Array<number[]|null>, lines: number[]}}
+ */
+function readPageChars(page) {
+    const stext = page.toStructuredText("preserve-whitespace");
+    let text = "";
+    const quads = [];
+    const lines = [];
+    let lineIndex = -1;
+
+    stext.walk({
+        beginLine() {
+            lineIndex++;
+        },
+        onChar(c, origin, font, size, quad) {
+            text += c;
+            quads.push(quad);
+            lines.push(lineIndex);
+        },
+        endLine() {
+            text += "\n";
+            quads.push(null);
+            lines.push(lineIndex);
+        },
+    });
+
+    return { text, quads, lines };
+}
+
+/**
+ * Run a matcher over a text within MATCH_TIME_LIMIT_MS.
+ *
+ * @returns {Array<{index: number, text: string}>}
+ */
+function findMatches(text, matcher) {
+    matchContext.text = text;
+    matchContext.matcher = matcher;
+    try {
+        return matchScript.runInContext(matchContext, {
+            timeout: MATCH_TIME_LIMIT_MS,
+        });
+    } catch (err) {
+        if (err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+            throw new Error(
+                `Search took longer than ${MATCH_TIME_LIMIT_MS} ms on a single page; simplify the regular expression`
+            );
+        }
+        throw err;
+    } finally {
+        matchContext.text = null;
+        matchContext.matcher = null;
+    }
+}
+
+/**
+ * Merge the quads of consecutive characters on the same line into one quad
+ * per line, so a hit spanning two lines yields two quads.
+ */
+function mergeQuads(quads, lines, start, end) {
+    const merged = [];
+    let current = null;
+    let currentLine = null;
+
+    for (let i = start; i < end; i++) {
+        const quad = quads[i];
+        if (!quad) continue;
+        if (current && lines[i] === currentLine) {
+            // Extend the right edge (upper-right and lower-right corners)
+            current[2] = quad[2];
+            current[3] = quad[3];
+            current[6] = quad[6];
+            current[7] = quad[7];
+        } else {
+            current = [...quad];
+            currentLine = lines[i];
+            merged.push(current);
+        }
+    }
+
+    return merged;
+}
+
+function quadsToRect(quads) {
+    const xs = quads.flatMap((q) => [q[0], q[2], q[4], q[6]]);
+    const ys = quads.flatMap((q) => [q[1], q[3], q[5], q[7]]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Find all matches of a query on a page.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @param {RegExp} matcher - From buildMatcher()
+ * @param {number} [maxHits=Infinity] - Stop after this many hits
+ * @returns {Array<{match: string, snippet: string, quads: number[][], bbox: object}>}
+ */
+export function searchPage(page, matcher, maxHits = Infinity) {
+    const { text, quads, lines } = readPageChars(page);
+    const hits = [];
+
+    matcher.lastIndex = 0;
+    for (const match of findMatches(text, matcher)) {
+        if (hits.length >= maxHits) break;
+        if (!match.text) continue;
+
+        const start = match.index;
+        const end = start + match.text.length;
+        const hitQuads = mergeQuads(quads, lines, start, end);
+        if (hitQuads.length === 0) continue;
+
+        const before = text.slice(Math.max(0, start - SNIPPET_CONTEXT), start);
+        const after = text.slice(end, end + SNIPPET_CONTEXT);
+        const snippet =
+            (start > SNIPPET_CONTEXT ? "…" : "") +
+            `${before}«${match.text}»${after}`.replace(/\s+/g, " ").trim() +
+            (end + SNIPPET_CONTEXT < text.length ? "…" : "");
+
+        hits.push({
+            match: match.text.replace(/\s+/g, " "),
+            snippet,
+            quads: hitQuads.map((q) => q.map((v) => Math.round(v * 100) / 100)),
+            bbox: toBBox(quadsToRect(hitQuads)),
+        });
+    }
+
+    return hits;
+}
+
+/**
+ * Add highlight annotations for the given hits to a PDF page, so that they
+ * show up when the page is rendered. The document itself is not saved.
+ *
+ * @param {object} page - A loaded mupdf PDF page
+ * @param {Array<{quads: number[][]}>} hits
+ */
+export function highlightHits(page, hits) {
+    if (!page.isPDF()) return;
+
+    for (const hit of hits) {
+        const annot = page.createAnnotation("Highlight");
+        annot.setColor([1, 0.85, 0]);
+        annot.setQuadPoints(hit.quads);
+        annot.update();
+    }
+    page.update();
+}
@@ -5,251 +5,1992 @@
  *
  * Provides PDF reading capabilities to AI agents via Model Context Protocol.
  * Supports extracting text, images, and full content from PDF files.
+ * PDFs under the directories in PDF_ROOTS are also exposed as resources.
+ * Runs on stdio, or over HTTP with PDF_MCP_TRANSPORT=http (see http_server.js).
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import path from "path";
+import {
+    McpServer,
+    ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { startHttpServer } from "./http_server.js";
 import { z } from "zod";
-import { extractText, extractImages, extractAll } from "./extract_pdf.js";
+import {
+    getDocumentInfo,
+    extractText,
+    extractPages,
+    extractImages,
+    extractStructured,
+    extractMarkdown,
+    extractTables,
+    searchPdf,
+    extractOutline,
+    extractSection,
+    getSectionPages,
+    extractAnnotations,
+    extractForm,
+    extractAttachments,
+    renderRegion,
+    comparePdfs,
+} from "./extract_pdf.js";
+import { tableToCSV, tableToMarkdown } from "./tables.js";
+import { formatWordDiff } from "./compare.js";
+import { OCR_MODES } from "./ocr.js";
+import { openPdfInput } from "./input.js";
+import { parseRoots, isInRoots, listRootPdfs, watchRoots } from "./roots.js";
+import {
+    loadSandbox,
+    checkReadPath,
+    checkUrl,
+    checkAddress,
+    checkWriteDir,
+    checkLimits,
+    responseBytes,
+    withTimeout,
+    formatSize,
+} from "./sandbox.js";
+import {
+    createBudget,
+    decodeCursor,
+    fillChunk,
+    fingerprint,
+    imageUnit,
+    splitText,
+    textUnit,
+} from "./chunking.js";
 
-const server = new McpServer({
+/**
+ * Summarize permission flags as e.g. "print ✓, copy ✗, modify ✗".
+ */
+function formatPermissions(permissions) {
+    return Object.entries(permissions)
+        .map(([name, allowed]) => `${name} ${allowed ? "✓" : "✗"}`)
+        .join(", ");
+}
+
+/**
+ * Split a page's text into text units, repeating the page header on every
+ * piece so each chunk can be read on its own.
+ */
+function pageTextUnits(page, text, maxTokens, footer = "", note = "") {
+    const pieces = splitText(text || "(empty page)", maxTokens);
+    return pieces.map((piece, i) => {
+        const label =
+            i > 0 ? `Page ${page} (continued)` : `Page ${page}${note}`;
+        let unitText = `── ${label} ──────────────────────\n${piece}\n`;
+        if (i === pieces.length - 1) unitText += footer;
+        return textUnit(page, unitText + "\n");
+    });
+}
+
+/**
+ * Extract the text and links of one page. Chunked tools call this for the
+ * pages of the chunk only, so a cursor never extracts (or OCRs) the pages
+ * before it or after the chunk.
+ */
+async function extractPageText(input, page, options) {
+    for await (const result of extractPages(input, {
+        ...options,
+        pages: [page],
+        links: true,
+        images: false,
+    })) {
+        return result;
+    }
+}
+
+/**
+ * A "Format: EPUB" line for documents that are not PDFs.
+ */
+function formatDocumentFormat(result) {
+    return result.documentFormat && result.documentFormat !== "PDF"
+        ? `Format: ${result.documentFormat}\n`
+        : "";
+}
+
+/**
+ * Mark text that came from OCR, e.g. " (OCR, 94% confidence)".
+ */
+function formatTextSource(page) {
+    if (page.textSource !== "ocr") return "";
+    const { confidence } = page.ocr;
+    return confidence === null
+        ? " (OCR)"
+        : ` (OCR, ${Math.round(confidence)}% confidence)`;
+}
+
+/**
+ * List a page's links below its text, e.g. `• "anchor" → page 5`.
+ */
+function formatLinksFooter(links) {
+    if (!links || links.length === 0) return "";
+    let footer = `\n🔗 Links:\n`;
+    for (const link of links) {
+        const anchor = link.text ? `"${link.text}"` : "(no text)";
+        let target;
+        if (link.external) target = link.uri;
+        else if (link.broken) target = `${link.uri || "?"} (broken)`;
+        else target = `page ${link.page}`;
+        footer += `  • ${anchor} → ${target}\n`;
+    }
+    return footer;
+}
+
+/**
+ * Closing line of a chunked response: where to continue, if anywhere.
+ */
+function formatChunkEnd(nextCursor, units) {
+    if (!nextCursor) return "── End of document ──\n";
+    const lastPage = units.length ? units[units.length - 1].page : null;
+    return (
+        `⏭️ More content available${lastPage ? ` (this chunk ends in page ${lastPage})` : ""}. ` +
+        `Call again with the same parameters and cursor: "${nextCursor}"\n`
+    );
+}
+
+const SERVER_INFO = {
     name: "agentic-pdf-extractor",
     version: "1.0.0",
-});
+};
 
-// ─────────────────────────────────────────────
-// Tool: extract_pdf_text
-// ─────────────────────────────────────────────
-server.tool(
-    "extract_pdf_text",
-    "Extract all text from a PDF file, organized page by page. " +
-    "Returns metadata (title, author, etc.) and text for each page. " +
-    "Use this when you need to read the text content of a PDF document.",
-    {
-        pdfPath: z
-            .string()
-            .describe("Absolute path to the PDF file to extract text from"),
-    },
-    async ({ pdfPath }) => {
-        try {
-            const result = await extractText(pdfPath);
+const sandbox = loadSandbox();
 
-            // Format as readable text for the AI agent
-            let output = `📄 PDF Text Extraction: ${result.file}\n`;
-            output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-            output += `Total Pages: ${result.totalPages}\n`;
+/**
+ * Open the PDF of a tool call, given as a path, as base64 data or as a URL,
+ * within the sandbox limits.
+ *
+ * @param {{path?: string, base64?: string, url?: string, pageSize?: string}} given
+ * @param {string} names - The argument names, for error messages
+ * @returns {Promise<object|undefined>} The input (see input.js), if any was given
+ */
+async function openToolPdf({ path: filePath, base64, url, pageSize }, names) {
+    const count = [filePath, base64, url].filter((value) => value).length;
+    if (count > 1) throw new Error(`Give only one of ${names}`);
 
-            if (result.metadata.title) output += `Title: ${result.metadata.title}\n`;
-            if (result.metadata.author)
-                output += `Author: ${result.metadata.author}\n`;
-            if (result.metadata.subject)
-                output += `Subject: ${result.metadata.subject}\n`;
+    const options = {
+        maxBytes: sandbox.maxFileBytes,
+        timeoutMs: sandbox.timeoutMs,
+        pageSize,
+    };
+    if (url) {
+        return openPdfInput(checkUrl(url, sandbox), {
+            ...options,
+            // Redirects and the addresses connected to are checked as well
+            checkUrl: (target) => checkUrl(target, sandbox),
+            checkAddress: (hostname, address) =>
+                checkAddress(hostname, address, sandbox),
+        });
+    }
+    if (base64) {
+        // The format is detected from the content
+        const uri = /^data:/i.test(base64)
+            ? base64
+            : `data:application/octet-stream;base64,${base64}`;
+        return openPdfInput(uri, { ...options, name: "<pdfBase64>" });
+    }
+    if (filePath) {
+        return openPdfInput(checkReadPath(filePath, sandbox), { pageSize });
+    }
+    return undefined;
+}
 
-            output += `\n`;
+/**
+ * Run a tool handler in the sandbox (see sandbox.js): check the paths and
+ * limits in its arguments first, then bound its running time and the size
+ * of its response. Violations come back as error results.
+ *
+ * The PDF, whether given as pdfPath, pdfBase64 or pdfUrl, reaches the
+ * handler as an opened input in `pdfPath` (likewise `revisedPdfPath`).
+ *
+ * @param {Function} handler - The tool handler
+ * @param {object} [options]
+ * @param {(args: object) => boolean} [options.writesNextToPdf] - Whether the call saves files next to the PDF when no outputDir is given
+ * @param {(args: object, info: object) => number|Promise<number>} [options.pageCount] - How many pages the call processes, given its checked arguments and the document info (default: the selected pages)
+ * @returns {Function}
+ */
+function sandboxed(handler, { writesNextToPdf, pageCount } = {}) {
+    return async (args, extra) => {
+        try {
+            const {
+                pdfBase64,
+                pdfUrl,
+                revisedPdfBase64,
+                revisedPdfUrl,
+                pageSize,
+                ...checked
+            } = args;
+            checked.pdfPath = await openToolPdf(
+                {
+                    path: args.pdfPath,
+                    base64: pdfBase64,
+                    url: pdfUrl,
+                    pageSize,
+                },
+                "pdfPath, pdfBase64 or pdfUrl"
+            );
+            if (!checked.pdfPath) {
+                throw new Error("Give the PDF as pdfPath, pdfBase64 or pdfUrl");
+            }
+            // compare_pdfs reads a second PDF
+            const revised = await openToolPdf(
+                {
+                    path: args.revisedPdfPath,
+                    base64: revisedPdfBase64,
+                    url: revisedPdfUrl,
+                    pageSize,
+                },
+                "revisedPdfPath, revisedPdfBase64 or revisedPdfUrl"
+            );
+            if (revised) checked.revisedPdfPath = revised;
 
-            for (const page of result.pages) {
-                output += `── Page ${page.page} ──────────────────────\n`;
-                output += page.text || "(empty page)";
-                output += `\n\n`;
+            if (args.outputDir) {
+                checked.outputDir = checkWriteDir(args.outputDir, sandbox);
+            } else if (writesNextToPdf?.(args)) {
+                if (!checked.pdfPath.path) {
+                    throw new Error(
+                        "Give an outputDir: a PDF from pdfBase64 or pdfUrl has no directory to save files next to"
+                    );
+                }
+                checkWriteDir(checked.pdfPath.dir, sandbox);
+            }
+            checkLimits({ dpi: args.dpi }, sandbox);
+            const info = await getDocumentInfo(checked.pdfPath, {
+                pages: args.pages,
+                password: args.password,
+            });
+            checkLimits(
+                {
+                    pageCount: pageCount
+                        ? await pageCount(checked, info)
+                        : info.selectedPages.length,
+                },
+                sandbox
+            );
+            if (checked.revisedPdfPath) {
+                const { totalPages } = await getDocumentInfo(
+                    checked.revisedPdfPath,
+                    { password: args.revisedPassword ?? args.password }
+                );
+                checkLimits({ pageCount: totalPages }, sandbox);
             }
 
-            return {
-                content: [{ type: "text", text: output }],
-            };
+            const result = await withTimeout(
+                handler(checked, extra),
+                sandbox.timeoutMs
+            );
+            const bytes = responseBytes(result);
+            if (bytes > sandbox.maxResponseBytes) {
+                throw new Error(
+                    `The response would be ${formatSize(bytes)}, above the limit of ` +
+                    `${formatSize(sandbox.maxResponseBytes)}; select fewer pages or lower the DPI`
+                );
+            }
+            return result;
         } catch (error) {
             return {
                 content: [{ type: "text", text: `Error: ${error.message}` }],
                 isError: true,
             };
         }
+    };
+}
+
+// Text attachments (e.g. invoice XML) up to this size are returned inline
+const INLINE_ATTACHMENT_BYTES = 64 * 1024;
+
+const chunkingParams = {
+    maxTokens: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe(
+            "Approximate token budget for this response (default: 20000). " +
+            "Longer documents are split into chunks on page or paragraph boundaries"
+        ),
+    maxBytes: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Byte budget for this response (text plus base64 image data)"),
+    cursor: z
+        .string()
+        .optional()
+        .describe(
+            "nextCursor from a previous response, to fetch the next chunk. " +
+            "Keep all other parameters unchanged"
+        ),
+};
+
+const imageProcessingParams = {
+    maxWidth: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Scale images down to fit this width in pixels"),
+    maxHeight: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Scale images down to fit this height in pixels"),
+    quality: z
+        .number()
+        .int()
+        .min(1)
+        .max(100)
+        .optional()
+        .describe("JPEG/WebP/AVIF quality, 1-100"),
+    grayscale: z
+        .boolean()
+        .optional()
+        .describe("Convert images to grayscale"),
+    trim: z
+        .boolean()
+        .optional()
+        .describe("Trim the white margins of page renders"),
+    thumbnailSize: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe(
+            "Also create thumbnails fitting in a square of this many pixels. " +
+            "Base64 responses then carry the thumbnails instead of the full images"
+        ),
+};
+
+const embeddedImageParams = {
+    mode: z
+        .enum(["pages", "embedded", "both"])
+        .optional()
+        .default("both")
+        .describe(
+            'Which images to return: "pages" (full-page renders), "embedded" (images in the PDF) or "both"'
+        ),
+    minWidth: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Skip embedded images narrower than this many pixels"),
+    minHeight: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Skip embedded images lower than this many pixels"),
+    minArea: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Skip embedded images with fewer pixels than this (e.g. spacers)"),
+};
+
+const ocrParams = {
+    ocr: z
+        .enum(OCR_MODES)
+        .optional()
+        .describe(
+            'OCR for pages without a text layer: "auto" (scanned pages, default), "off" or "force" (every page)'
+        ),
+    ocrLanguages: z
+        .string()
+        .optional()
+        .describe('OCR languages as Tesseract codes, e.g. "eng+deu" (default: eng)'),
+};
+
+// Alternatives to pdfPath for PDFs that are not on disk, and the layout of
+// reflowable documents (the "PDF" may also be an EPUB, XPS, TIFF, ...)
+const pdfSourceParams = {
+    pdfBase64: z
+        .string()
+        .optional()
+        .describe(
+            "The PDF itself (or an EPUB, XPS, CBZ, FB2, MOBI, TIFF, PNG, JPEG or GIF document), base64-encoded or as a data URI (instead of pdfPath)"
+        ),
+    pdfUrl: z
+        .string()
+        .optional()
+        .describe("http(s) URL to download the PDF from (instead of pdfPath)"),
+    pageSize: z
+        .string()
+        .optional()
+        .describe(
+            'Page size EPUB, FB2 and MOBI documents are laid out at: "A4", "A5", "A6", "letter", "legal" or WIDTHxHEIGHT in points (default: A5)'
+        ),
+};
+
+// PDFs under these directories are exposed as resources
+const resourceRoots = parseRoots(process.env.PDF_ROOTS);
+
+/**
+ * Build a resource URI for a PDF, e.g. pdf:///docs/report.pdf/page/3.
+ */
+function pdfResourceUri(filePath, suffix = "") {
+    const encoded = filePath.split(path.sep).map(encodeURIComponent).join("/");
+    return `pdf://${encoded}${suffix}`;
+}
+
+/**
+ * Resolve the {path} of a resource URI, refusing files outside the roots
+ * and files the sandbox does not allow.
+ */
+function resourcePdfPath(encodedPath) {
+    const filePath = path.resolve(decodeURIComponent(encodedPath));
+    if (!isInRoots(filePath, resourceRoots)) {
+        throw new Error(`Not inside a PDF resource root: ${filePath}`);
     }
-);
+    return checkReadPath(filePath, sandbox);
+}
 
-// ─────────────────────────────────────────────
-// Tool: extract_pdf_images
-// ─────────────────────────────────────────────
-server.tool(
-    "extract_pdf_images",
-    "Extract images from a PDF file. Can render each page as an image and/or extract embedded images. " +
-    "Returns images as base64-encoded data or saves them to disk. " +
-    "Use this when you need to see visual content (charts, diagrams, photos) in a PDF.",
-    {
-        pdfPath: z
-            .string()
-            .describe("Absolute path to the PDF file to extract images from"),
-        outputDir: z
-            .string()
-            .optional()
-            .describe(
-                "Directory to save images to. Defaults to same directory as the PDF."
-            ),
-        format: z
-            .enum(["png", "jpeg"])
-            .optional()
-            .default("png")
-            .describe("Image format: png or jpeg"),
-        returnBase64: z
-            .boolean()
-            .optional()
-            .default(false)
-            .describe(
-                "If true, return base64-encoded images in the response instead of saving to disk"
-            ),
-        dpi: z
-            .number()
-            .optional()
-            .default(150)
-            .describe("Resolution for rendering pages as images (default: 150 DPI)"),
-    },
-    async ({ pdfPath, outputDir, format, returnBase64, dpi }) => {
-        try {
-            const result = await extractImages(pdfPath, {
-                outputDir,
-                format,
-                base64: returnBase64,
-                dpi,
-            });
+/**
+ * Check a {n} page number of a resource URI against the document.
+ */
+function resourcePageNumber(n, { totalPages }) {
+    const page = Number(n);
+    if (!Number.isInteger(page) || page < 1 || page > totalPages) {
+        throw new Error(`Page ${n} is out of range (1-${totalPages})`);
+    }
+    return page;
+}
+
+/**
+ * Wrap a resource read callback in the limits the tools run under: the
+ * page limit, the timeout and the response size. Errors are thrown, so the
+ * client gets them as a failed read.
+ *
+ * @param {(uri: URL, filePath: string, params: object, info: object) => Promise<object>} read
+ * @param {(params: object, info: object) => number} pageCount - How many
+ *     pages the read processes, given the URI parameters and the document info
+ * @returns {(uri: URL, params: object) => Promise<object>}
+ */
+function limitedResource(read, pageCount) {
+    return async (uri, params) => {
+        const filePath = resourcePdfPath(params.path);
+        const info = await getDocumentInfo(filePath);
+        checkLimits({ pageCount: pageCount(params, info) }, sandbox);
+        const result = await withTimeout(
+            read(uri, filePath, params, info),
+            sandbox.timeoutMs
+        );
+        const bytes = responseBytes(result);
+        if (bytes > sandbox.maxResponseBytes) {
+            throw new Error(
+                `The resource is ${formatSize(bytes)}, above the limit of ` +
+                `${formatSize(sandbox.maxResponseBytes)}`
+            );
+        }
+        return result;
+    };
+}
 
-            const content = [];
+/**
+ * Create an MCP server with all tools and resources registered. Every
+ * connection needs its own: stdio has one, HTTP one per session.
+ *
+ * @returns {McpServer}
+ */
+export function createServer() {
+    const server = new McpServer(SERVER_INFO);
 
-            let summary = `🖼️ PDF Image Extraction: ${result.file}\n`;
-            summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-            summary += `Total Pages: ${result.totalPages}\n`;
-            summary += `Total Images Extracted: ${result.totalImages}\n\n`;
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_text
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_text",
+        "Extract all text from a PDF file, organized page by page. " +
+        "Returns metadata (title, author, etc.) and text for each page, with the page's links " +
+        "(anchor text and target URL or page). " +
+        "Long documents are returned in chunks: pass the returned cursor to get the next one. " +
+        "Use this when you need to read the text content of a PDF document.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to extract text from"),
+            ...pdfSourceParams,
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+            ...ocrParams,
+            ...chunkingParams,
+        },
+        sandboxed(async ({
+            pdfPath,
+            pages,
+            password,
+            ocr,
+            ocrLanguages,
+            maxTokens,
+            maxBytes,
+            cursor,
+        }) => {
+            try {
+                const result = await getDocumentInfo(pdfPath, {
+                    pages,
+                    password,
+                });
+                const budget = createBudget({ maxTokens, maxBytes });
+                const key = fingerprint(
+                    "text",
+                    result.file,
+                    // A file may be replaced, and PDFs sent as data all
+                    // have the same name
+                    result.hash,
+                    result.selectedPages,
+                    ocr,
+                    ocrLanguages,
+                    maxTokens,
+                    maxBytes
+                );
+                const start = decodeCursor(cursor, key);
 
-            for (const img of result.images) {
-                summary += `• Page ${img.page}`;
-                if (img.type === "embedded") {
-                    summary += ` (embedded image #${img.imageIndex})`;
+                // Format as readable text for the AI agent
+                let output = `📄 PDF Text Extraction: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                if (start) {
+                    output += `(continued from page ${start.page})\n\n`;
                 } else {
-                    summary += ` (full page render)`;
+                    output += formatDocumentFormat(result);
+                    output += `Total Pages: ${result.totalPages}\n`;
+                    if (result.selectedPages.length !== result.totalPages) {
+                        output += `Selected Pages: ${result.selectedPages.join(", ")}\n`;
+                    }
+
+                    if (result.metadata.title) output += `Title: ${result.metadata.title}\n`;
+                    if (result.metadata.author)
+                        output += `Author: ${result.metadata.author}\n`;
+                    if (result.metadata.subject)
+                        output += `Subject: ${result.metadata.subject}\n`;
+                    if (result.metadata.encrypted)
+                        output += `Encryption: ${result.metadata.encryption} (${formatPermissions(result.metadata.permissions)})\n`;
+
+                    output += `\n`;
+                }
+                budget.charge(textUnit(null, output));
+
+                const chunk = await fillChunk(
+                    result.selectedPages,
+                    async (page) => {
+                        const extracted = await extractPageText(pdfPath, page, {
+                            password,
+                            ocr,
+                            ocrLanguages,
+                        });
+                        return pageTextUnits(
+                            page,
+                            extracted.text,
+                            budget.unitTokens,
+                            formatLinksFooter(extracted.links),
+                            formatTextSource(extracted)
+                        );
+                    },
+                    budget,
+                    start,
+                    key
+                );
+
+                for (const unit of chunk.units) output += unit.content.text;
+                output += formatChunkEnd(chunk.nextCursor, chunk.units);
+
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_images
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_images",
+        "Extract images from a PDF file. Can render each page as an image and/or extract embedded images. " +
+        "Returns images as base64-encoded data or saves them to disk. " +
+        "Use this when you need to see visual content (charts, diagrams, photos) in a PDF.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to extract images from"),
+            ...pdfSourceParams,
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save images to. Defaults to same directory as the PDF."
+                ),
+            format: z
+                .enum(["png", "jpeg", "webp", "avif"])
+                .optional()
+                .default("png")
+                .describe("Image format: png, jpeg, webp or avif"),
+            returnBase64: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe(
+                    "If true, return base64-encoded images in the response instead of saving to disk"
+                ),
+            dpi: z
+                .number()
+                .optional()
+                .default(150)
+                .describe("Resolution for rendering pages as images (default: 150 DPI)"),
+            ...imageProcessingParams,
+            ...embeddedImageParams,
+            dedupe: z
+                .boolean()
+                .optional()
+                .describe(
+                    "Return each distinct embedded image once (e.g. a logo on every page), listing all pages it appears on"
+                ),
+            passthrough: z
+                .boolean()
+                .optional()
+                .describe(
+                    "Save embedded JPEG and JPEG 2000 images exactly as stored in the PDF instead of re-encoding them"
+                ),
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({
+            pdfPath,
+            outputDir,
+            format,
+            returnBase64,
+            dpi,
+            pages,
+            password,
+            ...imageOptions
+        }) => {
+            try {
+                const result = await extractImages(pdfPath, {
+                    outputDir,
+                    format,
+                    base64: returnBase64,
+                    dpi,
+                    maxPixels: sandbox.maxPixels,
+                    pages,
+                    password,
+                    ...imageOptions,
+                });
+
+                const content = [];
+
+                let summary = `🖼️ PDF Image Extraction: ${result.file}\n`;
+                summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                summary += formatDocumentFormat(result);
+                summary += `Total Pages: ${result.totalPages}\n`;
+                if (result.selectedPages.length !== result.totalPages) {
+                    summary += `Selected Pages: ${result.selectedPages.join(", ")}\n`;
+                }
+                summary += `Total Images Extracted: ${result.totalImages}\n\n`;
+
+                for (const img of result.images) {
+                    summary += `• Page ${img.page}`;
+                    if (img.type === "embedded") {
+                        summary += ` (embedded image #${img.imageIndex})`;
+                    } else {
+                        summary += ` (full page render)`;
+                    }
+                    summary += `: ${img.width}×${img.height}px`;
+                    if (img.passthrough) summary += ` (original ${img.format})`;
+                    if (img.pages?.length > 1) {
+                        summary += `, also on pages ${img.pages.slice(1).join(", ")}`;
+                    }
+                    if (img.path) {
+                        summary += ` → ${img.path}`;
+                    }
+                    if (img.thumbnail) {
+                        summary += ` (thumbnail ${img.thumbnail.width}×${img.thumbnail.height}px`;
+                        if (img.thumbnail.path) summary += ` → ${img.thumbnail.path}`;
+                        summary += `)`;
+                    }
+                    summary += `\n`;
+                }
+
+                content.push({ type: "text", text: summary });
+
+                // If base64 mode, also include images as image content
+                if (returnBase64) {
+                    for (const img of result.images) {
+                        const image = img.thumbnail || img;
+                        if (image.base64) {
+                            content.push({
+                                type: "image",
+                                data: image.base64,
+                                mimeType: image.mimeType,
+                            });
+                        }
+                    }
                 }
-                summary += `: ${img.width}×${img.height}px`;
-                if (img.path) {
-                    summary += ` → ${img.path}`;
+
+                return { content };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, { writesNextToPdf: (args) => !args.returnBase64 })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_all
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_all",
+        "Extract ALL content (text + images) from a PDF file. " +
+        "Returns text for each page along with associated images. " +
+        "Long documents are returned in chunks: pass the returned cursor to get the next one. " +
+        "Use this for a complete understanding of a PDF document.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to extract from"),
+            ...pdfSourceParams,
+            outputDir: z
+                .string()
+                .optional()
+                .describe("Directory to save images to"),
+            format: z
+                .enum(["png", "jpeg", "webp", "avif"])
+                .optional()
+                .default("png")
+                .describe("Image format"),
+            dpi: z
+                .number()
+                .optional()
+                .default(150)
+                .describe("Resolution for page images (default: 150 DPI)"),
+            ...imageProcessingParams,
+            ...embeddedImageParams,
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+            ...ocrParams,
+            ...chunkingParams,
+        },
+        sandboxed(async ({
+            pdfPath,
+            outputDir,
+            format,
+            dpi,
+            pages,
+            password,
+            ocr,
+            ocrLanguages,
+            maxTokens,
+            maxBytes,
+            cursor,
+            ...imageOptions
+        }) => {
+            try {
+                const result = await getDocumentInfo(pdfPath, {
+                    pages,
+                    password,
+                });
+                const budget = createBudget({ maxTokens, maxBytes });
+                const key = fingerprint(
+                    "all",
+                    result.file,
+                    result.hash,
+                    result.selectedPages,
+                    format,
+                    dpi,
+                    imageOptions,
+                    ocr,
+                    ocrLanguages,
+                    maxTokens,
+                    maxBytes
+                );
+                const start = decodeCursor(cursor, key);
+
+                let summary = `📄🖼️ Full PDF Extraction: ${result.file}\n`;
+                summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                if (start) {
+                    summary += `(continued from page ${start.page})\n`;
+                } else {
+                    summary += formatDocumentFormat(result);
+                    summary += `Total Pages: ${result.totalPages}\n`;
+                    if (result.selectedPages.length !== result.totalPages) {
+                        summary += `Selected Pages: ${result.selectedPages.join(", ")}\n`;
+                    }
+
+                    if (result.metadata.title)
+                        summary += `Title: ${result.metadata.title}\n`;
+                    if (result.metadata.author)
+                        summary += `Author: ${result.metadata.author}\n`;
+                    if (result.metadata.encrypted)
+                        summary += `Encryption: ${result.metadata.encryption} (${formatPermissions(result.metadata.permissions)})\n`;
                 }
                 summary += `\n`;
+                budget.charge(textUnit(null, summary));
+
+                // Pages are only extracted once they are known to be part
+                // of this chunk
+                const chunk = await fillChunk(
+                    result.selectedPages,
+                    async (page) => {
+                        const extracted = await extractPageText(pdfPath, page, {
+                            password,
+                            ocr,
+                            ocrLanguages,
+                        });
+                        const images = await extractImages(pdfPath, {
+                            outputDir,
+                            format,
+                            base64: true,
+                            dpi,
+                            maxPixels: sandbox.maxPixels,
+                            pages: [page],
+                            password,
+                            ...imageOptions,
+                        });
+                        let footer = formatLinksFooter(extracted.links);
+                        if (images.images.length) {
+                            footer += `\n[${images.images.length} image(s) on this page]\n`;
+                        }
+
+                        return [
+                            ...pageTextUnits(
+                                page,
+                                extracted.text,
+                                budget.unitTokens,
+                                footer,
+                                formatTextSource(extracted)
+                            ),
+                            ...images.images
+                                .map((img) => img.thumbnail || img)
+                                .filter((img) => img.base64)
+                                .map((img) => imageUnit(page, img)),
+                        ];
+                    },
+                    budget,
+                    start,
+                    key
+                );
+
+                // Include rendered page images inline, after the text of their page
+                const content = [{ type: "text", text: summary }];
+                for (const unit of chunk.units) content.push(unit.content);
+                content.push({
+                    type: "text",
+                    text: formatChunkEnd(chunk.nextCursor, chunk.units),
+                });
+
+                return { content };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
             }
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_layout
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_layout",
+        "Extract the structured layout of a PDF: for every page its width, height and rotation, " +
+        "and all text blocks, lines and spans with bounding boxes, font name, size, bold/italic flags and colour. " +
+        "Coordinates are PDF points from the top-left corner. " +
+        "Use this when you need to cite exact locations or distinguish headings from body text.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to analyze"),
+            ...pdfSourceParams,
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, pages, password }) => {
+            try {
+                const result = await extractStructured(pdfPath, { pages, password });
+
+                let summary = `📐 PDF Layout Extraction: ${result.file}\n`;
+                summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                summary += formatDocumentFormat(result);
+                summary += `Total Pages: ${result.totalPages}\n`;
+                summary += `Selected Pages: ${result.selectedPages.join(", ")}\n`;
+
+                return {
+                    content: [
+                        { type: "text", text: summary },
+                        { type: "text", text: JSON.stringify(result.pages) },
+                    ],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_markdown
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_markdown",
+        "Convert a PDF to Markdown that preserves document structure: headings (inferred from font sizes), " +
+        "bullet and numbered lists, paragraphs, bold/italic text, and images referenced inline at their position. " +
+        "Use this when you need to reason over a document's structure rather than plain text.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to convert"),
+            ...pdfSourceParams,
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save embedded images to. Defaults to same directory as the PDF."
+                ),
+            format: z
+                .enum(["png", "jpeg"])
+                .optional()
+                .default("png")
+                .describe("Image format: png or jpeg"),
+            includeImages: z
+                .boolean()
+                .optional()
+                .default(true)
+                .describe("If false, skip extracting images and omit image references"),
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, outputDir, format, includeImages, pages, password }) => {
+            try {
+                const result = await extractMarkdown(pdfPath, {
+                    outputDir,
+                    format,
+                    images: includeImages,
+                    pages,
+                    password,
+                });
+
+                return {
+                    content: [{ type: "text", text: result.markdown }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, { writesNextToPdf: (args) => args.includeImages })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_tables
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_tables",
+        "Detect and extract tables from a PDF using ruling lines and text alignment. " +
+        "Returns each table as rows of cells with its page number and bounding box, optionally saving one file per table. " +
+        "Use this for financial reports, datasheets and other documents where plain text turns tables into column soup.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to extract tables from"),
+            ...pdfSourceParams,
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save table files to. Defaults to same directory as the PDF."
+                ),
+            format: z
+                .enum(["csv", "json", "markdown"])
+                .optional()
+                .default("markdown")
+                .describe("Format of the returned and saved tables: csv, json or markdown"),
+            saveToDisk: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe("If true, also write one file per table to outputDir"),
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, outputDir, format, saveToDisk, pages, password }) => {
+            try {
+                const result = await extractTables(pdfPath, {
+                    outputDir,
+                    format,
+                    save: saveToDisk,
+                    pages,
+                    password,
+                });
+
+                let output = `📊 PDF Table Extraction: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += formatDocumentFormat(result);
+                output += `Total Pages: ${result.totalPages}\n`;
+                output += `Total Tables: ${result.totalTables}\n\n`;
+
+                for (const table of result.tables) {
+                    const { x, y, w, h } = table.bbox;
+                    output += `── Page ${table.page}, table #${table.tableIndex} `;
+                    output += `(${table.rows}×${table.columns}, bbox ${x},${y} ${w}×${h})`;
+                    if (table.path) output += ` → ${table.path}`;
+                    output += `\n`;
+
+                    if (format === "json") {
+                        output += JSON.stringify(table.cells);
+                    } else if (format === "csv") {
+                        output += tableToCSV(table.cells);
+                    } else {
+                        output += tableToMarkdown(table.cells);
+                    }
+                    output += `\n\n`;
+                }
+
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, { writesNextToPdf: (args) => args.saveToDisk })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: search_pdf
+    // ─────────────────────────────────────────────
+    server.tool(
+        "search_pdf",
+        "Search a PDF for a word, phrase or regular expression without extracting the whole document. " +
+        "Returns each hit's page, a snippet of surrounding text and its quads/bounding box. " +
+        "Optionally renders the pages with hits, with the matches highlighted.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file to search"),
+            ...pdfSourceParams,
+            query: z
+                .string()
+                .describe("Text to search for, or a regular expression if regex is true"),
+            regex: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe(
+                    "Treat the query as a JavaScript regular expression (at most 500 characters, 1 s per page)"
+                ),
+            caseSensitive: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe("Match case exactly (default: case-insensitive)"),
+            maxHits: z
+                .number()
+                .optional()
+                .default(100)
+                .describe("Maximum number of hits to return (default: 100)"),
+            highlight: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe("If true, return the pages with hits rendered as images with the matches highlighted"),
+            dpi: z
+                .number()
+                .optional()
+                .default(100)
+                .describe("Resolution for highlighted page images (default: 100 DPI)"),
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to search, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({
+            pdfPath,
+            query,
+            regex,
+            caseSensitive,
+            maxHits,
+            highlight,
+            dpi,
+            pages,
+            password,
+        }) => {
+            try {
+                const result = await searchPdf(pdfPath, query, {
+                    regex,
+                    caseSensitive,
+                    maxHits,
+                    highlight,
+                    base64: true,
+                    dpi,
+                    maxPixels: sandbox.maxPixels,
+                    pages,
+                    password,
+                });
 
-            content.push({ type: "text", text: summary });
+                let output = `🔎 PDF Search: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += `Query: ${query}${regex ? " (regex)" : ""}\n`;
+                output += formatDocumentFormat(result);
+                output += `Total Pages: ${result.totalPages}\n`;
+                output += `Hits: ${result.totalHits}${result.truncated ? " (limit reached)" : ""}\n\n`;
 
-            // If base64 mode, also include images as image content
-            if (returnBase64) {
+                for (const hit of result.hits) {
+                    const { x, y, w, h } = hit.bbox;
+                    output += `• Page ${hit.page} [${x},${y} ${w}×${h}]: ${hit.snippet}\n`;
+                }
+
+                const content = [{ type: "text", text: output }];
                 for (const img of result.images) {
-                    if (img.base64) {
-                        content.push({
-                            type: "image",
-                            data: img.base64,
-                            mimeType: img.mimeType,
-                        });
+                    content.push({ type: "text", text: `Page ${img.page} with highlights:` });
+                    content.push({ type: "image", data: img.base64, mimeType: img.mimeType });
+                }
+
+                return { content };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: get_pdf_outline
+    // ─────────────────────────────────────────────
+    server.tool(
+        "get_pdf_outline",
+        "Get the outline (bookmarks / table of contents) of a PDF as a tree. " +
+        "Each entry has an id such as \"2.1\", a title, its level and the page it points to. " +
+        "Use the id or title with extract_pdf_section to read one section.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, password }) => {
+            try {
+                const result = await extractOutline(pdfPath, { password });
+
+                let output = `📑 PDF Outline: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += formatDocumentFormat(result);
+                output += `Total Pages: ${result.totalPages}\n\n`;
+
+                if (result.outline.length === 0) {
+                    output += "(This PDF has no outline)\n";
+                }
+
+                const printEntries = (entries) => {
+                    for (const entry of entries) {
+                        const indent = "  ".repeat(entry.level - 1);
+                        const target = entry.page
+                            ? ` (p. ${entry.page})`
+                            : entry.uri
+                              ? ` → ${entry.uri}`
+                              : "";
+                        output += `${indent}${entry.id} ${entry.title}${target}\n`;
+                        printEntries(entry.children);
+                    }
+                };
+                printEntries(result.outline);
+
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, {
+            // Only the outline is read, no page
+            pageCount: () => 0,
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_section
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_section",
+        "Extract the text of one section of a PDF, as defined by its outline (bookmarks). " +
+        "The section runs from its bookmark to the next bookmark at the same or a higher level. " +
+        "Use get_pdf_outline first to see the available sections.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            section: z
+                .string()
+                .describe(
+                    'Outline entry id (e.g. "2.1") or title (exact or a unique part of it)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, section, password }) => {
+            try {
+                const result = await extractSection(pdfPath, section, { password });
+                const pageSpan =
+                    result.startPage === result.endPage
+                        ? `${result.startPage}`
+                        : `${result.startPage}-${result.endPage}`;
+
+                let output = `📖 PDF Section: ${result.section.id} ${result.section.title}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += `File: ${result.file}\n`;
+                output += formatDocumentFormat(result);
+                output += `Pages: ${pageSpan} of ${result.totalPages}\n\n`;
+                output += result.text || "(No text found in this section)";
+
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, {
+            pageCount: async ({ pdfPath, section, password }) => {
+                const { startPage, endPage } = await getSectionPages(
+                    pdfPath,
+                    section,
+                    { password }
+                );
+                return endPage - startPage + 1;
+            },
+        })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_annotations
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_annotations",
+        "List the annotations of a PDF page by page: comments (sticky notes), highlights, " +
+        "underlines, strike-outs, stamps, ink and shapes, with type, author, dates, comment text, " +
+        "bounding box and the text covered by text markup. " +
+        "Use this to read review feedback left on a document.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            pages: z
+                .string()
+                .optional()
+                .describe(
+                    'Pages to include, e.g. "1-5,12,20-" or "last" (default: all pages)'
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, pages, password }) => {
+            try {
+                const result = await extractAnnotations(pdfPath, { pages, password });
+
+                let output = `💬 PDF Annotations: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += formatDocumentFormat(result);
+                output += `Total Pages: ${result.totalPages}\n`;
+                if (result.selectedPages.length !== result.totalPages) {
+                    output += `Selected Pages: ${result.selectedPages.join(", ")}\n`;
+                }
+                output += `Annotations: ${result.totalAnnotations}\n\n`;
+
+                for (const page of result.pages) {
+                    output += `── Page ${page.page} ──────────────────────\n`;
+                    for (const annot of page.annotations) {
+                        const { x, y, w, h } = annot.bbox;
+                        output += `• ${annot.type}`;
+                        if (annot.author) output += ` by ${annot.author}`;
+                        if (annot.modified || annot.created)
+                            output += ` (${annot.modified || annot.created})`;
+                        output += ` [${x},${y} ${w}×${h}]\n`;
+                        if (annot.text) output += `  Text: "${annot.text}"\n`;
+                        if (annot.contents) output += `  Comment: ${annot.contents}\n`;
                     }
+                    output += `\n`;
                 }
+
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
             }
+        })
+    );
 
-            return { content };
-        } catch (error) {
-            return {
-                content: [{ type: "text", text: `Error: ${error.message}` }],
-                isError: true,
-            };
-        }
-    }
-);
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_form
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_form",
+        "List the interactive form (AcroForm) fields of a PDF with their current values: " +
+        "name, type (text, checkbox, radio, dropdown, listbox, button, signature), value, " +
+        "available options, whether the field is required, and its page. " +
+        "Use this to read filled-in forms.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, password }) => {
+            try {
+                const result = await extractForm(pdfPath, { password });
 
-// ─────────────────────────────────────────────
-// Tool: extract_pdf_all
-// ─────────────────────────────────────────────
-server.tool(
-    "extract_pdf_all",
-    "Extract ALL content (text + images) from a PDF file. " +
-    "Returns text for each page along with associated images. " +
-    "Use this for a complete understanding of a PDF document.",
-    {
-        pdfPath: z
-            .string()
-            .describe("Absolute path to the PDF file to extract from"),
-        outputDir: z
-            .string()
-            .optional()
-            .describe("Directory to save images to"),
-        format: z
-            .enum(["png", "jpeg"])
-            .optional()
-            .default("png")
-            .describe("Image format"),
-        dpi: z
-            .number()
-            .optional()
-            .default(150)
-            .describe("Resolution for page images (default: 150 DPI)"),
-    },
-    async ({ pdfPath, outputDir, format, dpi }) => {
-        try {
-            const result = await extractAll(pdfPath, {
-                outputDir,
-                format,
-                base64: true,
-                dpi,
-            });
+                let output = `📝 PDF Form Fields: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += formatDocumentFormat(result);
+                output += `Total Pages: ${result.totalPages}\n`;
+                output += `Fields: ${result.totalFields}\n\n`;
 
-            const content = [];
+                if (result.totalFields === 0) {
+                    output += "(This PDF has no form fields)\n";
+                }
 
-            let summary = `📄🖼️ Full PDF Extraction: ${result.file}\n`;
-            summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-            summary += `Total Pages: ${result.totalPages}\n`;
-            summary += `Total Images: ${result.totalImages}\n`;
+                for (const field of result.fields) {
+                    let value = field.value;
+                    if (Array.isArray(value)) value = value.join(", ");
+                    if (typeof value === "boolean")
+                        value = value ? "checked" : "unchecked";
+                    output += `• ${field.name} (${field.type}`;
+                    if (field.required) output += `, required`;
+                    if (field.readOnly) output += `, read-only`;
+                    if (field.page) output += `, page ${field.page}`;
+                    output += `): ${value === null || value === "" ? "(empty)" : value}\n`;
+                    if (field.options) output += `  Options: ${field.options.join(", ")}\n`;
+                }
 
-            if (result.metadata.title)
-                summary += `Title: ${result.metadata.title}\n`;
-            if (result.metadata.author)
-                summary += `Author: ${result.metadata.author}\n`;
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        })
+    );
 
-            summary += `\n`;
+    // ─────────────────────────────────────────────
+    // Tool: extract_pdf_attachments
+    // ─────────────────────────────────────────────
+    server.tool(
+        "extract_pdf_attachments",
+        "List the files embedded in a PDF (document attachments and file-attachment annotations) " +
+        "with name, size, MIME type, description and dates, and optionally save them to a directory. " +
+        "Small text attachments such as ZUGFeRD/Factur-X invoice XML or CSV are returned inline. " +
+        "Use this to get at data files, spreadsheets or drawings packaged inside a PDF.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save the attachments to. If omitted, attachments are only listed"
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({ pdfPath, outputDir, password }) => {
+            try {
+                const result = await extractAttachments(pdfPath, {
+                    outputDir,
+                    save: Boolean(outputDir),
+                    inlineTextBytes: INLINE_ATTACHMENT_BYTES,
+                    password,
+                });
 
-            content.push({ type: "text", text: summary });
+                let output = `📎 PDF Attachments: ${result.file}\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += `Attachments: ${result.totalAttachments}\n\n`;
 
-            for (const page of result.pages) {
-                let pageText = `── Page ${page.page} ──────────────────────\n`;
-                pageText += page.text || "(empty page)";
-                pageText += `\n`;
+                if (result.totalAttachments === 0) {
+                    output += "(This PDF has no embedded files)\n";
+                }
 
-                if (page.images && page.images.length > 0) {
-                    pageText += `\n[${page.images.length} image(s) on this page]\n`;
+                for (const file of result.attachments) {
+                    output += `• ${file.name} (${file.mimeType}, ${file.size} bytes`;
+                    if (file.page) output += `, attached to page ${file.page}`;
+                    output += `)\n`;
+                    if (file.description) output += `  Description: ${file.description}\n`;
+                    if (file.relationship) output += `  Relationship: ${file.relationship}\n`;
+                    if (file.modified || file.created)
+                        output += `  Modified: ${file.modified || file.created}\n`;
+                    if (file.path) output += `  Saved to: ${file.path}\n`;
+                    if (file.text !== undefined) {
+                        output += `  ── Content ──\n${file.text.trimEnd()}\n`;
+                    }
+                    output += `\n`;
                 }
 
-                content.push({ type: "text", text: pageText });
+                return {
+                    content: [{ type: "text", text: output }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        })
+    );
 
-                // Include rendered page images inline
-                if (page.images) {
-                    for (const img of page.images) {
-                        if (img.base64) {
-                            content.push({
-                                type: "image",
-                                data: img.base64,
-                                mimeType: img.mimeType,
-                            });
-                        }
+    // ─────────────────────────────────────────────
+    // Tool: render_pdf_region
+    // ─────────────────────────────────────────────
+    server.tool(
+        "render_pdf_region",
+        "Render one area of a PDF page at high resolution and return just that clipped image. " +
+        "Use this to zoom into a dense chart, a table or small print seen in a page render, " +
+        "instead of re-rendering the whole page at a higher DPI. The bbox can be given in PDF points " +
+        "(as reported for embedded images, search hits, links and layout blocks) or as fractions of the page.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the PDF file"),
+            ...pdfSourceParams,
+            page: z
+                .number()
+                .int()
+                .positive()
+                .describe("Page number (1-based)"),
+            bbox: z
+                .object({
+                    x: z.number().describe("Left edge"),
+                    y: z.number().describe("Top edge (measured from the top of the page)"),
+                    w: z.number().positive().describe("Width"),
+                    h: z.number().positive().describe("Height"),
+                })
+                .describe("Area to render"),
+            units: z
+                .enum(["points", "fraction"])
+                .optional()
+                .default("points")
+                .describe(
+                    'Units of bbox: "points" (1/72 inch) or "fraction" of the page width/height (0-1)'
+                ),
+            dpi: z
+                .number()
+                .positive()
+                .optional()
+                .default(300)
+                .describe("Resolution (default: 300 DPI). Ignored if width or height is given"),
+            width: z
+                .number()
+                .int()
+                .positive()
+                .optional()
+                .describe("Target width in pixels"),
+            height: z
+                .number()
+                .int()
+                .positive()
+                .optional()
+                .describe("Target height in pixels"),
+            format: z
+                .enum(["png", "jpeg", "webp", "avif"])
+                .optional()
+                .default("png")
+                .describe("Image format"),
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save the image to. If omitted, the image is returned inline"
+                ),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for encrypted PDFs"),
+        },
+        sandboxed(async ({
+            pdfPath,
+            page,
+            bbox,
+            units,
+            dpi,
+            width,
+            height,
+            format,
+            outputDir,
+            password,
+        }) => {
+            try {
+                const result = await renderRegion(pdfPath, {
+                    page,
+                    bbox,
+                    units,
+                    dpi,
+                    width,
+                    height,
+                    maxPixels: sandbox.maxPixels,
+                    format,
+                    base64: !outputDir,
+                    outputDir,
+                    password,
+                });
+
+                let summary = `🔍 PDF Region Render: ${result.file}\n`;
+                summary += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                summary += `Page: ${result.page} of ${result.totalPages}\n`;
+                summary += `Region: x=${result.bbox.x}, y=${result.bbox.y}, w=${result.bbox.w}, h=${result.bbox.h} (points)\n`;
+                summary += `Image: ${result.width}×${result.height}px at ${result.dpi} DPI\n`;
+                if (result.path) summary += `Saved to: ${result.path}\n`;
+
+                const content = [{ type: "text", text: summary }];
+                if (result.base64) {
+                    content.push({
+                        type: "image",
+                        data: result.base64,
+                        mimeType: result.mimeType,
+                    });
+                }
+
+                return { content };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }, { pageCount: () => 1 })
+    );
+
+    // ─────────────────────────────────────────────
+    // Tool: compare_pdfs
+    // ─────────────────────────────────────────────
+    server.tool(
+        "compare_pdfs",
+        "Compare two versions of a PDF, e.g. a contract or spec and its revision. " +
+        "Returns a paragraph-level diff (with word-level changes inside changed paragraphs) that ignores text merely " +
+        "reflowed across lines or pages, how the pages of both versions line up, pages added or removed and changed metadata. " +
+        "Optionally renders the pages that differ as a pixel-difference overlay or side by side.",
+        {
+            pdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the original PDF"),
+            ...pdfSourceParams,
+            revisedPdfPath: z
+                .string()
+                .optional()
+                .describe("Absolute path to the revised PDF"),
+            revisedPdfBase64: z
+                .string()
+                .optional()
+                .describe("The revised PDF, base64-encoded or as a data URI (instead of revisedPdfPath)"),
+            revisedPdfUrl: z
+                .string()
+                .optional()
+                .describe("http(s) URL to download the revised PDF from (instead of revisedPdfPath)"),
+            visual: z
+                .enum(["overlay", "side-by-side"])
+                .optional()
+                .describe(
+                    'Also render the aligned pages that differ: "overlay" (removed ink red, added ink green) ' +
+                    'or "side-by-side"'
+                ),
+            dpi: z
+                .number()
+                .positive()
+                .optional()
+                .default(72)
+                .describe("Resolution for visual comparison (default: 72 DPI)"),
+            format: z
+                .enum(["png", "jpeg", "webp", "avif"])
+                .optional()
+                .default("png")
+                .describe("Image format for visual comparison"),
+            outputDir: z
+                .string()
+                .optional()
+                .describe(
+                    "Directory to save difference images to. If omitted, they are returned inline"
+                ),
+            maxChanges: z
+                .number()
+                .int()
+                .positive()
+                .optional()
+                .default(100)
+                .describe("Maximum number of paragraph changes to return (default: 100)"),
+            includeHeadersFooters: z
+                .boolean()
+                .optional()
+                .default(false)
+                .describe("Also compare running headers and footers (ignored by default)"),
+            password: z
+                .string()
+                .optional()
+                .describe("Password for the original PDF (also used for the revision unless revisedPassword is given)"),
+            revisedPassword: z
+                .string()
+                .optional()
+                .describe("Password for the revised PDF"),
+        },
+        sandboxed(async ({
+            pdfPath,
+            revisedPdfPath,
+            visual,
+            dpi,
+            format,
+            outputDir,
+            maxChanges,
+            includeHeadersFooters,
+            password,
+            revisedPassword,
+        }) => {
+            try {
+                if (!revisedPdfPath) {
+                    throw new Error(
+                        "Give the revised PDF as revisedPdfPath, revisedPdfBase64 or revisedPdfUrl"
+                    );
+                }
+                const result = await comparePdfs(pdfPath, revisedPdfPath, {
+                    visual,
+                    dpi,
+                    maxPixels: sandbox.maxPixels,
+                    format,
+                    base64: !outputDir,
+                    outputDir,
+                    maxChanges,
+                    keepHeadersFooters: includeHeadersFooters,
+                    password,
+                    revisedPassword,
+                });
+                const { summary } = result;
+                const pageLabel = (pages) =>
+                    pages.length > 1
+                        ? `pages ${pages[0]}-${pages[pages.length - 1]}`
+                        : `page ${pages[0]}`;
+
+                let output = `🆚 PDF Comparison\n`;
+                output += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+                output += `Original: ${result.original.file} (${result.original.totalPages} pages)\n`;
+                output += `Revised: ${result.revised.file} (${result.revised.totalPages} pages)\n`;
+                output += `Paragraphs: ${summary.changed} changed, ${summary.added} added, ${summary.removed} removed\n`;
+                output += `Pages: ${summary.pagesChanged} changed, ${summary.pagesAdded} added, ${summary.pagesRemoved} removed\n`;
+
+                if (result.metadataChanges.length > 0) {
+                    output += `\n📋 Metadata changes:\n`;
+                    for (const change of result.metadataChanges) {
+                        output += `  • ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}\n`;
                     }
                 }
+
+                output += `\n📄 Pages (original → revised):\n`;
+                for (const page of result.pages) {
+                    output += `  • ${page.before ?? "—"} → ${page.after ?? "—"}: ${page.status}`;
+                    if (page.changes) output += ` (${page.changes} change(s))`;
+                    if (page.pixelsChanged) output += `, ${(page.pixelsChanged * 100).toFixed(2)}% of pixels`;
+                    output += `\n`;
+                }
+
+                if (result.changes.length > 0) {
+                    output += `\n✏️ Changes${result.truncated ? ` (first ${result.changes.length} of ${result.totalChanges})` : ""}:\n`;
+                }
+                result.changes.forEach((change, i) => {
+                    if (change.type === "changed") {
+                        output += `\n[${i + 1}] Changed, ${pageLabel(change.pagesBefore)} → ${pageLabel(change.pagesAfter)}\n`;
+                        output += `${formatWordDiff(change.words)}\n`;
+                    } else if (change.type === "added") {
+                        output += `\n[${i + 1}] Added, revised ${pageLabel(change.pagesAfter)}\n`;
+                        output += `{+${change.after}+}\n`;
+                    } else {
+                        output += `\n[${i + 1}] Removed, original ${pageLabel(change.pagesBefore)}\n`;
+                        output += `[-${change.before}-]\n`;
+                    }
+                });
+
+                const content = [{ type: "text", text: output }];
+                for (const img of result.images) {
+                    content.push({
+                        type: "text",
+                        text: `Page ${img.before} → ${img.after} (${img.mode})` +
+                            (img.path ? `: ${img.path}` : ":"),
+                    });
+                    if (img.base64) {
+                        content.push({ type: "image", data: img.base64, mimeType: img.mimeType });
+                    }
+                }
+
+                return { content };
+            } catch (error) {
+                return {
+                    content: [{ type: "text", text: `Error: ${error.message}` }],
+                    isError: true,
+                };
             }
+        })
+    );
 
-            return { content };
-        } catch (error) {
+    // ─────────────────────────────────────────────
+    // Resources: PDFs under PDF_ROOTS
+    // ─────────────────────────────────────────────
+    // Templates are matched in registration order; the whole-document template
+    // matches every pdf:// URI, so it comes last.
+    server.registerResource(
+        "pdf-page-image",
+        new ResourceTemplate("pdf://{+path}/page/{n}/image", { list: undefined }),
+        {
+            title: "PDF page image",
+            description: "A page rendered as a PNG image (150 DPI)",
+            mimeType: "image/png",
+        },
+        limitedResource(async (uri, filePath, { n }, info) => {
+            const page = resourcePageNumber(n, info);
+            const result = await extractImages(filePath, {
+                pages: [page],
+                mode: "pages",
+                base64: true,
+                maxPixels: sandbox.maxPixels,
+            });
             return {
-                content: [{ type: "text", text: `Error: ${error.message}` }],
-                isError: true,
+                contents: [
+                    {
+                        uri: uri.href,
+                        mimeType: "image/png",
+                        blob: result.images[0].base64,
+                    },
+                ],
             };
-        }
-    }
-);
+        }, () => 1)
+    );
+
+    server.registerResource(
+        "pdf-page",
+        new ResourceTemplate("pdf://{+path}/page/{n}", { list: undefined }),
+        {
+            title: "PDF page text",
+            description: "The text of one page",
+            mimeType: "text/plain",
+        },
+        limitedResource(async (uri, filePath, { n }, info) => {
+            const page = resourcePageNumber(n, info);
+            const result = await extractText(filePath, { pages: [page] });
+            return {
+                contents: [
+                    {
+                        uri: uri.href,
+                        mimeType: "text/plain",
+                        text: result.pages[0].text,
+                    },
+                ],
+            };
+        }, () => 1)
+    );
+
+    server.registerResource(
+        "pdf-metadata",
+        new ResourceTemplate("pdf://{+path}/metadata", { list: undefined }),
+        {
+            title: "PDF metadata",
+            description: "Page count, title, author, dates and encryption of a PDF",
+            mimeType: "application/json",
+        },
+        limitedResource(async (uri, filePath, params, info) => {
+            const { selectedPages, hash, ...metadata } = info;
+            return {
+                contents: [
+                    {
+                        uri: uri.href,
+                        mimeType: "application/json",
+                        text: JSON.stringify(metadata, null, 2),
+                    },
+                ],
+            };
+        }, () => 0)
+    );
+
+    server.registerResource(
+        "pdf-document",
+        new ResourceTemplate("pdf://{+path}", {
+            list: async () => ({
+                resources: listRootPdfs(resourceRoots).map(({ file, root }) => ({
+                    uri: pdfResourceUri(file),
+                    name: path.relative(root, file),
+                    mimeType: "text/plain",
+                })),
+            }),
+        }),
+        {
+            title: "PDF document",
+            description:
+                "The text of a whole PDF, page by page. Use the /page/{n}, " +
+                "/page/{n}/image and /metadata resources for parts of it",
+            mimeType: "text/plain",
+        },
+        limitedResource(
+            async (uri, filePath) => {
+                const result = await extractText(filePath);
+                const text = result.pages
+                    .map((p) => `── Page ${p.page} ──\n${p.text || "(empty page)"}\n`)
+                    .join("\n");
+                return {
+                    contents: [{ uri: uri.href, mimeType: "text/plain", text }],
+                };
+            },
+            (params, { totalPages }) => totalPages
+        )
+    );
+
+    return server;
+}
 
 // ─────────────────────────────────────────────
 // Start the server
 // ─────────────────────────────────────────────
 async function main() {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error("🚀 Agentic-PDF-Extractor MCP Server running on stdio");
+    // stdio by default; PDF_MCP_TRANSPORT=http serves several clients
+    let servers;
+    if (process.env.PDF_MCP_TRANSPORT === "http") {
+        const port = Number(process.env.PDF_MCP_PORT || 8787);
+        const host = process.env.PDF_MCP_HOST || "127.0.0.1";
+        const splitList = (value) =>
+            (value || "")
+                .split(",")
+                .map((item) => item.trim())
+                .filter(Boolean);
+        const { sessions } = await startHttpServer(createServer, {
+            port,
+            host,
+            token: process.env.PDF_MCP_TOKEN || null,
+            allowedHosts: splitList(process.env.PDF_MCP_ALLOWED_HOSTS),
+            allowedOrigins: splitList(process.env.PDF_MCP_ALLOWED_ORIGINS),
+            maxDocumentBytes: sandbox.maxFileBytes,
+            info: SERVER_INFO,
+        });
+        servers = () => [...sessions.values()].map((session) => session.server);
+        console.error(
+            `🚀 Agentic-PDF-Extractor MCP Server running on http://${host}:${port}/mcp` +
+            (process.env.PDF_MCP_TOKEN ? " (bearer token required)" : "")
+        );
+    } else {
+        const server = createServer();
+        await server.connect(new StdioServerTransport());
+        servers = () => [server];
+        console.error("🚀 Agentic-PDF-Extractor MCP Server running on stdio");
+    }
+
+    // Tell the clients when PDFs are added to or removed from the roots
+    if (resourceRoots.length > 0) {
+        watchRoots(resourceRoots, () => {
+            for (const server of servers()) server.sendResourceListChanged();
+        });
+    }
 }
 
 main().catch((error) => {
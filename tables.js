@@ -0,0 +1,584 @@
+/**
+ * Agentic-PDF-Extractor - Table detection
+ *
+ * Finds tabular regions on a page from ruling lines and from the alignment
+ * of words, and returns each table as a 2D array of cell texts.
+ *
+ * Ruling lines come from the page's vector graphics: stroked lines and thin
+ * filled rectangles that are horizontal or vertical. Light ones (background
+ * tints, invisible guides) and thick filled shapes are ignored.
+ */
+
+import * as mupdf from "mupdf";
+import { readPageWords, toBBox } from "./layout.js";
+
+const MIN_RULE_LENGTH = 20; // points
+const MAX_RULE_THICKNESS = 3; // points
+const MAX_INK_GRAY = 0.63; // lighter rules (0 black, 1 white) are ignored
+const AXIS_TOLERANCE = 0.5; // points a rule may lean off horizontal or vertical
+const SNAP = 2.5; // points; rule ends and intersections within this distance meet
+
+/**
+ * The gray level of a fill or stroke colour, 0 for black to 1 for white.
+ * Spot, indexed and other colours are taken as ink.
+ */
+function grayLevel(colorspace, color) {
+    if (colorspace.isGray()) return color[0];
+    if (colorspace.isRGB()) {
+        return 0.3 * color[0] + 0.59 * color[1] + 0.11 * color[2];
+    }
+    if (colorspace.isCMYK()) {
+        const [c, m, y, k] = color;
+        return 1 - Math.min(1, 0.3 * c + 0.59 * m + 0.11 * y + k);
+    }
+    return 0;
+}
+
+function transformPoint(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Walk a path in page coordinates, one array of points per subpath.
+ * Subpaths with curves are marked, they cannot be rules.
+ */
+function readSubpaths(path, ctm) {
+    const subpaths = [];
+    let current = null;
+    path.walk({
+        moveTo(x, y) {
+            current = { points: [transformPoint(ctm, x, y)], curved: false };
+            subpaths.push(current);
+        },
+        lineTo(x, y) {
+            current?.points.push(transformPoint(ctm, x, y));
+        },
+        curveTo(x1, y1, x2, y2, x3, y3) {
+            if (!current) return;
+            current.points.push(transformPoint(ctm, x3, y3));
+            current.curved = true;
+        },
+        closePath() {
+            if (current) current.closed = true;
+        },
+    });
+    return subpaths;
+}
+
+/**
+ * Sort a segment from a to b into the horizontal or vertical list, if it is
+ * (nearly) axis-aligned.
+ */
+function addSegment(rulings, [ax, ay], [bx, by]) {
+    if (Math.abs(ay - by) <= AXIS_TOLERANCE && ax !== bx) {
+        rulings.horizontal.push({
+            pos: (ay + by) / 2,
+            start: Math.min(ax, bx),
+            end: Math.max(ax, bx),
+        });
+    } else if (Math.abs(ax - bx) <= AXIS_TOLERANCE && ay !== by) {
+        rulings.vertical.push({
+            pos: (ax + bx) / 2,
+            start: Math.min(ay, by),
+            end: Math.max(ay, by),
+        });
+    }
+}
+
+/**
+ * Add a filled subpath that is a thin axis-aligned rectangle as a rule
+ * along its long side.
+ */
+function addThinRect(rulings, { points, curved }) {
+    const [first, last] = [points[0], points[points.length - 1]];
+    const corners =
+        points.length === 5 && first[0] === last[0] && first[1] === last[1]
+            ? points.slice(0, 4)
+            : points;
+    if (curved || corners.length !== 4) return;
+
+    const xs = corners.map((p) => p[0]);
+    const ys = corners.map((p) => p[1]);
+    const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+    const [y0, y1] = [Math.min(...ys), Math.max(...ys)];
+    const near = (value, a, b) =>
+        Math.abs(value - a) <= AXIS_TOLERANCE ||
+        Math.abs(value - b) <= AXIS_TOLERANCE;
+    const onCorner = ([x, y]) => near(x, x0, x1) && near(y, y0, y1);
+    if (!corners.every(onCorner)) return;
+
+    if (y1 - y0 <= MAX_RULE_THICKNESS && x1 - x0 > y1 - y0) {
+        rulings.horizontal.push({ pos: (y0 + y1) / 2, start: x0, end: x1 });
+    } else if (x1 - x0 <= MAX_RULE_THICKNESS && y1 - y0 > x1 - x0) {
+        rulings.vertical.push({ pos: (x0 + x1) / 2, start: y0, end: y1 });
+    }
+}
+
+/**
+ * Join collinear pieces of a rule, e.g. a grid drawn cell by cell, and
+ * drop what is still too short to be a rule.
+ *
+ * @param {Array<{pos: number, start: number, end: number}>} segments
+ */
+function mergeSegments(segments) {
+    const sorted = [...segments].sort(
+        (a, b) => a.pos - b.pos || a.start - b.start
+    );
+    const merged = []; // ordered by pos, as segments are added in that order
+
+    for (const segment of sorted) {
+        let match = null;
+        for (let i = merged.length - 1; i >= 0; i--) {
+            const m = merged[i];
+            if (m.pos < segment.pos - 1) break;
+            if (
+                segment.start <= m.end + SNAP &&
+                segment.end >= m.start - SNAP
+            ) {
+                match = m;
+                break;
+            }
+        }
+        if (match) {
+            match.start = Math.min(match.start, segment.start);
+            match.end = Math.max(match.end, segment.end);
+        } else {
+            merged.push({ ...segment });
+        }
+    }
+
+    return merged.filter((s) => s.end - s.start >= MIN_RULE_LENGTH);
+}
+
+/**
+ * Find horizontal and vertical ruling lines on a page.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {{horizontal: Array<{y: number, x0: number, x1: number}>, vertical: Array<{x: number, y0: number, y1: number}>}}
+ */
+export function detectRulings(page) {
+    const segments = { horizontal: [], vertical: [] };
+    const isInk = (colorspace, color, alpha) =>
+        alpha >= 0.5 && grayLevel(colorspace, color) <= MAX_INK_GRAY;
+
+    const device = new mupdf.Device({
+        strokePath(path, stroke, ctm, colorspace, color, alpha) {
+            if (!isInk(colorspace, color, alpha)) return;
+            const scale = Math.sqrt(
+                Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2])
+            );
+            if (stroke.getLineWidth() * scale > MAX_RULE_THICKNESS) return;
+
+            for (const { points, closed } of readSubpaths(path, ctm)) {
+                for (let i = 1; i < points.length; i++) {
+                    addSegment(segments, points[i - 1], points[i]);
+                }
+                if (closed && points.length > 2) {
+                    addSegment(segments, points[points.length - 1], points[0]);
+                }
+            }
+        },
+        fillPath(path, evenOdd, ctm, colorspace, color, alpha) {
+            if (!isInk(colorspace, color, alpha)) return;
+            for (const subpath of readSubpaths(path, ctm)) {
+                addThinRect(segments, subpath);
+            }
+        },
+    });
+    try {
+        page.runPageContents(device, mupdf.Matrix.identity);
+        device.close();
+    } finally {
+        device.destroy();
+    }
+
+    return {
+        horizontal: mergeSegments(segments.horizontal).map((s) => ({
+            y: s.pos,
+            x0: s.start,
+            x1: s.end,
+        })),
+        vertical: mergeSegments(segments.vertical).map((s) => ({
+            x: s.pos,
+            y0: s.start,
+            y1: s.end,
+        })),
+    };
+}
+
+/**
+ * Collapse values closer than `tolerance` into one (their mean).
+ */
+function snapValues(values, tolerance = SNAP) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const groups = [];
+    for (const value of sorted) {
+        const last = groups[groups.length - 1];
+        if (last && value - last[last.length - 1] <= tolerance) last.push(value);
+        else groups.push([value]);
+    }
+    return groups.map((g) => g.reduce((a, b) => a + b, 0) / g.length);
+}
+
+const centerX = (word) => (word.rect[0] + word.rect[2]) / 2;
+const centerY = (word) => (word.rect[1] + word.rect[3]) / 2;
+
+/**
+ * Group words into visual rows by vertical overlap, top to bottom.
+ */
+function groupRows(words) {
+    const rows = [];
+    const sorted = [...words].sort((a, b) => centerY(a) - centerY(b));
+
+    for (const word of sorted) {
+        const row = rows[rows.length - 1];
+        const h = word.rect[3] - word.rect[1];
+        if (row && Math.abs(centerY(word) - row.cy) < Math.min(h, row.h) * 0.5) {
+            row.words.push(word);
+            row.y0 = Math.min(row.y0, word.rect[1]);
+            row.y1 = Math.max(row.y1, word.rect[3]);
+        } else {
+            rows.push({
+                cy: centerY(word),
+                h,
+                y0: word.rect[1],
+                y1: word.rect[3],
+                words: [word],
+            });
+        }
+    }
+
+    for (const row of rows) row.words.sort((a, b) => a.rect[0] - b.rect[0]);
+    return rows;
+}
+
+/**
+ * Split a row into segments separated by gaps wider than a normal word space.
+ */
+function rowSegments(row) {
+    const segments = [];
+    for (const word of row.words) {
+        const last = segments[segments.length - 1];
+        if (last && word.rect[0] - last.x1 < word.size * 0.9) {
+            last.words.push(word);
+            last.x1 = Math.max(last.x1, word.rect[2]);
+        } else {
+            segments.push({ x0: word.rect[0], x1: word.rect[2], words: [word] });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Infer column boundaries from the horizontal extent of row segments.
+ * Overlapping segments from different rows belong to the same column.
+ *
+ * @returns {number[]} Inner boundaries (x positions between columns)
+ */
+function inferColumnBoundaries(rows) {
+    const intervals = rows
+        .flatMap((row) => rowSegments(row))
+        .map((s) => [s.x0, s.x1])
+        .sort((a, b) => a[0] - b[0]);
+
+    const columns = [];
+    for (const [x0, x1] of intervals) {
+        const last = columns[columns.length - 1];
+        if (last && x0 <= last[1] + 1) last[1] = Math.max(last[1], x1);
+        else columns.push([x0, x1]);
+    }
+
+    const boundaries = [];
+    for (let i = 1; i < columns.length; i++) {
+        boundaries.push((columns[i - 1][1] + columns[i][0]) / 2);
+    }
+    return boundaries;
+}
+
+/**
+ * Join the words that fall into one cell, in reading order.
+ */
+function cellText(words) {
+    return groupRows(words)
+        .map((row) => row.words.map((w) => w.text).join(" "))
+        .join(" ");
+}
+
+/**
+ * Distribute words into a grid given row and column boundaries.
+ *
+ * @param {number[]} ys - Row boundaries including the outer edges, ascending
+ * @param {number[]} xs - Column boundaries including the outer edges, ascending
+ */
+function fillGrid(words, ys, xs) {
+    const buckets = Array.from({ length: ys.length - 1 }, () =>
+        Array.from({ length: xs.length - 1 }, () => [])
+    );
+
+    for (const word of words) {
+        const cx = centerX(word);
+        const cy = centerY(word);
+        const r = ys.findIndex((y, i) => i < ys.length - 1 && cy >= y && cy < ys[i + 1]);
+        const c = xs.findIndex((x, i) => i < xs.length - 1 && cx >= x && cx < xs[i + 1]);
+        if (r >= 0 && c >= 0) buckets[r][c].push(word);
+    }
+
+    return buckets
+        .map((row) => row.map(cellText))
+        .filter((row) => row.some((cell) => cell));
+}
+
+const insideRect = (word, rect) =>
+    centerX(word) >= rect[0] &&
+    centerX(word) <= rect[2] &&
+    centerY(word) >= rect[1] &&
+    centerY(word) <= rect[3];
+
+/**
+ * Find regions bounded by ruling lines.
+ *
+ * Horizontal and vertical rules that cross form a grid. Horizontal rules of
+ * the same width stacked closely above each other (top/middle/bottom rules
+ * without verticals) also form a region.
+ *
+ * @returns {Array<{rect: number[], rowLines: number[], columnLines: number[]}>}
+ */
+function findRuledRegions(rulings) {
+    const { horizontal, vertical } = rulings;
+    const rules = [
+        ...horizontal.map((h) => ({ kind: "h", ...h })),
+        ...vertical.map((v) => ({ kind: "v", ...v })),
+    ];
+    const parent = rules.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => {
+        parent[find(a)] = find(b);
+    };
+
+    rules.forEach((a, i) => {
+        rules.forEach((b, j) => {
+            if (j <= i) return;
+            if (a.kind !== b.kind) {
+                const h = a.kind === "h" ? a : b;
+                const v = a.kind === "h" ? b : a;
+                if (
+                    v.x >= h.x0 - SNAP &&
+                    v.x <= h.x1 + SNAP &&
+                    h.y >= v.y0 - SNAP &&
+                    h.y <= v.y1 + SNAP
+                ) {
+                    union(i, j);
+                }
+            } else if (
+                a.kind === "h" &&
+                Math.abs(a.x0 - b.x0) <= SNAP * 2 &&
+                Math.abs(a.x1 - b.x1) <= SNAP * 2 &&
+                Math.abs(a.y - b.y) <= 150
+            ) {
+                union(i, j);
+            }
+        });
+    });
+
+    const groups = new Map();
+    rules.forEach((rule, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(rule);
+    });
+
+    const regions = [];
+    for (const group of groups.values()) {
+        const hs = group.filter((r) => r.kind === "h");
+        const vs = group.filter((r) => r.kind === "v");
+        if (hs.length < 2) continue;
+
+        const rect = [
+            Math.min(...hs.map((h) => h.x0), ...vs.map((v) => v.x)),
+            Math.min(...hs.map((h) => h.y)),
+            Math.max(...hs.map((h) => h.x1), ...vs.map((v) => v.x)),
+            Math.max(...hs.map((h) => h.y)),
+        ];
+        regions.push({
+            rect,
+            rowLines: snapValues(hs.map((h) => h.y)),
+            columnLines: snapValues(vs.map((v) => v.x)),
+        });
+    }
+    return regions;
+}
+
+/**
+ * Build a table from a ruled region, falling back to text alignment for
+ * whichever axis has no inner rules.
+ */
+function tableFromRegion(region, words) {
+    const { rect } = region;
+    const inside = words.filter((w) => insideRect(w, rect));
+    if (inside.length === 0) return null;
+
+    const rows = groupRows(inside);
+    let xs = region.columnLines.filter(
+        (x) => x > rect[0] + SNAP && x < rect[2] - SNAP
+    );
+    let ys = region.rowLines;
+
+    if (xs.length === 0) {
+        // Horizontal rules only (e.g. top, header and bottom rules): columns
+        // follow the text alignment, and every text line is a row
+        xs = inferColumnBoundaries(rows);
+        const textLines = [];
+        for (let i = 1; i < rows.length; i++) {
+            textLines.push((rows[i - 1].y1 + rows[i].y0) / 2);
+        }
+        ys = snapValues([...ys, ...textLines]);
+    }
+    xs = [rect[0] - SNAP, ...xs, rect[2] + SNAP];
+
+    const cells = fillGrid(inside, ys, xs);
+    if (cells.length < 2 || xs.length < 3) return null;
+
+    return { rect, method: "ruled", cells, words: inside };
+}
+
+/**
+ * Find tables without ruling lines: runs of consecutive rows whose text
+ * splits into the same columns.
+ */
+function findAlignedTables(words) {
+    const rows = groupRows(words);
+    const tables = [];
+    let run = [];
+
+    const closeRun = () => {
+        if (run.length >= 3) {
+            const table = tableFromAlignedRows(run);
+            if (table) tables.push(table);
+        }
+        run = [];
+    };
+
+    for (const row of rows) {
+        const segments = rowSegments(row);
+        const previous = run[run.length - 1];
+        const closeEnough =
+            !previous || row.y0 - previous.y1 <= (row.y1 - row.y0) * 2;
+
+        if (segments.length >= 2 && closeEnough) {
+            run.push(row);
+        } else {
+            closeRun();
+            if (segments.length >= 2) run.push(row);
+        }
+    }
+    closeRun();
+
+    return tables;
+}
+
+function tableFromAlignedRows(rows) {
+    const boundaries = inferColumnBoundaries(rows);
+    if (boundaries.length === 0) return null;
+
+    // Prose laid out in columns is not a table: cells hold only a few words
+    const segments = rows.flatMap((row) => rowSegments(row));
+    const wordsPerSegment =
+        segments.reduce((n, s) => n + s.words.length, 0) / segments.length;
+    if (wordsPerSegment > 6) return null;
+
+    // Most rows should fill every column
+    const columnCount = boundaries.length + 1;
+    const fullRows = rows.filter(
+        (row) => rowSegments(row).length >= columnCount - 1
+    ).length;
+    if (fullRows < rows.length * 0.5) return null;
+
+    const words = rows.flatMap((row) => row.words);
+    const rect = [
+        Math.min(...words.map((w) => w.rect[0])),
+        Math.min(...rows.map((r) => r.y0)),
+        Math.max(...words.map((w) => w.rect[2])),
+        Math.max(...rows.map((r) => r.y1)),
+    ];
+    const ys = [rect[1] - 1];
+    for (let i = 1; i < rows.length; i++) {
+        ys.push((rows[i - 1].y1 + rows[i].y0) / 2);
+    }
+    ys.push(rect[3] + 1);
+    const xs = [rect[0] - 1, ...boundaries, rect[2] + 1];
+
+    return { rect, method: "aligned", cells: fillGrid(words, ys, xs), words };
+}
+
+/**
+ * Detect the tables on a page.
+ *
+ * @param {object} page - A loaded mupdf page
+ * @returns {Array<{bbox: object, method: "ruled"|"aligned", rows: number, columns: number, cells: string[][]}>}
+ */
+export function findTables(page) {
+    const words = readPageWords(page);
+    const rulings = detectRulings(page);
+
+    // Short vertical "rules" inside a word are strokes of text drawn as paths
+    rulings.vertical = rulings.vertical.filter(
+        (v) =>
+            !words.some(
+                (w) =>
+                    v.x >= w.rect[0] &&
+                    v.x <= w.rect[2] &&
+                    v.y0 >= w.rect[1] - SNAP &&
+                    v.y1 <= w.rect[3] + SNAP
+            )
+    );
+
+    const found = [];
+    for (const region of findRuledRegions(rulings)) {
+        const table = tableFromRegion(region, words);
+        if (table) found.push(table);
+    }
+
+    const used = new Set(found.flatMap((t) => t.words));
+    found.push(...findAlignedTables(words.filter((w) => !used.has(w))));
+
+    return found
+        .sort((a, b) => a.rect[1] - b.rect[1] || a.rect[0] - b.rect[0])
+        .map((table) => ({
+            bbox: toBBox(table.rect),
+            method: table.method,
+            rows: table.cells.length,
+            columns: Math.max(...table.cells.map((row) => row.length)),
+            cells: table.cells,
+        }));
+}
+
+/**
+ * Serialize a table's cells as CSV (RFC 4180 quoting).
+ */
+export function tableToCSV(cells) {
+    return cells
+        .map((row) =>
+            row
+                .map((cell) =>
+                    /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+                )
+                .join(",")
+        )
+        .join("\n");
+}
+
+/**
+ * Serialize a table's cells as a Markdown pipe table; the first row is the header.
+ */
+export function tableToMarkdown(cells) {
+    const escape = (cell) => cell.replace(/\|/g, "\\|");
+    const columns = Math.max(...cells.map((row) => row.length));
+    const line = (row) =>
+        `| ${Array.from({ length: columns }, (_, i) => escape(row[i] || "")).join(" | ")} |`;
+
+    return [
+        line(cells[0]),
+        `| ${Array(columns).fill("---").join(" | ")} |`,
+        ...cells.slice(1).map(line),
+    ].join("\n");
+}
@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    globToRegExp,
+    expandInputs,
+    mirrorPath,
+    runBatch,
+} from "../batch.js";
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-test-"));
+    for (const file of [
+        "a.pdf",
+        "b.PDF",
+        "notes.txt",
+        "book.epub",
+        "photo.png",
+        ".hidden.pdf",
+        "2024/03/invoice-17.pdf",
+        "2024/04/invoice-18.pdf",
+    ]) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), "");
+    }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const names = (entries) =>
+    entries.map((entry) =>
+        path.relative(dir, entry.file).split(path.sep).join("/")
+    );
+
+test("globToRegExp supports *, **, ?, classes and braces", () => {
+    assert.ok(globToRegExp("*.pdf").test("a.pdf"));
+    assert.ok(!globToRegExp("*.pdf").test("2024/a.pdf"));
+    assert.ok(globToRegExp("**/*.pdf").test("a.pdf"));
+    assert.ok(globToRegExp("**/*.pdf").test("2024/03/a.pdf"));
+    assert.ok(globToRegExp("invoice-1?.pdf").test("invoice-17.pdf"));
+    assert.ok(globToRegExp("[ab].pdf").test("b.pdf"));
+    assert.ok(!globToRegExp("[!ab].pdf").test("b.pdf"));
+    assert.ok(globToRegExp("*.{pdf,epub}").test("book.epub"));
+    assert.ok(!globToRegExp("a.pdf").test("aXpdf"));
+});
+
+test("directories contribute their documents, not pictures or hidden files", () => {
+    assert.deepEqual(names(expandInputs([dir])), [
+        "a.pdf",
+        "b.PDF",
+        "book.epub",
+    ]);
+    assert.deepEqual(names(expandInputs([dir], { recursive: true })), [
+        "2024/03/invoice-17.pdf",
+        "2024/04/invoice-18.pdf",
+        "a.pdf",
+        "b.PDF",
+        "book.epub",
+    ]);
+});
+
+test("files are taken as is and listed once", () => {
+    const photo = path.join(dir, "photo.png");
+    const entries = expandInputs([photo, path.join(dir, "a.pdf"), photo]);
+    assert.deepEqual(names(entries), ["photo.png", "a.pdf"]);
+    assert.equal(entries[0].base, dir);
+});
+
+test("globs are expanded from their longest literal directory", () => {
+    const glob = path.join(dir, "2024", "*", "invoice-*.pdf");
+    const entries = expandInputs([glob]);
+    assert.deepEqual(names(entries), [
+        "2024/03/invoice-17.pdf",
+        "2024/04/invoice-18.pdf",
+    ]);
+    assert.equal(entries[0].base, path.join(dir, "2024"));
+    assert.throws(
+        () => expandInputs([path.join(dir, "*.xps")]),
+        /No files match/
+    );
+    assert.throws(
+        () => expandInputs([path.join(dir, "missing.pdf")]),
+        /No such file or directory/
+    );
+});
+
+test("mirrorPath keeps the layout below the base", () => {
+    const entry = {
+        file: path.join(dir, "2024", "03", "invoice-17.pdf"),
+        base: dir,
+    };
+    assert.equal(
+        mirrorPath(entry, path.join(dir, "out")),
+        path.join(dir, "out", "2024", "03", "invoice-17")
+    );
+});
+
+test("runBatch stops after an error unless told to continue", async () => {
+    const entries = ["a", "b", "c"].map((file) => ({ file, base: "." }));
+    const processFile = async ({ file }) => {
+        if (file === "a") throw new Error("broken");
+        return { pages: 1 };
+    };
+
+    const stopped = await runBatch(entries, processFile, { concurrency: 1 });
+    assert.deepEqual(
+        stopped.map((record) => record.status),
+        ["error", "skipped", "skipped"]
+    );
+    assert.equal(stopped[0].error, "broken");
+
+    const all = await runBatch(entries, processFile, {
+        concurrency: 2,
+        continueOnError: true,
+    });
+    assert.deepEqual(
+        all.map((record) => [record.status, record.pages]),
+        [["error", undefined], ["ok", 1], ["ok", 1]]
+    );
+});
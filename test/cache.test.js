@@ -0,0 +1,81 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureCache, clearCache, getDocument } from "../cache.js";
+
+/** Opens fake documents that record whether they were destroyed */
+function opener() {
+    const opened = [];
+    const open = (data) => {
+        const doc = {
+            data,
+            destroyed: false,
+            destroy() {
+                this.destroyed = true;
+            },
+        };
+        opened.push(doc);
+        return doc;
+    };
+    return { open, opened };
+}
+
+const source = (name) => ({ hash: name, data: Buffer.from(name) });
+
+beforeEach(() => {
+    configureCache({ enabled: true, maxDocuments: 1, dir: null });
+    clearCache();
+});
+
+test("a cached document is shared and reopened only after eviction", () => {
+    const { open, opened } = opener();
+    const a = getDocument(source("a"), undefined, open);
+    a.release();
+    const again = getDocument(source("a"), undefined, open);
+    assert.equal(again.doc, a.doc);
+    again.release();
+
+    getDocument(source("b"), undefined, open).release();
+    assert.equal(opened[0].destroyed, true);
+    assert.equal(opened.length, 2);
+});
+
+test("an evicted document stays open until its last user releases it", () => {
+    const { open, opened } = opener();
+    const first = getDocument(source("a"), undefined, open);
+    const second = getDocument(source("a"), undefined, open);
+
+    const other = getDocument(source("b"), undefined, open);
+    assert.equal(opened[0].destroyed, false);
+
+    first.release();
+    first.release(); // releasing twice counts once
+    assert.equal(opened[0].destroyed, false);
+    second.release();
+    assert.equal(opened[0].destroyed, true);
+
+    clearCache();
+    assert.equal(opened[1].destroyed, false);
+    other.release();
+    assert.equal(opened[1].destroyed, true);
+});
+
+test("passwords and variants are cached separately", () => {
+    const { open, opened } = opener();
+    configureCache({ maxDocuments: 8 });
+    getDocument(source("a"), undefined, open).release();
+    getDocument(source("a"), "secret", open).release();
+    getDocument(source("a"), undefined, open, "A4").release();
+    assert.equal(opened.length, 3);
+});
+
+test("without the cache every checkout opens and frees its own document", () => {
+    const { open, opened } = opener();
+    configureCache({ enabled: false });
+    const a = getDocument(source("a"), undefined, open);
+    const b = getDocument(source("a"), undefined, open);
+    assert.notEqual(a.doc, b.doc);
+    a.release();
+    assert.equal(opened[0].destroyed, true);
+    assert.equal(opened[1].destroyed, false);
+    b.release();
+});
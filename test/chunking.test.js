@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    splitText,
+    textUnit,
+    createBudget,
+    fingerprint,
+    encodeCursor,
+    decodeCursor,
+    fillChunk,
+} from "../chunking.js";
+
+test("splitText prefers paragraph, then line boundaries", () => {
+    const text = "aaaa aaaa\n\nbbbb\ncccc\n\ndd";
+    assert.deepEqual(splitText(text, 100), [text]);
+    // 3 tokens are 12 characters: whole paragraphs fit
+    assert.deepEqual(splitText(text, 3), ["aaaa aaaa", "bbbb\ncccc", "dd"]);
+    // 8 characters: lines are split, and a long line is cut
+    assert.deepEqual(splitText(text, 2), [
+        "aaaa aaa",
+        "a",
+        "bbbb",
+        "cccc\n\ndd",
+    ]);
+});
+
+test("budgets always take the first unit and stop at the limit", () => {
+    const budget = createBudget({ maxTokens: 5 });
+    assert.equal(budget.take(textUnit(1, "x".repeat(40))), true);
+    assert.equal(budget.take(textUnit(1, "x")), false);
+
+    const bytes = createBudget({ maxBytes: 10 });
+    assert.equal(bytes.take(textUnit(1, "12345")), true);
+    assert.equal(bytes.take(textUnit(1, "12345")), true);
+    assert.equal(bytes.take(textUnit(1, "1")), false);
+
+    assert.throws(() => createBudget({ maxTokens: 0 }), /positive number/);
+});
+
+test("cursors round-trip and are bound to their request", () => {
+    const f = fingerprint("doc-hash", "1-3");
+    const cursor = encodeCursor(f, 2, 1);
+    assert.deepEqual(decodeCursor(cursor, f), { page: 2, unit: 1 });
+    assert.equal(decodeCursor(undefined, f), null);
+    assert.throws(
+        () => decodeCursor(cursor, fingerprint("doc-hash", "4-5")),
+        /does not match/
+    );
+    assert.throws(() => decodeCursor("not a cursor", f), /Invalid cursor/);
+});
+
+test("fillChunk pages through all units without gaps or repeats", async () => {
+    const pages = [1, 2, 3];
+    const loadUnits = async (page) =>
+        ["a", "b", "c"].map((u) => textUnit(page, `${page}${u}`.repeat(4)));
+    const f = fingerprint("doc");
+
+    const seen = [];
+    let start = null;
+    for (let round = 0; round < 20; round++) {
+        const budget = createBudget({ maxTokens: 5 });
+        const { units, nextCursor } = await fillChunk(
+            pages,
+            loadUnits,
+            budget,
+            start,
+            f
+        );
+        seen.push(...units.map((u) => u.content.text.slice(0, 2)));
+        if (!nextCursor) break;
+        start = decodeCursor(nextCursor, f);
+    }
+
+    assert.deepEqual(seen, [
+        "1a", "1b", "1c", "2a", "2b", "2c", "3a", "3b", "3c",
+    ]);
+});
+
+test("fillChunk rejects a cursor for a page not in the selection", async () => {
+    const outside = { page: 7, unit: 0 };
+    await assert.rejects(
+        fillChunk([1, 2], async () => [], createBudget(), outside, "f"),
+        /Invalid cursor/
+    );
+});
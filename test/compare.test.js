@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSequences, joinParagraphs, diffParagraphs } from "../compare.js";
+
+// Replay an edit script and check it turns a into b
+const apply = (a, b, ops) => {
+    const out = [];
+    for (const op of ops) {
+        if (op.type === "equal") {
+            assert.equal(a[op.a], b[op.b]);
+            out.push(a[op.a]);
+        } else if (op.type === "insert") {
+            out.push(b[op.b]);
+        }
+    }
+    assert.deepEqual(out, b);
+    assert.equal(ops.filter((op) => op.type !== "insert").length, a.length);
+};
+
+const paragraph = (text, page, y, height = 10) => ({
+    text,
+    pages: [page],
+    bbox: { x: 50, y, w: 400, h: height },
+});
+
+const version = (texts) => texts.map((text) => ({ key: text, text, pages: [1] }));
+
+test("diffSequences finds the shortest edit script", () => {
+    const a = "the quick brown fox jumps".split(" ");
+    const b = "the slow brown fox jumps high".split(" ");
+    const ops = diffSequences(a, b);
+    apply(a, b, ops);
+    assert.deepEqual(
+        ops.map((op) => op.type),
+        ["equal", "delete", "insert", "equal", "equal", "equal", "insert"]
+    );
+    assert.deepEqual(diffSequences([], []), []);
+    apply([], ["x"], diffSequences([], ["x"]));
+});
+
+test("diffSequences gives up on a minimal script past maxEdits", () => {
+    const a = ["a", "b", "c", "d", "e", "f", "g"];
+    const b = ["a", "x", "c", "y", "e", "z", "g"];
+    const ops = diffSequences(a, b, 2);
+    apply(a, b, ops);
+    // Still a valid script, with the rest counted as deleted and inserted
+    const edits = ops.filter((op) => op.type !== "equal").length;
+    assert.ok(edits > diffSequences(a, b).filter((op) => op.type !== "equal").length);
+    assert.deepEqual(ops[0], { type: "equal", a: 0, b: 0 });
+    assert.deepEqual(ops[ops.length - 1], { type: "equal", a: 6, b: 6 });
+});
+
+test("joinParagraphs drops running headers and page numbers", () => {
+    const pages = [1, 2, 3].map((page) => ({
+        height: 800,
+        paragraphs: [
+            paragraph("ACME Master Agreement", page, 10),
+            paragraph(`Body of page ${page}.`, page, 300),
+            paragraph(`Page ${page} of 3`, page, 780),
+        ],
+    }));
+    assert.deepEqual(
+        joinParagraphs(pages).map((p) => p.text),
+        ["Body of page 1.", "Body of page 2.", "Body of page 3."]
+    );
+    assert.equal(
+        joinParagraphs(pages, { keepHeadersFooters: true }).length,
+        9
+    );
+});
+
+test("joinParagraphs keeps numbered text and edges that do not repeat", () => {
+    const pages = [1, 2].map((page) => ({
+        height: 800,
+        paragraphs: [
+            // Section numbers differ, so this is content, not a header
+            paragraph(`Section ${page}: Terms`, page, 10),
+            paragraph(`Body of page ${page}.`, page, 300),
+            // Same text, but at the top on one page and the bottom on the other
+            paragraph("Confidential", page, page === 1 ? 20 : 780),
+        ],
+    }));
+    assert.deepEqual(
+        joinParagraphs(pages).map((p) => p.text),
+        [
+            "Section 1: Terms",
+            "Body of page 1.",
+            "Confidential",
+            "Section 2: Terms",
+            "Body of page 2.",
+            "Confidential",
+        ]
+    );
+});
+
+test("joinParagraphs joins a paragraph continued on the next page", () => {
+    const pages = [
+        { height: 800, paragraphs: [paragraph("The parties agree that", 1, 300)] },
+        { height: 800, paragraphs: [paragraph("payment is due monthly.", 2, 300)] },
+    ];
+    const joined = joinParagraphs(pages);
+    assert.equal(joined.length, 1);
+    assert.equal(joined[0].text, "The parties agree that payment is due monthly.");
+    assert.deepEqual(joined[0].pages, [1, 2]);
+});
+
+test("diffParagraphs pairs similar paragraphs as changed", () => {
+    const before = version([
+        "Intro.",
+        "Payment is due within 30 days of the invoice date.",
+        "Old clause.",
+    ]);
+    const after = version([
+        "Intro.",
+        "Payment is due within 45 days of the invoice date.",
+        "Brand new text entirely.",
+    ]);
+    const { changes, matches } = diffParagraphs(before, after);
+    assert.deepEqual(matches, [{ a: 0, b: 0 }]);
+    assert.deepEqual(
+        changes.map((change) => change.type),
+        ["changed", "removed", "added"]
+    );
+    assert.deepEqual(changes[0].words, [
+        { type: "equal", text: "Payment is due within" },
+        { type: "removed", text: "30" },
+        { type: "added", text: "45" },
+        { type: "equal", text: "days of the invoice date." },
+    ]);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectFormat, parsePageSize, isDocumentName } from "../formats.js";
+
+const bytes = (text) => Buffer.from(text, "latin1");
+// A ZIP archive whose first entry is `name` holding `content`
+const zip = (name, content = "") =>
+    bytes(`PK\x03\x04${"\0".repeat(26)}${name}${content}`);
+const id = (head, hints) => detectFormat(head, hints)?.id ?? null;
+
+test("detectFormat recognizes signatures", () => {
+    assert.equal(id(bytes("%PDF-1.7\n")), "pdf");
+    assert.equal(id(bytes(`junk\n%PDF-1.4\n`)), "pdf");
+    assert.equal(id(bytes("\x89PNG\r\n\x1a\n")), "png");
+    assert.equal(id(bytes("\xFF\xD8\xFF\xE0")), "jpeg");
+    assert.equal(id(bytes("GIF89a")), "gif");
+    assert.equal(id(bytes("II*\0")), "tiff");
+    assert.equal(id(bytes("MM\0*")), "tiff");
+    assert.equal(id(bytes(`${"\0".repeat(60)}BOOKMOBI`)), "mobi");
+    assert.equal(
+        id(bytes('<?xml version="1.0"?>\n<FictionBook xmlns="x">')),
+        "fb2"
+    );
+});
+
+test("detectFormat tells ZIP-based formats apart", () => {
+    const epub = detectFormat(zip("mimetype", "application/epub+zip"));
+    assert.deepEqual(epub, {
+        id: "epub",
+        name: "EPUB",
+        mimeType: "application/epub+zip",
+        reflowable: true,
+    });
+    assert.equal(id(zip("Documents/1/Pages/1.fpage")), "xps");
+    assert.equal(id(zip("page001.jpg")), "cbz");
+    // The declared type decides when the content does not
+    assert.equal(id(zip("page001.jpg"), { name: "book.xps" }), "xps");
+    assert.equal(
+        id(zip("page001.jpg"), { mimeType: "application/epub+zip" }),
+        "epub"
+    );
+});
+
+test("detectFormat falls back to hints only for damaged PDFs", () => {
+    assert.equal(id(bytes("garbage"), { name: "broken.pdf" }), "pdf");
+    assert.equal(
+        id(bytes("garbage"), { mimeType: "application/pdf; charset=binary" }),
+        "pdf"
+    );
+    // E.g. an HTML login page served instead of the document
+    assert.equal(id(bytes("<!DOCTYPE html>"), { name: "scan.png" }), null);
+    assert.equal(id(bytes("<!DOCTYPE html>")), null);
+});
+
+test("parsePageSize reads names and WIDTHxHEIGHT", () => {
+    assert.deepEqual(parsePageSize("A4"), {
+        width: 595,
+        height: 842,
+        fontSize: 11,
+    });
+    assert.deepEqual(parsePageSize("letter"), {
+        width: 612,
+        height: 792,
+        fontSize: 11,
+    });
+    assert.deepEqual(parsePageSize(" 360 x 640.5 "), {
+        width: 360,
+        height: 640.5,
+        fontSize: 11,
+    });
+});
+
+test("parsePageSize rejects unknown and out-of-range sizes", () => {
+    assert.throws(() => parsePageSize("B5"), /Invalid page size "B5"/);
+    assert.throws(() => parsePageSize("10x10"), /72-14400/);
+    assert.throws(() => parsePageSize("20000x800"), /Invalid page size/);
+});
+
+test("isDocumentName skips pictures", () => {
+    assert.equal(isDocumentName("report.PDF"), true);
+    assert.equal(isDocumentName("book.epub"), true);
+    assert.equal(isDocumentName("scan.tiff"), true);
+    assert.equal(isDocumentName("photo.jpg"), false);
+    assert.equal(isDocumentName("notes.txt"), false);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PDFDocument } from "pdf-lib";
+import * as mupdf from "mupdf";
+
+const run = promisify(execFile);
+
+/** A one-page PDF with a filled text field, encrypted with a user password */
+async function encryptedForm(password) {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([300, 300]);
+    const field = pdf.getForm().createTextField("name");
+    field.setText("Ada");
+    field.addToPage(page, { x: 50, y: 200, width: 150, height: 20 });
+    const doc = mupdf.Document.openDocument(await pdf.save(), "application/pdf");
+    return doc
+        .saveToBuffer(`encrypt=aes-256,user-password=${password}`)
+        .asUint8Array();
+}
+
+test("extractForm reads encrypted forms without warnings", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "forms-"));
+    try {
+        const file = path.join(dir, "form.pdf");
+        fs.writeFileSync(file, await encryptedForm("secret"));
+        // mupdf prints its warnings straight to stderr, so run in a child
+        const script = `
+            import { extractForm } from ${JSON.stringify(
+                new URL("../extract_pdf.js", import.meta.url).href
+            )};
+            const { fields } = await extractForm(process.argv[1], {
+                password: "secret",
+            });
+            console.log(JSON.stringify(fields));`;
+        const { stdout, stderr } = await run(process.execPath, [
+            "--input-type=module",
+            "-e",
+            script,
+            file,
+        ]);
+        const [field] = JSON.parse(stdout);
+        assert.equal(field.name, "name");
+        assert.equal(field.value, "Ada");
+        assert.equal(stderr, "");
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
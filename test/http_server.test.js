@@ -0,0 +1,112 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { startHttpServer } from "../http_server.js";
+
+async function freePort() {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    return port;
+}
+
+const port = await freePort();
+const { close } = await startHttpServer(
+    () => new McpServer({ name: "test", version: "1.0.0" }),
+    {
+        port,
+        host: "127.0.0.1",
+        allowedHosts: ["pdf.internal"],
+        allowedOrigins: ["https://app.example.com"],
+        // Request bodies up to 2 × 4/3 KB of base64, plus 1 MB
+        maxDocumentBytes: 1024,
+        info: { name: "test", version: "1.0.0" },
+    }
+);
+after(close);
+
+/** POST an initialize request with the given headers; resolves to the status */
+function initialize(headers, clientName = "test") {
+    const body = JSON.stringify({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "initialize",
+        params: {
+            protocolVersion: "2025-03-26",
+            capabilities: {},
+            clientInfo: { name: clientName, version: "1.0.0" },
+        },
+    });
+    return new Promise((resolve, reject) => {
+        const req = http.request(
+            {
+                port,
+                host: "127.0.0.1",
+                method: "POST",
+                path: "/mcp",
+                headers: {
+                    "Content-Type": "application/json",
+                    Accept: "application/json, text/event-stream",
+                    ...headers,
+                },
+            },
+            (res) => {
+                res.resume();
+                resolve(res.statusCode);
+            }
+        );
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+test("local and allowed host names are accepted", async () => {
+    assert.equal(await initialize({ Host: `localhost:${port}` }), 200);
+    assert.equal(await initialize({ Host: `127.0.0.1:${port}` }), 200);
+    assert.equal(await initialize({ Host: "pdf.internal" }), 200);
+});
+
+test("other host names are refused (DNS rebinding)", async () => {
+    assert.equal(await initialize({ Host: `evil.example:${port}` }), 403);
+});
+
+test("browser origins must be allowed", async () => {
+    const host = `localhost:${port}`;
+    const own = `http://${host}`;
+    assert.equal(await initialize({ Host: host, Origin: own }), 200);
+    assert.equal(
+        await initialize({ Host: host, Origin: "https://app.example.com" }),
+        200
+    );
+    assert.equal(
+        await initialize({ Host: host, Origin: "https://evil.example" }),
+        403
+    );
+});
+
+test("the health check needs no allowed host", async () => {
+    const status = await new Promise((resolve, reject) => {
+        const options = {
+            port,
+            host: "127.0.0.1",
+            path: "/health",
+            headers: { Host: "10.0.0.5" },
+        };
+        http.get(options, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        }).on("error", reject);
+    });
+    assert.equal(status, 200);
+});
+
+test("request bodies are limited by the document size", async () => {
+    const host = `localhost:${port}`;
+    const fits = "x".repeat(1024 * 1024);
+    assert.equal(await initialize({ Host: host }, fits), 200);
+    const tooLarge = "x".repeat(1024 * 1024 + 4096);
+    assert.equal(await initialize({ Host: host }, tooLarge), 413);
+});
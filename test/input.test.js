@@ -0,0 +1,138 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { PDFDocument } from "pdf-lib";
+import { openPdfInput, readInputData } from "../input.js";
+import { checkUrl, checkAddress } from "../sandbox.js";
+
+const pdf = Buffer.from(await (await PDFDocument.create()).save());
+
+// Serves the PDF at /doc.pdf; /to?url redirects to url; /loop redirects forever
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname === "/doc.pdf") {
+        res.writeHead(200, { "Content-Type": "application/pdf" });
+        res.end(pdf);
+    } else if (url.pathname === "/to") {
+        res.writeHead(302, { Location: url.search.slice(1) });
+        res.end();
+    } else if (url.pathname === "/loop") {
+        res.writeHead(301, { Location: "/loop" });
+        res.end();
+    } else {
+        res.writeHead(404);
+        res.end();
+    }
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+after(() => server.close());
+const { port } = server.address();
+const base = `http://127.0.0.1:${port}`;
+
+/** Download options with the checks of a sandbox, as the MCP server sets them */
+const checked = (urlHosts) => {
+    const sandbox = { urlHosts };
+    return {
+        checkUrl: (url) => checkUrl(url, sandbox),
+        checkAddress: (hostname, address) =>
+            checkAddress(hostname, address, sandbox),
+    };
+};
+
+test("data URIs and buffers are read into memory", async () => {
+    const uri = `data:application/pdf;base64,${pdf.toString("base64")}`;
+    const input = await openPdfInput(uri, { name: "<pdfBase64>" });
+    assert.equal(input.file, "<pdfBase64>");
+    assert.equal(input.format.id, "pdf");
+    assert.deepEqual(readInputData(input), pdf);
+
+    assert.equal((await openPdfInput(pdf)).file, "<buffer>");
+    await assert.rejects(
+        openPdfInput(uri, { maxBytes: 100 }),
+        /larger than the limit/
+    );
+    await assert.rejects(
+        openPdfInput("data:text/plain,hello"),
+        /not a PDF or another supported document/
+    );
+});
+
+test("downloads follow redirects", async () => {
+    const input = await openPdfInput(`${base}/to?${base}/doc.pdf`);
+    assert.equal(input.stem, "to");
+    assert.deepEqual(readInputData(input), pdf);
+    await assert.rejects(openPdfInput(`${base}/loop`), /more than 5 redirects/);
+    await assert.rejects(openPdfInput(`${base}/missing.pdf`), /HTTP 404/);
+});
+
+test("local addresses are refused unless the host is allowed", async () => {
+    await assert.rejects(
+        openPdfInput(`${base}/doc.pdf`, checked([])),
+        /127\.0\.0\.1 \(127\.0\.0\.1\) is a local or private network address/
+    );
+    // Checked after the DNS lookup, too
+    await assert.rejects(
+        openPdfInput(`http://localhost:${port}/doc.pdf`, checked([])),
+        /localhost \(.*\) is a local or private network address/
+    );
+    const input = await openPdfInput(
+        `${base}/doc.pdf`,
+        checked(["127.0.0.1"])
+    );
+    assert.deepEqual(readInputData(input), pdf);
+});
+
+test("every redirect is checked", async () => {
+    // Allowed host, redirected to one that is not
+    await assert.rejects(
+        openPdfInput(
+            `${base}/to?http://localhost:${port}/doc.pdf`,
+            checked(["127.0.0.1"])
+        ),
+        /Downloading from localhost is not allowed/
+    );
+    await assert.rejects(
+        openPdfInput(`${base}/to?file:///etc/passwd`),
+        /redirected to file: URL/
+    );
+});
+
+test("checkAddress refuses local and private networks", () => {
+    const sandbox = { urlHosts: [] };
+    for (const address of [
+        "127.0.0.1",
+        "10.1.2.3",
+        "172.16.5.4",
+        "192.168.1.1",
+        "169.254.169.254",
+        "0.0.0.0",
+        "::1",
+        "fe80::1",
+        "fd12::1",
+        "::ffff:127.0.0.1",
+    ]) {
+        assert.throws(
+            () => checkAddress("host", address, sandbox),
+            /local or private/
+        );
+    }
+    for (const address of ["93.184.216.34", "172.32.0.1", "2606:4700::1"]) {
+        checkAddress("host", address, sandbox);
+    }
+    checkAddress("Intranet", "10.0.0.1", { urlHosts: ["intranet"] });
+});
+
+test("checkUrl allows http(s) URLs to the listed hosts", () => {
+    assert.equal(
+        checkUrl("https://arxiv.org/pdf/1", { urlHosts: [] }),
+        "https://arxiv.org/pdf/1"
+    );
+    assert.throws(
+        () => checkUrl("file:///etc/passwd", { urlHosts: [] }),
+        /Only http and https/
+    );
+    assert.throws(
+        () => checkUrl("https://evil.example/", { urlHosts: ["arxiv.org"] }),
+        /Downloading from evil\.example is not allowed/
+    );
+});
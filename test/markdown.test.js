@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findNumberedItems, pageToMarkdown } from "../markdown.js";
+
+const markers = (texts) =>
+    findNumberedItems(texts).map((match) => (match ? match[1] : null));
+
+test("numbers always start a list item", () => {
+    assert.deepEqual(markers(["1. First", "Some text", "12) Twelfth"]), [
+        "1.",
+        null,
+        "12)",
+    ]);
+});
+
+test("letters need a neighbouring item in the same sequence", () => {
+    assert.deepEqual(markers(["a) one", "b) two", "c) three"]), [
+        "a)",
+        "b)",
+        "c)",
+    ]);
+    assert.deepEqual(markers(["A. Smith wrote this.", "I. e. not a list"]), [
+        null,
+        null,
+    ]);
+    assert.deepEqual(markers(["(A) upper", "(b) lower"]), [null, null]);
+});
+
+test("roman numerals form sequences, and i follows h", () => {
+    assert.deepEqual(markers(["i. one", "ii. two", "iii. three", "iv. four"]), [
+        "i.",
+        "ii.",
+        "iii.",
+        "iv.",
+    ]);
+    assert.deepEqual(markers(["h) eighth", "i) ninth"]), ["h)", "i)"]);
+    assert.deepEqual(markers(["IX. nine", "X. ten"]), ["IX.", "X."]);
+});
+
+test("non-list lines between items do not break the sequence", () => {
+    assert.deepEqual(markers(["a. one", "wrapped text", "b. two"]), [
+        "a.",
+        null,
+        "b.",
+    ]);
+});
+
+/** A one-line text block at the given height, in 10 pt text */
+function block(text, y) {
+    const bbox = { x: 72, y, w: 300, h: 12 };
+    return {
+        type: "text",
+        bbox,
+        lines: [
+            {
+                bbox,
+                text,
+                spans: [{ text, size: 10, bold: false, italic: false }],
+            },
+        ],
+    };
+}
+
+test("pageToMarkdown keeps lone lettered lines as paragraphs", () => {
+    const headings = { bodySize: 10, levels: new Map(), maxLevel: 0 };
+    const page = {
+        page: 1,
+        blocks: [
+            block("A. Smith and B. Jones agree.", 100),
+            block("1. First", 130),
+            block("2. Second", 144),
+        ],
+    };
+    assert.equal(
+        pageToMarkdown(page, headings),
+        "A. Smith and B. Jones agree.\n\n1. First\n2. Second"
+    );
+});
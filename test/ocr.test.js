@@ -0,0 +1,211 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import * as mupdf from "mupdf";
+import {
+    needsOcr,
+    parseTesseractTsv,
+    registerOcrEngine,
+    getOcrEngine,
+    recognizePage,
+    closeOcrEngines,
+} from "../ocr.js";
+import { extractText } from "../extract_pdf.js";
+
+const HEADER =
+    "level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext";
+const word = (block, paragraph, line, n, left, text, conf = 90) =>
+    `5\t1\t${block}\t${paragraph}\t${line}\t${n}\t${left}\t100\t50\t20\t${conf}\t${text}`;
+
+test("needsOcr picks scanned pages in auto mode", () => {
+    assert.equal(needsOcr({ text: "", imageCoverage: 0.95 }, "auto"), true);
+    assert.equal(needsOcr({ text: " 12 \n", imageCoverage: 0.8 }, "auto"), true);
+    // Enough native text, or not mostly an image
+    assert.equal(
+        needsOcr({ text: "A page with real text on it.", imageCoverage: 1 }, "auto"),
+        false
+    );
+    assert.equal(needsOcr({ text: "", imageCoverage: 0.2 }, "auto"), false);
+});
+
+test("needsOcr follows the force and off modes", () => {
+    assert.equal(
+        needsOcr({ text: "Plenty of native text here.", imageCoverage: 0 }, "force"),
+        true
+    );
+    assert.equal(needsOcr({ text: "", imageCoverage: 1 }, "off"), false);
+});
+
+test("parseTesseractTsv rebuilds lines and paragraphs", () => {
+    const tsv = [
+        HEADER,
+        "1\t1\t0\t0\t0\t0\t0\t0\t1000\t1000\t-1\t",
+        word(1, 1, 1, 1, 10, "Hello", 96),
+        word(1, 1, 1, 2, 70, "world", 90),
+        word(1, 1, 2, 1, 10, "again", 87),
+        word(1, 2, 1, 1, 10, "", 95),
+        word(2, 1, 1, 1, 10, "Next", 91),
+    ].join("\n");
+    const result = parseTesseractTsv(tsv);
+    assert.equal(result.text, "Hello world\nagain\n\nNext");
+    assert.equal(result.words.length, 4);
+    assert.deepEqual(result.words[1], {
+        text: "world",
+        confidence: 90,
+        rect: [70, 100, 120, 120],
+    });
+    assert.equal(result.confidence, 91);
+});
+
+test("parseTesseractTsv without words", () => {
+    assert.deepEqual(parseTesseractTsv(`${HEADER}\n`), {
+        text: "",
+        confidence: 0,
+        words: [],
+    });
+});
+
+test("recognizePage scales word boxes to PDF points", async () => {
+    registerOcrEngine("fake", ({ dpi }) => ({
+        name: "fake",
+        async recognize() {
+            return {
+                text: " Scanned \n",
+                confidence: 88.26,
+                words: [
+                    {
+                        text: "Scanned",
+                        confidence: 88.26,
+                        rect: [300, 600, 900, 750],
+                    },
+                ],
+            };
+        },
+        async close() {},
+    }));
+    try {
+        const engine = getOcrEngine("fake", { dpi: 300 });
+        assert.equal(getOcrEngine("fake", { dpi: 300 }), engine);
+        assert.deepEqual(await recognizePage(engine, new Uint8Array(), 300), {
+            engine: "fake",
+            confidence: 88.3,
+            text: "Scanned",
+            words: [
+                {
+                    text: "Scanned",
+                    confidence: 88.3,
+                    bbox: { x: 72, y: 144, w: 144, h: 36 },
+                },
+            ],
+        });
+        assert.throws(() => getOcrEngine("missing"), /Unknown OCR engine: missing/);
+    } finally {
+        await closeOcrEngines();
+    }
+});
+
+test("recognizePage offsets word boxes by the page bounds", async () => {
+    registerOcrEngine("fake-offset", () => ({
+        name: "fake",
+        async recognize() {
+            return {
+                text: "Scanned",
+                confidence: 90,
+                words: [
+                    {
+                        text: "Scanned",
+                        confidence: 90,
+                        rect: [300, 600, 900, 750],
+                    },
+                ],
+            };
+        },
+        async close() {},
+    }));
+    try {
+        const engine = getOcrEngine("fake-offset", { dpi: 300 });
+        const { words } = await recognizePage(
+            engine,
+            new Uint8Array(),
+            300,
+            [50, 100, 662, 892]
+        );
+        assert.deepEqual(words[0].bbox, { x: 122, y: 244, w: 144, h: 36 });
+    } finally {
+        await closeOcrEngines();
+    }
+});
+
+test("OCR word boxes line up with the page text on an offset MediaBox", async () => {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([300, 300]);
+    page.setMediaBox(100, 200, 300, 300);
+    page.drawText("Hello", {
+        x: 150,
+        y: 400,
+        size: 20,
+        font: await pdf.embedFont(StandardFonts.Helvetica),
+    });
+    const data = Buffer.from(await pdf.save());
+
+    // Reads one word: the box around the dark pixels of the render
+    registerOcrEngine("ink", () => ({
+        name: "ink",
+        async recognize(png) {
+            const pixmap = new mupdf.Image(png).toPixmap();
+            const [width, height, n] = [
+                pixmap.getWidth(),
+                pixmap.getHeight(),
+                pixmap.getNumberOfComponents(),
+            ];
+            const pixels = pixmap.getPixels();
+            const rect = [Infinity, Infinity, -Infinity, -Infinity];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (pixels[(y * width + x) * n] < 128) {
+                        rect[0] = Math.min(rect[0], x);
+                        rect[1] = Math.min(rect[1], y);
+                        rect[2] = Math.max(rect[2], x + 1);
+                        rect[3] = Math.max(rect[3], y + 1);
+                    }
+                }
+            }
+            return {
+                text: "Hello",
+                confidence: 90,
+                words: [{ text: "Hello", confidence: 90, rect }],
+            };
+        },
+        async close() {},
+    }));
+    try {
+        const result = await extractText(data, {
+            ocr: "force",
+            ocrEngine: "ink",
+            ocrDpi: 144,
+        });
+        const { bbox } = result.pages[0].ocr.words[0];
+
+        // Where mupdf places the native text of the same page
+        const native = [Infinity, Infinity, -Infinity, -Infinity];
+        mupdf.Document.openDocument(data, "application/pdf")
+            .loadPage(0)
+            .toStructuredText()
+            .walk({
+                onChar(c, origin, font, size, quad) {
+                    native[0] = Math.min(native[0], quad[0], quad[4]);
+                    native[1] = Math.min(native[1], quad[1], quad[3]);
+                    native[2] = Math.max(native[2], quad[2], quad[6]);
+                    native[3] = Math.max(native[3], quad[5], quad[7]);
+                },
+            });
+        // The ink lies inside the glyph boxes, within a pixel
+        const [left, top, right, bottom] = native;
+        assert.ok(bbox.x >= left - 1 && bbox.x < left + 3, `x ${bbox.x}`);
+        assert.ok(bbox.y >= top - 1, `y ${bbox.y}`);
+        assert.ok(bbox.x + bbox.w <= right + 1, `right ${bbox.x + bbox.w}`);
+        assert.ok(bbox.y + bbox.h <= bottom + 1, `bottom ${bbox.y + bbox.h}`);
+    } finally {
+        await closeOcrEngines();
+    }
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePageRange } from "../extract_pdf.js";
+
+test("empty selection means all pages", () => {
+    assert.deepEqual(parsePageRange(undefined, 3), [1, 2, 3]);
+    assert.deepEqual(parsePageRange("", 2), [1, 2]);
+    assert.deepEqual(parsePageRange(null, 1), [1]);
+});
+
+test("single pages, ranges and open ends", () => {
+    assert.deepEqual(parsePageRange("2", 5), [2]);
+    assert.deepEqual(parsePageRange("2-4", 5), [2, 3, 4]);
+    assert.deepEqual(parsePageRange("4-", 5), [4, 5]);
+    assert.deepEqual(parsePageRange("1-2, 5", 5), [1, 2, 5]);
+});
+
+test("last works alone and as a range end", () => {
+    assert.deepEqual(parsePageRange("last", 7), [7]);
+    assert.deepEqual(parsePageRange("6-LAST", 7), [6, 7]);
+});
+
+test("overlapping parts are merged and sorted", () => {
+    assert.deepEqual(parsePageRange("5,1-3,2", 5), [1, 2, 3, 5]);
+    assert.deepEqual(parsePageRange([3, 1], 3), [1, 3]);
+});
+
+test("invalid or out-of-range selections throw", () => {
+    assert.throws(() => parsePageRange("abc", 5), /Invalid page selection "abc"/);
+    assert.throws(() => parsePageRange("0", 5), /out of range/);
+    assert.throws(() => parsePageRange("4-6", 5), /out of range/);
+    assert.throws(() => parsePageRange("4-2", 5), /out of range/);
+    assert.throws(() => parsePageRange(",", 5), /does not select any pages/);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as mupdf from "mupdf";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { buildMatcher, searchPage } from "../search.js";
+
+async function textPage(lines) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const page = pdf.addPage([400, 400]);
+    lines.forEach((text, i) =>
+        page.drawText(text, { x: 40, y: 360 - i * 14, size: 10, font })
+    );
+    const doc = mupdf.Document.openDocument(await pdf.save(), "application/pdf");
+    return doc.loadPage(0);
+}
+
+test("literal queries are escaped and match across whitespace", () => {
+    const matcher = buildMatcher("total (net)  sum");
+    assert.equal(matcher.source, "total\\s+\\(net\\)\\s+sum");
+    assert.equal(matcher.flags, "giu");
+    assert.ok(matcher.test("Total (net)\nsum"));
+    assert.equal(buildMatcher("a", { caseSensitive: true }).flags, "gu");
+});
+
+test("invalid, empty and overlong patterns are rejected", () => {
+    assert.throws(() => buildMatcher(""), /must not be empty/);
+    assert.throws(() => buildMatcher("(", { regex: true }), SyntaxError);
+    assert.throws(
+        () => buildMatcher("a".repeat(501), { regex: true }),
+        /too long/
+    );
+});
+
+test("searchPage finds hits with snippets and boxes", async () => {
+    const page = await textPage(["Invoice 2024-17", "Amount due: 120 EUR"]);
+    const hits = searchPage(page, buildMatcher("\\d{4}-\\d+", { regex: true }));
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].match, "2024-17");
+    assert.match(hits[0].snippet, /«2024-17»/);
+    assert.ok(hits[0].bbox.w > 0 && hits[0].bbox.h > 0);
+});
+
+test("catastrophic backtracking is stopped", async () => {
+    const page = await textPage(["a".repeat(40) + "!"]);
+    const started = Date.now();
+    assert.throws(
+        () => searchPage(page, buildMatcher("(a+)+$", { regex: true })),
+        /took longer than/
+    );
+    assert.ok(Date.now() - started < 5000);
+});
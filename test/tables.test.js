@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as mupdf from "mupdf";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { detectRulings, findTables } from "../tables.js";
+
+/**
+ * A one-page PDF with a 3x2 grid drawn cell by cell and a light rule that
+ * must not count as ink.
+ */
+async function gridPage(drawRules) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const page = pdf.addPage([400, 400]);
+    const cells = [
+        ["Key", "Value"],
+        ["alpha", "1"],
+        ["beta", "2"],
+    ];
+    cells.forEach((row, r) =>
+        row.forEach((text, c) =>
+            page.drawText(text, {
+                x: 53 + c * 100,
+                y: 366 - r * 20,
+                size: 10,
+                font,
+            })
+        )
+    );
+    drawRules(page);
+    page.drawLine({
+        start: { x: 50, y: 100 },
+        end: { x: 350, y: 100 },
+        thickness: 0.5,
+        color: rgb(0.95, 0.95, 0.95),
+    });
+
+    const doc = mupdf.Document.openDocument(await pdf.save(), "application/pdf");
+    return doc.loadPage(0);
+}
+
+test("stroked rules drawn in pieces are joined", async () => {
+    const page = await gridPage((p) => {
+        for (let r = 0; r <= 3; r++) {
+            for (const x of [50, 150]) {
+                p.drawLine({
+                    start: { x, y: 380 - r * 20 },
+                    end: { x: x + 100, y: 380 - r * 20 },
+                    thickness: 0.5,
+                });
+            }
+        }
+        for (const x of [50, 150, 250]) {
+            p.drawLine({
+                start: { x, y: 380 },
+                end: { x, y: 320 },
+                thickness: 0.5,
+            });
+        }
+    });
+
+    const { horizontal, vertical } = detectRulings(page);
+    assert.deepEqual(
+        horizontal.map((h) => [h.y, h.x0, h.x1]),
+        [20, 40, 60, 80].map((y) => [y, 50, 250])
+    );
+    assert.deepEqual(
+        vertical.map((v) => [v.x, v.y0, v.y1]),
+        [50, 150, 250].map((x) => [x, 20, 80])
+    );
+
+    const [table] = findTables(page);
+    assert.equal(table.method, "ruled");
+    assert.deepEqual(table.cells, [
+        ["Key", "Value"],
+        ["alpha", "1"],
+        ["beta", "2"],
+    ]);
+});
+
+test("thin filled rectangles are rules, thick ones are not", async () => {
+    const page = await gridPage((p) => {
+        for (let r = 0; r <= 3; r++) {
+            p.drawRectangle({
+                x: 50,
+                y: 379.6 - r * 20,
+                width: 200,
+                height: 0.8,
+            });
+        }
+        for (const x of [50, 150, 250]) {
+            p.drawRectangle({ x: x - 0.4, y: 320, width: 0.8, height: 60 });
+        }
+        p.drawRectangle({ x: 50, y: 150, width: 200, height: 50 });
+    });
+
+    const { horizontal, vertical } = detectRulings(page);
+    assert.equal(horizontal.length, 4);
+    assert.equal(vertical.length, 3);
+    assert.equal(findTables(page)[0].cells.length, 3);
+});
@@ -0,0 +1,281 @@
+/**
+ * Agentic-PDF-Extractor - Watch folder
+ *
+ * Processes the PDFs that appear in an inbox directory, e.g. one that
+ * scanners or mail robots drop files into:
+ *
+ * - A PDF is processed once it has stopped changing (same size and
+ *   modification time for the settle time), so half-written files are
+ *   left alone.
+ * - A state file remembers the content hash of every processed PDF, so a
+ *   restart skips documents that have not changed.
+ * - Processed and failed PDFs can be moved to their own folders.
+ *
+ * The directory is scanned at a fixed interval; file system events only
+ * trigger an earlier scan (they are unreliable on network shares).
+ */
+
+import fs from "fs";
+import path from "path";
+import { readFileHashed } from "./cache.js";
+import { isDocumentName } from "./formats.js";
+
+const STATE_VERSION = 1;
+
+/**
+ * Load the state file: relative path → what was last processed there.
+ */
+function loadState(statePath) {
+    try {
+        const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        if (state.version === STATE_VERSION) return state.files;
+    } catch {
+        // Missing or unreadable: start afresh
+    }
+    return {};
+}
+
+/**
+ * Write the state file atomically, so a crash never leaves half of it.
+ */
+function saveState(statePath, files) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    const temporary = `${statePath}.tmp`;
+    fs.writeFileSync(
+        temporary,
+        JSON.stringify({ version: STATE_VERSION, files }, null, 2)
+    );
+    fs.renameSync(temporary, statePath);
+}
+
+/**
+ * Move a file into `dir`, keeping its path below the inbox. An existing
+ * file of the same name is not overwritten: the moved one gets a suffix.
+ *
+ * @returns {string} The new path
+ */
+function moveInto(dir, relative, file) {
+    const parsed = path.parse(path.join(dir, relative));
+    fs.mkdirSync(parsed.dir, { recursive: true });
+    let destination = path.join(parsed.dir, parsed.base);
+    for (let n = 2; fs.existsSync(destination); n++) {
+        destination = path.join(parsed.dir, `${parsed.name}-${n}${parsed.ext}`);
+    }
+    try {
+        fs.renameSync(file, destination);
+    } catch (error) {
+        // Across file systems a rename is not possible
+        if (error.code !== "EXDEV") throw error;
+        fs.copyFileSync(file, destination);
+        fs.unlinkSync(file);
+    }
+    return destination;
+}
+
+/**
+ * List the PDFs in the inbox as paths relative to it. Hidden entries and
+ * the excluded directories (outputs inside the inbox) are skipped.
+ */
+function listPdfs(dir, recursive, excluded, prefix = "") {
+    const found = [];
+    let entries;
+    try {
+        entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+    } catch {
+        return found;
+    }
+    for (const entry of entries) {
+        if (entry.name.startsWith(".")) continue;
+        const relative = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive && !excluded.has(path.join(dir, relative))) {
+                found.push(...listPdfs(dir, recursive, excluded, relative));
+            }
+        } else if (entry.isFile() && isDocumentName(entry.name)) {
+            found.push(relative);
+        }
+    }
+    return found;
+}
+
+/**
+ * Watch a directory and process every new or changed PDF in it, one at a
+ * time.
+ *
+ * `processFile` receives `{file, base, relative, hash}` and may throw; the
+ * outcome is recorded in the state file either way, so a PDF that failed
+ * is only retried once it changes. `onRecord` then gets the file, its
+ * hash, status ("ok" or "error"), error, durationMs, the new path if it
+ * was moved (`movedTo`) and whatever `processFile` returned.
+ *
+ * @param {string} dir - The inbox directory
+ * @param {(entry: {file: string, base: string, relative: string, hash: string}) => Promise<object>} processFile
+ * @param {object} options
+ * @param {string} options.statePath - Where to keep the state file
+ * @param {boolean} [options.recursive=false] - Also watch subdirectories
+ * @param {number} [options.settleMs=2000] - How long a file must stay unchanged before it is processed
+ * @param {number} [options.intervalMs=2000] - How often to scan the directory
+ * @param {string} [options.processedDir] - Move processed PDFs here
+ * @param {string} [options.failedDir] - Move PDFs that failed here
+ * @param {string[]} [options.exclude] - Directories inside the inbox to ignore
+ * @param {(record: object) => void} [options.onRecord] - Called after each PDF with its outcome
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {{close: () => Promise<void>}}
+ */
+export function watchFolder(dir, processFile, options) {
+    const {
+        statePath,
+        recursive = false,
+        settleMs = 2000,
+        intervalMs = 2000,
+        processedDir,
+        failedDir,
+        exclude = [],
+        onRecord,
+        log = () => {},
+    } = options;
+
+    const base = path.resolve(dir);
+    const excluded = new Set(
+        [processedDir, failedDir, ...exclude]
+            .filter(Boolean)
+            .map((excludedDir) => path.resolve(excludedDir))
+    );
+    const state = loadState(statePath);
+    // Files seen changing: relative path → last size/mtime and since when
+    const pending = new Map();
+    const queue = [];
+    let busy = Promise.resolve();
+    let scanTimer = null;
+    let closed = false;
+
+    const handleFile = async (relative) => {
+        const file = path.join(base, relative);
+        const started = Date.now();
+        let record;
+
+        try {
+            const { hash } = readFileHashed(file, false);
+            if (state[relative]?.hash === hash) {
+                // Touched but not changed
+                state[relative].mtimeMs = fs.statSync(file).mtimeMs;
+                saveState(statePath, state);
+                return;
+            }
+
+            const stat = fs.statSync(file);
+            try {
+                const result = await processFile({ file, base, relative, hash });
+                record = { file, hash, status: "ok", ...result };
+            } catch (error) {
+                record = { file, hash, status: "error", error: error.message };
+            }
+            record.durationMs = Date.now() - started;
+
+            state[relative] = {
+                hash,
+                size: stat.size,
+                mtimeMs: stat.mtimeMs,
+                status: record.status,
+                processedAt: new Date().toISOString(),
+            };
+            if (record.status === "error" && record.error) {
+                state[relative].error = record.error;
+            }
+
+            const moveTo = record.status === "ok" ? processedDir : failedDir;
+            if (moveTo) record.movedTo = moveInto(moveTo, relative, file);
+            saveState(statePath, state);
+        } catch (error) {
+            // The file vanished or cannot be read or moved
+            record = { file, status: "error", error: error.message };
+        }
+        onRecord?.(record);
+    };
+
+    const enqueue = (relative) => {
+        if (queue.includes(relative)) return;
+        queue.push(relative);
+        busy = busy.then(async () => {
+            queue.splice(queue.indexOf(relative), 1);
+            if (!closed) await handleFile(relative);
+        });
+    };
+
+    const scan = () => {
+        const now = Date.now();
+        const present = new Set(listPdfs(base, recursive, excluded));
+
+        for (const relative of present) {
+            if (queue.includes(relative)) continue;
+            let stat;
+            try {
+                stat = fs.statSync(path.join(base, relative));
+            } catch {
+                continue;
+            }
+
+            const known = state[relative];
+            if (
+                known &&
+                known.size === stat.size &&
+                known.mtimeMs === stat.mtimeMs
+            ) {
+                pending.delete(relative);
+                continue;
+            }
+
+            // Wait until size and mtime have held still for settleMs
+            const seen = pending.get(relative);
+            if (
+                !seen ||
+                seen.size !== stat.size ||
+                seen.mtimeMs !== stat.mtimeMs
+            ) {
+                pending.set(relative, {
+                    size: stat.size,
+                    mtimeMs: stat.mtimeMs,
+                    since: now,
+                });
+            } else if (now - seen.since >= settleMs) {
+                pending.delete(relative);
+                enqueue(relative);
+            }
+        }
+
+        for (const relative of pending.keys()) {
+            if (!present.has(relative)) pending.delete(relative);
+        }
+    };
+
+    const scheduleScan = (delay) => {
+        if (closed) return;
+        clearTimeout(scanTimer);
+        scanTimer = setTimeout(() => {
+            scan();
+            scheduleScan(intervalMs);
+        }, delay);
+    };
+
+    let watcher = null;
+    try {
+        watcher = fs.watch(base, { recursive }, () => scheduleScan(200));
+        watcher.on("error", () => {});
+    } catch {
+        log(`⚠️ File system events unavailable; scanning every ${intervalMs} ms`);
+    }
+
+    const known = Object.keys(state).length;
+    if (known > 0) log(`📒 ${known} PDF(s) known from ${statePath}`);
+    scan();
+    scheduleScan(Math.min(intervalMs, settleMs));
+
+    return {
+        async close() {
+            closed = true;
+            clearTimeout(scanTimer);
+            watcher?.close();
+            await busy;
+        },
+    };
+}
@@ -0,0 +1,103 @@
+/**
+ * Agentic-PDF-Extractor - Worker pool
+ *
+ * A small pool of worker threads running page_worker.js, so that rendering
+ * does not block the main thread (and with it the MCP server's stdio loop).
+ * Idle workers are unref'd: they never keep the process alive on their own.
+ */
+
+import os from "os";
+import { Worker } from "worker_threads";
+
+const WORKER_FILE = new URL("./page_worker.js", import.meta.url);
+const MAX_DEFAULT_WORKERS = 4;
+
+/**
+ * Number of workers to use when none is configured: one core is left to the
+ * main thread, at least one worker is always used.
+ */
+export function defaultPoolSize() {
+    const cores = os.availableParallelism?.() ?? os.cpus().length;
+    return Math.max(1, Math.min(cores - 1, MAX_DEFAULT_WORKERS));
+}
+
+/**
+ * Create a worker pool. Workers are started on demand.
+ *
+ * @param {number} [size] - Maximum number of workers (default: defaultPoolSize())
+ * @returns {{size: number, run: (task: object) => Promise<object>, close: () => Promise<void>}}
+ */
+export function createWorkerPool(size = defaultPoolSize()) {
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+    const jobs = new Map(); // id → {resolve, reject, worker}
+    let nextId = 1;
+
+    const spawn = () => {
+        const worker = new Worker(WORKER_FILE);
+
+        worker.on("message", ({ id, result, error }) => {
+            const job = jobs.get(id);
+            jobs.delete(id);
+            if (error) job.reject(new Error(error));
+            else job.resolve(result);
+            idle.push(worker);
+            worker.unref();
+            pump();
+        });
+
+        // A crashed worker fails its current job; the next job starts a new one
+        worker.on("error", (error) => {
+            for (const [id, job] of jobs) {
+                if (job.worker !== worker) continue;
+                jobs.delete(id);
+                job.reject(error);
+            }
+        });
+        worker.on("exit", () => {
+            workers.delete(worker);
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+            for (const [id, job] of jobs) {
+                if (job.worker !== worker) continue;
+                jobs.delete(id);
+                job.reject(new Error("Page worker exited unexpectedly"));
+            }
+            pump();
+        });
+
+        workers.add(worker);
+        return worker;
+    };
+
+    const pump = () => {
+        while (queue.length > 0) {
+            const worker =
+                idle.pop() || (workers.size < size ? spawn() : null);
+            if (!worker) return;
+
+            const { task, resolve, reject } = queue.shift();
+            const id = nextId++;
+            jobs.set(id, { resolve, reject, worker });
+            worker.ref();
+            worker.postMessage({ id, task });
+        }
+    };
+
+    return {
+        size,
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                pump();
+            });
+        },
+        async close() {
+            for (const { reject } of queue.splice(0)) {
+                reject(new Error("Worker pool closed"));
+            }
+            await Promise.all([...workers].map((worker) => worker.terminate()));
+        },
+    };
+}